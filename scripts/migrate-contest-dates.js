@@ -0,0 +1,34 @@
+// One-off migration of contests created through the API before date fields
+// were stored as Dates: string deadlines, registration openings and judging
+// ends are converted, so deadline filters and sorts see them.
+// Usage: node scripts/migrate-contest-dates.js
+const { MongoClient, ServerApiVersion } = require('mongodb');
+const config = require('../src/config');
+
+const client = new MongoClient(config.mongoUri, {
+    serverApi: {
+        version: ServerApiVersion.v1,
+        strict: true,
+        deprecationErrors: true,
+    }
+});
+
+const DATE_FIELDS = ['deadline', 'registrationOpensAt', 'judgingEndsAt'];
+
+async function run() {
+    try {
+        await client.connect();
+        const contests = client.db(config.dbName).collection("contests");
+
+        for (const field of DATE_FIELDS) {
+            // Unparseable strings are left as they are rather than failing the whole update
+            const result = await contests.updateMany({ [field]: { $type: 'string' } }, [
+                { $set: { [field]: { $convert: { input: `$${field}`, to: 'date', onError: `$${field}` } } } },
+            ]);
+            console.log(`${field}: ${result.modifiedCount} contest(s)`);
+        }
+    } finally {
+        await client.close();
+    }
+}
+run().catch(console.dir);
@@ -0,0 +1,42 @@
+// One-off migration of contests created before the lifecycle module:
+//   'Accepted' contests are opened, 'isClosed' contests become 'Closed' (or
+//   'Completed' when a winner is set) and the old flag is removed.
+// Usage: node scripts/migrate-contest-lifecycle.js
+const { MongoClient, ServerApiVersion } = require('mongodb');
+const config = require('../src/config');
+const { STATUS } = require('../src/lifecycle');
+
+const client = new MongoClient(config.mongoUri, {
+    serverApi: {
+        version: ServerApiVersion.v1,
+        strict: true,
+        deprecationErrors: true,
+    }
+});
+
+const historyEntry = (from, to) => ({ from, to, by: 'migration', at: new Date(), reason: 'Lifecycle migration' });
+
+const migrate = async (contests, filter, from, to) => {
+    const result = await contests.updateMany(filter, {
+        $set: { status: to, statusUpdatedAt: new Date(), statusUpdatedBy: 'migration' },
+        $unset: { isClosed: '' },
+        $push: { statusHistory: historyEntry(from, to) },
+    });
+    console.log(`${from} -> ${to}: ${result.modifiedCount} contest(s)`);
+};
+
+async function run() {
+    try {
+        await client.connect();
+        const contests = client.db(config.dbName).collection("contests");
+        const hasWinner = [{ winner: { $exists: true } }, { winnerEmail: { $exists: true } }];
+
+        await migrate(contests, { status: STATUS.ACCEPTED, isClosed: true, $or: hasWinner }, STATUS.ACCEPTED, STATUS.COMPLETED);
+        await migrate(contests, { status: STATUS.ACCEPTED, isClosed: true }, STATUS.ACCEPTED, STATUS.CLOSED);
+        await migrate(contests, { status: { $in: [STATUS.ACCEPTED, 'approved'] } }, STATUS.ACCEPTED, STATUS.OPEN);
+        await contests.updateMany({ isClosed: { $exists: true } }, { $unset: { isClosed: '' } });
+    } finally {
+        await client.close();
+    }
+}
+run().catch(console.dir);
@@ -0,0 +1,61 @@
+// One-off migration of declared winners to the normalized `winners` list
+// (see src/prizes.js): the `winner` object and the flat winnerName /
+// winnerEmail / winnerImage fields become a single top-tier placement.
+// Usage: node scripts/migrate-contest-winners.js
+const { MongoClient, ServerApiVersion } = require('mongodb');
+const config = require('../src/config');
+const { prizeTiersOf } = require('../src/prizes');
+
+const client = new MongoClient(config.mongoUri, {
+    serverApi: {
+        version: ServerApiVersion.v1,
+        strict: true,
+        deprecationErrors: true,
+    }
+});
+
+const legacyWinner = (contest) => (contest.winner
+    ? { email: contest.winner.email, name: contest.winner.name, image: contest.winner.image, at: contest.winner.declarationDate }
+    : { email: contest.winnerEmail, name: contest.winnerName, image: contest.winnerImage, at: contest.statusUpdatedAt });
+
+async function run() {
+    try {
+        await client.connect();
+        const db = client.db(config.dbName);
+        const contests = db.collection("contests");
+        const submissions = db.collection("submissions");
+
+        const legacy = await contests.find({
+            winners: { $exists: false },
+            $or: [{ winner: { $exists: true } }, { winnerEmail: { $exists: true } }],
+        }).toArray();
+
+        for (const contest of legacy) {
+            const { email, name, image, at } = legacyWinner(contest);
+            const tier = prizeTiersOf(contest)[0];
+            const submission = await submissions.findOne({ contestId: contest._id.toString(), participantEmail: email });
+
+            await contests.updateOne({ _id: contest._id }, {
+                $set: {
+                    winners: [{
+                        tier: tier.key,
+                        tierName: tier.name,
+                        place: 1,
+                        amount: tier.amount,
+                        email,
+                        name: name || null,
+                        image: image || null,
+                        submissionId: submission ? submission._id.toString() : null,
+                        declaredAt: at || new Date(),
+                        declaredBy: contest.creator || 'migration',
+                    }],
+                },
+                $unset: { winner: '', winnerEmail: '', winnerName: '', winnerImage: '' },
+            });
+        }
+        console.log(`Winners normalized: ${legacy.length} contest(s)`);
+    } finally {
+        await client.close();
+    }
+}
+run().catch(console.dir);
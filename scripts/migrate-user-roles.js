@@ -0,0 +1,30 @@
+// One-off migration of user roles to the names in src/permissions.js:
+//   'Participant' and missing or unknown roles become 'User'.
+// Usage: node scripts/migrate-user-roles.js
+const { MongoClient, ServerApiVersion } = require('mongodb');
+const config = require('../src/config');
+const { ROLES, ROLE_NAMES } = require('../src/permissions');
+
+const client = new MongoClient(config.mongoUri, {
+    serverApi: {
+        version: ServerApiVersion.v1,
+        strict: true,
+        deprecationErrors: true,
+    }
+});
+
+async function run() {
+    try {
+        await client.connect();
+        const users = client.db(config.dbName).collection("users");
+
+        const result = await users.updateMany(
+            { role: { $nin: ROLE_NAMES } },
+            { $set: { role: ROLES.USER } }
+        );
+        console.log(`Roles set to '${ROLES.USER}': ${result.modifiedCount} user(s)`);
+    } finally {
+        await client.close();
+    }
+}
+run().catch(console.dir);
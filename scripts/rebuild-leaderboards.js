@@ -0,0 +1,30 @@
+// Recomputes the materialized leaderboards (src/leaderboards.js) from the
+// contests' declared winners. Run once after deploying leaderboards, and
+// whenever rankings look out of date.
+// Usage: npm run rebuild-leaderboards
+const { MongoClient, ServerApiVersion } = require('mongodb');
+const config = require('../src/config');
+const { getCollections, ensureIndexes } = require('../src/db');
+const { createLeaderboards } = require('../src/leaderboards');
+
+const client = new MongoClient(config.mongoUri, {
+    serverApi: {
+        version: ServerApiVersion.v1,
+        strict: true,
+        deprecationErrors: true,
+    }
+});
+
+async function run() {
+    try {
+        await client.connect();
+        const collections = getCollections(client.db(config.dbName));
+        await ensureIndexes(collections);
+
+        const { participants } = await createLeaderboards(collections).rebuild();
+        console.log(`Leaderboards rebuilt: ${participants} participant(s)`);
+    } finally {
+        await client.close();
+    }
+}
+run().catch(console.dir);
@@ -0,0 +1,36 @@
+// Sends a locally signed Stripe event to the webhook endpoint.
+// Usage: node scripts/send-stripe-fixture.js fixtures/stripe/payment_intent.succeeded.json [url]
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+const Stripe = require('stripe');
+
+const [fixturePath, url = `http://localhost:${process.env.PORT || 5000}/webhooks/stripe`] = process.argv.slice(2);
+
+if (!fixturePath) {
+    console.error('Usage: node scripts/send-stripe-fixture.js <fixture.json> [url]');
+    process.exit(1);
+}
+if (!process.env.STRIPE_WEBHOOK_SECRET) {
+    console.error('STRIPE_WEBHOOK_SECRET must be set to sign the fixture');
+    process.exit(1);
+}
+
+const payload = fs.readFileSync(path.resolve(fixturePath), 'utf8');
+const signature = Stripe.webhooks.generateTestHeaderString({
+    payload,
+    secret: process.env.STRIPE_WEBHOOK_SECRET,
+});
+
+fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signature },
+    body: payload,
+})
+    .then(async (res) => {
+        console.log(res.status, await res.text());
+    })
+    .catch((error) => {
+        console.error('Failed to send fixture:', error.message);
+        process.exit(1);
+    });
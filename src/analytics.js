@@ -0,0 +1,401 @@
+// Admin analytics (GET /admin/analytics/*): revenue, new users, new contests,
+// participations and contest page views over a date range. Creators get the
+// same for their own contests (GET /creator/analytics), plus a comparison
+// across all of them.
+//
+// Query parameters:
+//   from, to      date range (default: the last 30 days)
+//   interval      day (default) | week (starting Monday) | month, for time series
+//   by            contestType (default) | creator, for breakdowns
+//   limit         breakdown rows, largest revenue first (default 20, at most 100)
+//
+// Money only comes from verified payments (recorded by the Stripe webhook from
+// the amount Stripe actually received), net of refunds. Buckets are UTC.
+const { ObjectId } = require('mongodb');
+const { EDITABLE_STATUSES } = require('./lifecycle');
+const { activePaymentFilter } = require('./ledger');
+const { activeSubmissionFilter } = require('./submissions');
+
+const INTERVALS = ['day', 'week', 'month'];
+const BREAKDOWNS = ['contestType', 'creator'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+// Keeps a response to a few hundred buckets
+const MAX_RANGE_DAYS = { day: 366, week: 3 * 366, month: 10 * 366 };
+const DEFAULT_ROWS = 20;
+const MAX_ROWS = 100;
+
+// Payments the webhook recorded (legacy client-confirmed records have no status)
+const verifiedPaymentFilter = {
+    transactionId: { $exists: true },
+    status: { $in: ['succeeded', 'partially_refunded', 'refunded'] },
+};
+
+// Fully refunded payments no longer count as an entry
+const isEntry = { $cond: [{ $eq: ['$status', 'refunded'] }, 0, 1] };
+const refunded = { $ifNull: ['$refundedAmount', 0] };
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const parseDate = (value, field, errors) => {
+    if (value === undefined || value === '') return undefined;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        errors.push({ field, message: `${field} must be a date` });
+        return undefined;
+    }
+    return date;
+};
+
+/**
+ * Reads the range and grouping from the query string. Resolves to
+ * { from, to, interval, by, limit } or { errors }.
+ */
+const parseAnalyticsQuery = (query, now = new Date()) => {
+    const errors = [];
+    const to = parseDate(query.to, 'to', errors) || now;
+    const from = parseDate(query.from, 'from', errors) || new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+    const interval = query.interval || 'day';
+    const by = query.by || 'contestType';
+    const limit = query.limit === undefined ? DEFAULT_ROWS : parseInt(query.limit);
+
+    if (!INTERVALS.includes(interval)) {
+        errors.push({ field: 'interval', message: `interval must be one of: ${INTERVALS.join(', ')}` });
+    }
+    if (!BREAKDOWNS.includes(by)) {
+        errors.push({ field: 'by', message: `by must be one of: ${BREAKDOWNS.join(', ')}` });
+    }
+    if (!Number.isInteger(limit) || limit < 1) {
+        errors.push({ field: 'limit', message: 'limit must be a positive whole number' });
+    }
+    if (errors.length > 0) return { errors };
+
+    if (from >= to) {
+        return { errors: [{ field: 'from', message: 'from must be before to' }] };
+    }
+    if (to - from > MAX_RANGE_DAYS[interval] * DAY_MS) {
+        return { errors: [{ field: 'from', message: `A ${interval} series covers at most ${MAX_RANGE_DAYS[interval]} days` }] };
+    }
+    return { from, to, interval, by, limit: Math.min(limit, MAX_ROWS) };
+};
+
+// Start of the UTC bucket holding `date`, matching $dateTrunc below
+const bucketStart = (date, interval) => {
+    const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    if (interval === 'week') start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+    if (interval === 'month') start.setUTCDate(1);
+    return start;
+};
+
+const nextBucket = (start, interval) => {
+    const next = new Date(start);
+    if (interval === 'day') next.setUTCDate(next.getUTCDate() + 1);
+    if (interval === 'week') next.setUTCDate(next.getUTCDate() + 7);
+    if (interval === 'month') next.setUTCMonth(next.getUTCMonth() + 1);
+    return next;
+};
+
+const bucketOf = (field, interval) => ({ $dateTrunc: { date: `$${field}`, unit: interval, startOfWeek: 'monday' } });
+
+const inRange = (field, { from, to }) => ({ [field]: { $gte: from, $lt: to } });
+
+// Sums per contest over the range; keyed by contestId
+const contestTotals = async ({ paymentsCollection, contestViewsCollection }, range) => {
+    const payments = await paymentsCollection.aggregate([
+        { $match: { ...verifiedPaymentFilter, ...inRange('date', range) } },
+        {
+            $group: {
+                _id: '$contestId',
+                revenue: { $sum: { $subtract: ['$price', refunded] } },
+                participations: { $sum: isEntry },
+            },
+        },
+    ]).toArray();
+    const views = await contestViewsCollection.aggregate([
+        { $match: inRange('day', range) },
+        { $group: { _id: '$contestId', views: { $sum: '$views' } } },
+    ]).toArray();
+
+    const totals = new Map();
+    const totalsOf = (contestId) => {
+        if (!totals.has(contestId)) totals.set(contestId, { revenue: 0, participations: 0, views: 0 });
+        return totals.get(contestId);
+    };
+    payments.forEach(({ _id, revenue, participations }) => Object.assign(totalsOf(_id), { revenue, participations }));
+    views.forEach(({ _id, views: count }) => { totalsOf(_id).views = count; });
+    return totals;
+};
+
+const roundRate = (rate) => Math.round(rate * 10000) / 10000;
+
+const ratio = (part, whole) => (whole > 0 ? roundRate(part / whole) : null);
+
+const conversionRate = (participations, views) => ratio(participations, views);
+
+/**
+ * Revenue, refunds, participations, new users, new contests and views per
+ * bucket, with every bucket in the range listed (empty ones as zeros).
+ */
+const buildTimeSeries = async ({ usersCollection, contestsCollection, paymentsCollection, contestViewsCollection }, range) => {
+    const { interval } = range;
+
+    const payments = await paymentsCollection.aggregate([
+        { $match: { ...verifiedPaymentFilter, ...inRange('date', range) } },
+        {
+            $group: {
+                _id: bucketOf('date', interval),
+                grossRevenue: { $sum: '$price' },
+                refunds: { $sum: refunded },
+                participations: { $sum: isEntry },
+            },
+        },
+    ]).toArray();
+    const countPer = (collection, field) => collection.aggregate([
+        { $match: inRange(field, range) },
+        { $group: { _id: bucketOf(field, interval), count: { $sum: 1 } } },
+    ]).toArray();
+    const users = await countPer(usersCollection, 'createdAt');
+    const contests = await countPer(contestsCollection, 'createdAt');
+    const views = await contestViewsCollection.aggregate([
+        { $match: inRange('day', range) },
+        { $group: { _id: bucketOf('day', interval), count: { $sum: '$views' } } },
+    ]).toArray();
+
+    const byBucket = (rows) => new Map(rows.map(row => [new Date(row._id).toISOString(), row]));
+    const paymentRows = byBucket(payments);
+    const userRows = byBucket(users);
+    const contestRows = byBucket(contests);
+    const viewRows = byBucket(views);
+
+    const series = [];
+    for (let start = bucketStart(range.from, interval); start < range.to; start = nextBucket(start, interval)) {
+        const key = start.toISOString();
+        const payment = paymentRows.get(key) || { grossRevenue: 0, refunds: 0, participations: 0 };
+        series.push({
+            period: key,
+            revenue: roundMoney(payment.grossRevenue - payment.refunds),
+            grossRevenue: roundMoney(payment.grossRevenue),
+            refunds: roundMoney(payment.refunds),
+            participations: payment.participations,
+            newUsers: userRows.get(key)?.count || 0,
+            newContests: contestRows.get(key)?.count || 0,
+            views: viewRows.get(key)?.count || 0,
+        });
+    }
+
+    const sum = (field) => series.reduce((total, bucket) => total + bucket[field], 0);
+    const totals = {
+        revenue: roundMoney(sum('revenue')),
+        grossRevenue: roundMoney(sum('grossRevenue')),
+        refunds: roundMoney(sum('refunds')),
+        participations: sum('participations'),
+        newUsers: sum('newUsers'),
+        newContests: sum('newContests'),
+        views: sum('views'),
+    };
+    totals.conversionRate = conversionRate(totals.participations, totals.views);
+
+    return { from: range.from, to: range.to, interval, totals, series };
+};
+
+/**
+ * Revenue, participations, views, view-to-entry conversion and new contests
+ * per contest type or creator, largest revenue first.
+ */
+const buildBreakdown = async (collections, range) => {
+    const { contestsCollection } = collections;
+    const { by, limit } = range;
+
+    const totals = await contestTotals(collections, range);
+    const ids = [...totals.keys()].filter(id => ObjectId.isValid(id)).map(id => new ObjectId(id));
+    const contests = await contestsCollection.find({ _id: { $in: ids } }).project({ contestType: 1, creator: 1 }).toArray();
+    const newContests = await contestsCollection.aggregate([
+        { $match: inRange('createdAt', range) },
+        { $group: { _id: `$${by}`, count: { $sum: 1 } } },
+    ]).toArray();
+
+    const rows = new Map();
+    const rowOf = (key) => {
+        const rowKey = key ?? null;
+        if (!rows.has(rowKey)) rows.set(rowKey, { key: rowKey, revenue: 0, participations: 0, views: 0, newContests: 0 });
+        return rows.get(rowKey);
+    };
+    for (const contest of contests) {
+        const row = rowOf(contest[by]);
+        const contestTotal = totals.get(contest._id.toString());
+        row.revenue += contestTotal.revenue;
+        row.participations += contestTotal.participations;
+        row.views += contestTotal.views;
+    }
+    newContests.forEach(({ _id, count }) => { rowOf(_id).newContests = count; });
+
+    const items = [...rows.values()]
+        .map(row => ({ ...row, revenue: roundMoney(row.revenue), conversionRate: conversionRate(row.participations, row.views) }))
+        .sort((a, b) => b.revenue - a.revenue || b.participations - a.participations)
+        .slice(0, limit);
+
+    return { from: range.from, to: range.to, by, items };
+};
+
+const average = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+// Rows keyed by contestId from a { _id: contestId, ... } aggregation
+const byContest = (rows) => new Map(rows.map(row => [row._id, row]));
+
+/**
+ * A creator's dashboard: every contest that went through review compared side
+ * by side (all time), and entries, revenue, earnings and submissions per
+ * bucket over the range.
+ *
+ * Entries count one per solo participant and one per team (split-fee teams
+ * pay once per member), so submissionRate is entries that submitted. Money
+ * comes from the ledger: revenue is entry fees net of refunds, earnings the
+ * creator's share of them.
+ */
+const buildCreatorAnalytics = async (collections, email, range) => {
+    const { contestsCollection, paymentsCollection, submissionsCollection, ledgerEntriesCollection, contestViewsCollection } = collections;
+    const { interval } = range;
+
+    const contests = await contestsCollection
+        .find({ creator: email, status: { $nin: EDITABLE_STATUSES } })
+        .project({ name: 1, status: 1, contestType: 1, price: 1, maxParticipants: 1, createdAt: 1, deadline: 1 })
+        .sort({ createdAt: -1 })
+        .toArray();
+    const contestIds = contests.map(contest => contest._id.toString());
+    const ofContests = { contestId: { $in: contestIds } };
+
+    const payments = byContest(await paymentsCollection.aggregate([
+        { $match: { ...ofContests, ...activePaymentFilter } },
+        {
+            $group: {
+                _id: '$contestId',
+                participants: { $sum: 1 },
+                soloEntries: { $sum: { $cond: [{ $ifNull: ['$teamId', false] }, 0, 1] } },
+                teams: { $addToSet: '$teamId' },
+            },
+        },
+    ]).toArray());
+    const submissions = byContest(await submissionsCollection.aggregate([
+        { $match: { ...ofContests, ...activeSubmissionFilter } },
+        { $group: { _id: '$contestId', count: { $sum: 1 } } },
+    ]).toArray());
+    const money = byContest(await ledgerEntriesCollection.aggregate([
+        { $match: { ...ofContests, type: { $in: ['entry-fee', 'refund', 'creator-share'] } } },
+        {
+            $group: {
+                _id: '$contestId',
+                // Fee entries are booked against the participant (negative)
+                revenue: { $sum: { $cond: [{ $eq: ['$type', 'creator-share'] }, 0, { $multiply: ['$amount', -1] }] } },
+                earnings: { $sum: { $cond: [{ $eq: ['$type', 'creator-share'] }, '$amount', 0] } },
+            },
+        },
+    ]).toArray());
+    const views = byContest(await contestViewsCollection.aggregate([
+        { $match: ofContests },
+        { $group: { _id: '$contestId', count: { $sum: '$views' } } },
+    ]).toArray());
+
+    const rows = contests.map(contest => {
+        const id = contest._id.toString();
+        const paid = payments.get(id) || { participants: 0, soloEntries: 0, teams: [] };
+        const entries = paid.soloEntries + paid.teams.filter(Boolean).length;
+        const submitted = submissions.get(id)?.count || 0;
+        const viewCount = views.get(id)?.count || 0;
+        return {
+            contestId: id,
+            name: contest.name,
+            status: contest.status,
+            contestType: contest.contestType,
+            createdAt: contest.createdAt,
+            deadline: contest.deadline,
+            price: contest.price,
+            maxParticipants: contest.maxParticipants || null,
+            participants: paid.participants,
+            entries,
+            submissions: submitted,
+            submissionRate: ratio(submitted, entries),
+            fillRate: contest.maxParticipants ? ratio(paid.participants, contest.maxParticipants) : null,
+            views: viewCount,
+            conversionRate: conversionRate(paid.participants, viewCount),
+            revenue: roundMoney(money.get(id)?.revenue || 0),
+            earnings: roundMoney(money.get(id)?.earnings || 0),
+        };
+    });
+
+    const total = (field) => rows.reduce((sum, row) => sum + row[field], 0);
+    const fillRates = rows.filter(row => row.fillRate !== null).map(row => row.fillRate);
+    const totals = {
+        contests: rows.length,
+        participants: total('participants'),
+        entries: total('entries'),
+        submissions: total('submissions'),
+        submissionRate: ratio(total('submissions'), total('entries')),
+        views: total('views'),
+        conversionRate: conversionRate(total('participants'), total('views')),
+        revenue: roundMoney(total('revenue')),
+        earnings: roundMoney(total('earnings')),
+        averageEntryFee: rows.length > 0 ? roundMoney(average(rows.map(row => Number(row.price) || 0))) : null,
+        averageFillRate: fillRates.length > 0 ? roundRate(average(fillRates)) : null,
+    };
+
+    // Over time, within the range
+    const paymentBuckets = await paymentsCollection.aggregate([
+        { $match: { ...ofContests, ...verifiedPaymentFilter, ...inRange('date', range) } },
+        { $group: { _id: bucketOf('date', interval), participations: { $sum: isEntry }, revenue: { $sum: { $subtract: ['$price', refunded] } } } },
+    ]).toArray();
+    const earningBuckets = await ledgerEntriesCollection.aggregate([
+        { $match: { account: email, type: 'creator-share', ...ofContests, ...inRange('createdAt', range) } },
+        { $group: { _id: bucketOf('createdAt', interval), earnings: { $sum: '$amount' } } },
+    ]).toArray();
+    const submissionBuckets = await submissionsCollection.aggregate([
+        { $match: { ...ofContests, ...activeSubmissionFilter, ...inRange('submissionDate', range) } },
+        { $group: { _id: bucketOf('submissionDate', interval), count: { $sum: 1 } } },
+    ]).toArray();
+
+    const byBucket = (bucketRows) => new Map(bucketRows.map(row => [new Date(row._id).toISOString(), row]));
+    const paymentRows = byBucket(paymentBuckets);
+    const earningRows = byBucket(earningBuckets);
+    const submissionRows = byBucket(submissionBuckets);
+
+    const series = [];
+    for (let start = bucketStart(range.from, interval); start < range.to; start = nextBucket(start, interval)) {
+        const key = start.toISOString();
+        series.push({
+            period: key,
+            participations: paymentRows.get(key)?.participations || 0,
+            revenue: roundMoney(paymentRows.get(key)?.revenue || 0),
+            earnings: roundMoney(earningRows.get(key)?.earnings || 0),
+            submissions: submissionRows.get(key)?.count || 0,
+        });
+    }
+
+    return { from: range.from, to: range.to, interval, totals, contests: rows, series };
+};
+
+// Counts one contest page view in today's bucket
+const recordContestView = ({ contestViewsCollection }, contestId, now = new Date()) => contestViewsCollection.updateOne(
+    { contestId: contestId.toString(), day: bucketStart(now, 'day') },
+    { $inc: { views: 1 } },
+    { upsert: true }
+);
+
+// All-time net revenue from verified payments (for /admin-stats)
+const totalRevenueOf = async ({ paymentsCollection }) => {
+    const [result] = await paymentsCollection.aggregate([
+        { $match: verifiedPaymentFilter },
+        { $group: { _id: null, revenue: { $sum: { $subtract: ['$price', refunded] } } } },
+    ]).toArray();
+    return roundMoney(result?.revenue || 0);
+};
+
+module.exports = {
+    INTERVALS,
+    BREAKDOWNS,
+    verifiedPaymentFilter,
+    parseAnalyticsQuery,
+    buildTimeSeries,
+    buildBreakdown,
+    buildCreatorAnalytics,
+    recordContestView,
+    totalRevenueOf,
+};
@@ -0,0 +1,95 @@
+// App factory: builds the Express app around the given collections, Stripe
+// client, file storage, mailer (or notifier) and event bus, so it can be
+// served from index.js or booted in tests.
+const express = require('express');
+const cors = require('cors');
+const cookieParser = require('cookie-parser');
+const defaultConfig = require('./config');
+const { jsonBodyParser, createAuthMiddlewares, errorHandler } = require('./middlewares');
+const { createSessions } = require('./sessions');
+const { createStorage } = require('./storage');
+const { createMailer } = require('./mailer');
+const { createNotifier } = require('./notifications');
+const { createEventBus } = require('./events');
+const { createLeaderboards } = require('./leaderboards');
+const {
+    createContestsController,
+    createUsersController,
+    createPaymentsController,
+    createSubmissionsController,
+    createJudgingController,
+    createTeamsController,
+    createCreatorApplicationsController,
+    createLedgerController,
+    createNotificationsController,
+    createEventsController,
+    createLeaderboardsController,
+    createAdminController,
+} = require('./controllers');
+const {
+    createContestsRouter,
+    createUsersRouter,
+    createPaymentsRouter,
+    createSubmissionsRouter,
+    createJudgingRouter,
+    createTeamsRouter,
+    createCreatorApplicationsRouter,
+    createLedgerRouter,
+    createNotificationsRouter,
+    createEventsRouter,
+    createLeaderboardsRouter,
+    createAdminRouter,
+} = require('./routes');
+
+const createApp = ({ collections, stripe, storage, mailer, notifier, events, config = defaultConfig }) => {
+    const app = express();
+
+    // Middleware
+    app.use(cors({
+        origin: config.corsOrigins,
+        credentials: true
+    }));
+    app.use(jsonBodyParser);
+    app.use(cookieParser());
+
+    const deps = {
+        ...collections,
+        stripe,
+        storage: storage || createStorage(config),
+        events: events || createEventBus(config, collections),
+        config,
+    };
+    deps.sessions = createSessions(deps);
+    deps.notifier = notifier || createNotifier({ ...collections, mailer: mailer || createMailer(config) });
+    deps.leaderboards = createLeaderboards(collections);
+    const auth = createAuthMiddlewares(deps);
+
+    app.use(createContestsRouter(createContestsController(deps), auth));
+    app.use(createUsersRouter(createUsersController(deps), auth));
+    app.use(createPaymentsRouter(createPaymentsController(deps), auth));
+    app.use(createSubmissionsRouter(createSubmissionsController(deps), auth));
+    app.use(createJudgingRouter(createJudgingController(deps), auth));
+    app.use(createTeamsRouter(createTeamsController(deps), auth));
+    app.use(createCreatorApplicationsRouter(createCreatorApplicationsController(deps), auth));
+    app.use(createLedgerRouter(createLedgerController(deps), auth));
+    app.use(createNotificationsRouter(createNotificationsController(deps), auth));
+    app.use(createEventsRouter(createEventsController(deps), auth));
+    app.use(createLeaderboardsRouter(createLeaderboardsController(deps), auth));
+    app.use(createAdminRouter(createAdminController(deps), auth));
+
+    // Root Route (Sanity Check)
+    app.get('/', (req, res) => {
+        res.send('ContestHub Server is running...');
+    });
+
+    // Basic Test Route
+    app.get('/test', (req, res) => {
+        res.send({ message: 'ContestHub API Test Endpoint is working!' });
+    });
+
+    app.use(errorHandler);
+
+    return app;
+};
+
+module.exports = { createApp };
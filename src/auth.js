@@ -0,0 +1,66 @@
+// Identity checks used before /jwt issues a token: identity-provider ID
+// tokens (e.g. Firebase) and our own email/password credentials.
+const crypto = require('crypto');
+const { promisify } = require('util');
+const jwt = require('jsonwebtoken');
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LENGTH = 64;
+
+// Stored as scrypt$<salt>$<hash>, both base64
+const hashPassword = async (password) => {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+};
+
+const verifyPassword = async (password, stored) => {
+    const [scheme, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'base64');
+    const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+};
+
+/**
+ * Verifies an identity-provider ID token against the configured public keys
+ * (a { kid: PEM } map), issuer and audience. Resolves to the token's claims,
+ * or null when the token can't be trusted.
+ */
+const verifyIdToken = (idToken, { idpPublicKeys, idpIssuer, idpAudience }) => {
+    // jsonwebtoken skips the issuer/audience checks when they are undefined, which
+    // would accept tokens the same keys signed for any other project
+    if (!idpIssuer || !idpAudience) return null;
+
+    const decoded = jwt.decode(idToken, { complete: true });
+    const publicKey = decoded && idpPublicKeys[decoded.header.kid];
+    if (!publicKey) return null;
+
+    try {
+        const claims = jwt.verify(idToken, publicKey, {
+            algorithms: ['RS256'],
+            issuer: idpIssuer,
+            audience: idpAudience,
+        });
+        // Firebase leaves `sub` empty for tokens it didn't issue to a user
+        if (!claims.sub || !claims.email) return null;
+        return claims;
+    } catch (error) {
+        return null;
+    }
+};
+
+// The only claims our own tokens carry
+const tokenPayload = (user) => ({
+    id: user._id.toString(),
+    email: user.email,
+    role: user.role,
+});
+
+module.exports = {
+    hashPassword,
+    verifyPassword,
+    verifyIdToken,
+    tokenPayload,
+};
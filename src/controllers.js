@@ -0,0 +1,2891 @@
+// Route handlers, grouped by domain. Each factory receives the collections
+// (and clients) it needs, so the app can run against any database.
+const jwt = require('jsonwebtoken');
+const { ObjectId } = require('mongodb');
+const {
+    STATUS,
+    LISTED_STATUSES,
+    APPROVED_STATUSES,
+    EDITABLE_STATUSES,
+    initialStatusFields,
+    transitionContest,
+    completeContest,
+} = require('./lifecycle');
+const { isPast, runScheduledJobs } = require('./scheduler');
+const { hashPassword, verifyPassword, verifyIdToken } = require('./auth');
+const { REFRESH_COOKIE, readAccessToken, setSessionCookies, clearSessionCookies } = require('./sessions');
+const { ROLES, OWNERSHIP_RULES, can, canAny, normalizeRole, describePolicy } = require('./permissions');
+const { APPLICATION_STATUS, changeUserRole } = require('./roles');
+const { buildRubric, checkScores, weightedScore, panelScore, rankSubmissions } = require('./judging');
+const { normalizePrizeTiers, prizeTiersOf, buildWinners, topTierWinners, recordPlacements } = require('./prizes');
+const {
+    PAYOUT_STATUS,
+    activePaymentFilter,
+    toCents,
+    recordEntryFee,
+    recordRefundEntries,
+    openContestPayouts,
+    updatePayoutStatus,
+    ledgerTotals,
+    buildStatement,
+    writeStatementCsv,
+} = require('./ledger');
+const { checkUploads, storageKeyFor, safeFileName, newFileId } = require('./uploads');
+const {
+    activeSubmissionFilter,
+    checkRevisable,
+    reviseSubmission,
+    markWithdrawn,
+    latestVersion,
+    allFilesOf,
+} = require('./submissions');
+const { parseContestSearch, contestSearchPipeline, formatSearchResult } = require('./search');
+const { paginate, readPage } = require('./pagination');
+const { parseAnalyticsQuery, buildTimeSeries, buildBreakdown, buildCreatorAnalytics, recordContestView, totalRevenueOf } = require('./analytics');
+const { NOTIFICATION_TYPES, preferencesOf } = require('./notifications');
+const {
+    isAudience,
+    contestPendingEvent,
+    submissionCreatedEvent,
+    participationChangedEvent,
+    winnersDeclaredEvent,
+} = require('./events');
+const { CONTEST_TYPES } = require('./validation');
+const { ALL, seasonOf, parseLeaderboardQuery, boardFilter, rankRows } = require('./leaderboards');
+const { MEMBER_STATUS, teamPolicyOf, acceptedMembers, seatsTaken, findTeamOf, lockTeamShares, teamShareFor, isTeamPaid } = require('./teams');
+
+// The profile fields anyone may see; everything else on a user (password
+// hash, role history, notification preferences...) stays on the server
+const publicUserProjection = { name: 1, image: 1, bio: 1, role: 1, createdAt: 1 };
+// Admins also need the address to tell accounts apart
+const adminUserProjection = { ...publicUserProjection, email: 1 };
+
+// Decided contests as the public sees them: no winner or creator emails, team rosters or history
+const publicWinnerContestProjection = {
+    name: 1,
+    image: 1,
+    description: 1,
+    contestType: 1,
+    price: 1,
+    prizeMoney: 1,
+    participationCount: 1,
+    deadline: 1,
+    status: 1,
+    createdAt: 1,
+    'winners.tierName': 1,
+    'winners.place': 1,
+    'winners.amount': 1,
+    'winners.name': 1,
+    'winners.image': 1,
+    'winners.teamName': 1,
+    'winners.declaredAt': 1,
+};
+
+// --- Contest APIs ---
+const createContestsController = ({
+    contestsCollection,
+    usersCollection,
+    paymentsCollection,
+    submissionsCollection,
+    ledgerEntriesCollection,
+    payoutsCollection,
+    contestViewsCollection,
+    notifier,
+    events,
+    leaderboards,
+}) => {
+    const ledger = { ledgerEntriesCollection, payoutsCollection };
+    const analytics = { contestsCollection, paymentsCollection, submissionsCollection, ledgerEntriesCollection, contestViewsCollection };
+
+    // Winners shown on a creator's public profile
+    const SHOWCASE_SIZE = 12;
+
+    // Statuses a creator may move their own contest to
+    const CREATOR_STATUS_TARGETS = [STATUS.PENDING, STATUS.DRAFT, STATUS.CLOSED, STATUS.CANCELLED];
+
+    // Normalizes body.prizeTiers in place and checks the tiers (new or stored) against the prize money
+    const checkPrizeTiers = (fields, contest = {}) => {
+        const tiers = fields.prizeTiers || contest.prizeTiers;
+        if (!tiers) return null;
+
+        const { prizeTiers, error } = normalizePrizeTiers(tiers, fields.prizeMoney ?? contest.prizeMoney);
+        if (error) return error;
+        if (fields.prizeTiers) fields.prizeTiers = prizeTiers;
+        return null;
+    };
+
+    return {
+        getPopularContests: async (req, res) => {
+            try {
+                const result = await contestsCollection.find({ status: { $in: LISTED_STATUSES } })
+                    .sort({ participationCount: -1 })
+                    .limit(4)
+                    .toArray();
+
+                res.send(result);
+            } catch (error) {
+                console.error('Error fetching popular contests:', error);
+                res.status(500).send({ message: 'Failed to fetch popular contests' });
+            }
+        },
+
+        // 1. Add a New Contest (Protected by Creator Role)
+        createContest: async (req, res) => {
+            const { draft, ...contest } = req.body;
+
+            const prizeError = checkPrizeTiers(contest);
+            if (prizeError) {
+                return res.status(400).send({ message: prizeError });
+            }
+
+            // New contests go to admin review ('Pending') unless saved as a draft
+            const contestToInsert = {
+                ...contest,
+                ...initialStatusFields(draft ? STATUS.DRAFT : STATUS.PENDING, req.decoded.email),
+                participationCount: 0, // Initial count
+                creator: req.decoded.email, // Store creator's email for verification/management
+                createdAt: new Date(),
+            };
+
+            const result = await contestsCollection.insertOne(contestToInsert);
+            if (!draft) {
+                await notifier.contestPending({ ...contestToInsert, _id: result.insertedId });
+                await events.publish(contestPendingEvent({ ...contestToInsert, _id: result.insertedId }));
+            }
+            res.send(result);
+        },
+
+        deleteContest: async (req, res) => { // 🔑 মেথড অবশ্যই .delete হবে
+            try {
+                const id = req.params.id;
+
+                // আইডি ভ্যালিড কিনা চেক করা
+                if (!ObjectId.isValid(id)) {
+                    return res.status(400).send({ message: 'Invalid ID format' });
+                }
+
+                const query = { _id: new ObjectId(id) };
+                const contest = await contestsCollection.findOne(query);
+
+                if (!contest) {
+                    return res.status(404).send({ message: 'Contest not found' });
+                }
+
+                // ক্রিয়েটর ভেরিফিকেশন
+                if (!can(req.user, 'contests:delete', contest)) {
+                    return res.status(403).send({ message: 'Unauthorized access' });
+                }
+
+                // Approved contests may have participants, so they are cancelled instead of deleted
+                const deletable = canAny(req.user, 'contests:delete') ? [...EDITABLE_STATUSES, STATUS.CANCELLED] : EDITABLE_STATUSES;
+                if (!deletable.includes(contest.status)) {
+                    return res.status(400).send({ message: `Cannot delete a contest that is ${contest.status}, cancel it instead` });
+                }
+
+                // Fees are refunded through the contest, so it stays until none are left
+                const unrefunded = await paymentsCollection.countDocuments({ contestId: id, ...activePaymentFilter });
+                if (unrefunded > 0) {
+                    return res.status(409).send({ message: `Refund the ${unrefunded} remaining payment(s) before deleting this contest` });
+                }
+
+                const result = await contestsCollection.deleteOne(query);
+                res.send(result);
+
+            } catch (error) {
+                console.error('Delete Error:', error);
+                res.status(500).send({ message: 'Failed to delete contest' });
+            }
+        },
+
+        // --- Creator Edit Contest API (Pending Status check) ---
+        editCreatorContest: async (req, res) => {
+            const id = req.params.id;
+            const updatedData = req.body; // Whitelisted by contestUpdateSchema
+            const creatorEmail = req.decoded.email;
+
+            if (!ObjectId.isValid(id)) {
+                return res.status(400).send({ message: 'Invalid Contest ID' });
+            }
+
+            // Only allow update before approval AND when the creator email matches
+            const filter = {
+                _id: new ObjectId(id),
+                creator: creatorEmail,
+                status: { $in: EDITABLE_STATUSES } // Crucial check: approved contests can't be edited
+            };
+
+            const prizeError = checkPrizeTiers(updatedData, await contestsCollection.findOne(filter) || {});
+            if (prizeError) {
+                return res.status(400).send({ message: prizeError });
+            }
+
+            // Prepare the update document
+            const updateDoc = {
+                $set: updatedData,
+            };
+
+            const result = await contestsCollection.updateOne(filter, updateDoc);
+
+            if (result.matchedCount === 0) {
+                return res.status(403).send({ message: 'Forbidden: Contest either Confirmed/Rejected or does not belong to this creator.' });
+            }
+            res.send(result);
+        },
+
+        // --- Creator Delete Contest API (Pending Status check) ---
+        deleteCreatorContest: async (req, res) => {
+            const id = req.params.id;
+            const creatorEmail = req.decoded.email;
+
+            if (!ObjectId.isValid(id)) {
+                return res.status(400).send({ message: 'Invalid Contest ID' });
+            }
+
+            // Only allow deletion before approval AND when the creator email matches
+            const query = {
+                _id: new ObjectId(id),
+                creator: creatorEmail,
+                status: { $in: EDITABLE_STATUSES } // Crucial check: approved contests can't be deleted
+            };
+
+            const result = await contestsCollection.deleteOne(query);
+
+            if (result.deletedCount === 0) {
+                return res.status(403).send({ message: 'Forbidden: Contest either Confirmed/Rejected or does not belong to this creator.' });
+            }
+            res.send(result);
+        },
+
+        getContest: async (req, res) => {
+            const id = req.params.id;
+            const query = { _id: new ObjectId(id) };
+            const result = await contestsCollection.findOne(query);
+
+            // Page views feed the view-to-entry conversion in admin analytics (creators viewing their own don't count)
+            if (result && result.creator !== req.decoded.email) {
+                await recordContestView({ contestViewsCollection }, result._id).catch(error => {
+                    console.error('Contest View Error:', error.message);
+                });
+            }
+
+            // Contests without their own tiers show the default single prize
+            res.send(result && { ...result, prizeTiers: prizeTiersOf(result) });
+        },
+
+        // 📌 API 11: Update a Contest (PUT/PATCH)
+        updateContest: async (req, res) => {
+            const id = req.params.id;
+            const updatedContest = req.body;
+
+            if (!ObjectId.isValid(id)) {
+                return res.status(400).send({ message: 'Invalid Contest ID' });
+            }
+
+            // কন্টেস্টের তথ্য আপডেট করা
+            const fields = updatedContest; // Only the whitelisted contest fields
+
+            const filter = { _id: new ObjectId(id), creator: req.decoded.email };
+            const contest = await contestsCollection.findOne(filter);
+
+            if (!contest) {
+                return res.status(404).send({ message: 'Contest not found' });
+            }
+
+            const prizeError = checkPrizeTiers(fields, contest);
+            if (prizeError) {
+                return res.status(400).send({ message: prizeError });
+            }
+
+            // A rejected contest goes back to 'Pending' so the admin can check it again
+            if (contest.status === STATUS.REJECTED) {
+                const result = await transitionContest(contestsCollection, contest._id, STATUS.PENDING, {
+                    by: req.decoded.email,
+                    reason: 'Edited after rejection',
+                    set: fields,
+                });
+                if (result.error) {
+                    return res.status(result.error.status).send(result.error);
+                }
+                await notifier.contestPending(result.contest);
+                await events.publish(contestPendingEvent(result.contest));
+                return res.send({ acknowledged: true, matchedCount: 1, modifiedCount: 1 });
+            }
+
+            if (!EDITABLE_STATUSES.includes(contest.status)) {
+                return res.status(409).send({ message: `Cannot edit a contest that is ${contest.status}` });
+            }
+
+            const result = await contestsCollection.updateOne(
+                { ...filter, status: contest.status },
+                { $set: fields }
+            );
+            res.send(result);
+        },
+
+        // Creator controls: submit a draft, pull back to draft, close early or cancel before opening
+        updateCreatorContestStatus: async (req, res) => {
+            const id = req.params.id;
+            const { status, reason } = req.body;
+
+            if (!ObjectId.isValid(id)) {
+                return res.status(400).send({ message: 'Invalid Contest ID' });
+            }
+            if (!CREATOR_STATUS_TARGETS.includes(status)) {
+                return res.status(400).send({ message: 'Invalid status provided.' });
+            }
+
+            try {
+                const filter = { creator: req.decoded.email };
+
+                // Contests with paying participants can only be cancelled by an admin (who handles refunds)
+                if (status === STATUS.CANCELLED) {
+                    filter.status = { $nin: [STATUS.OPEN, STATUS.CLOSED] };
+                }
+
+                const result = await transitionContest(contestsCollection, new ObjectId(id), status, {
+                    by: req.decoded.email,
+                    reason,
+                    filter,
+                });
+
+                if (result.error) {
+                    return res.status(result.error.status).send(result.error);
+                }
+                // Submitted (or resubmitted) for review
+                if (status === STATUS.PENDING) {
+                    await notifier.contestPending(result.contest);
+                    await events.publish(contestPendingEvent(result.contest));
+                }
+                res.send({ acknowledged: true, modifiedCount: 1, status });
+
+            } catch (error) {
+                console.error('Error updating contest status:', error);
+                res.status(500).send({ message: 'Failed to update contest status' });
+            }
+        },
+
+        // Search, filter, sort and facet the listed contests (see src/search.js for the parameters)
+        getContests: async (req, res) => {
+            const search = parseContestSearch(req.query);
+            if (search.errors) {
+                return res.status(400).send({ message: 'Invalid query', errors: search.errors });
+            }
+
+            const page = readPage(req, res, search.sort);
+            if (!page) return;
+
+            const result = await contestsCollection.aggregate(contestSearchPipeline(search, page)).toArray();
+
+            // Sending the page of contests, the total count and facets
+            res.send(formatSearchResult(result, page));
+        },
+
+        getCreatorContests: async (req, res) => {
+            try {
+                const creatorEmail = req.decoded.email; // verifyToken থেকে আসা ইউজারের ইমেল
+
+                const page = readPage(req, res, { createdAt: -1 });
+                if (!page) return;
+
+                // creator ফিল্ডে লগইন করা ইউজারের ইমেল আছে এমন কন্টেস্ট খুঁজে বের করা
+                res.send(await paginate(contestsCollection, { creator: creatorEmail }, page));
+            } catch (error) {
+                console.error('Error fetching creator contests:', error);
+                res.status(500).send({ message: 'Failed to fetch created contests' });
+            }
+        },
+
+        // The creator's own dashboard (see buildCreatorAnalytics for the fields)
+        getCreatorAnalytics: async (req, res) => {
+            const range = parseAnalyticsQuery(req.query);
+            if (range.errors) {
+                return res.status(400).send({ message: 'Invalid query', errors: range.errors });
+            }
+
+            try {
+                res.send(await buildCreatorAnalytics(analytics, req.decoded.email, range));
+            } catch (error) {
+                console.error('Creator Analytics Error:', error);
+                res.status(500).send({ message: 'Failed to compute analytics' });
+            }
+        },
+
+        // 4. Get Popular Contests (Sorted by highest participation count)
+        getTopContests: async (req, res) => {
+            // Only fetch Accepted contests and sort by participationCount descending
+            const query = { status: { $in: LISTED_STATUSES } };
+            const result = await contestsCollection.find(query)
+                .sort({ participationCount: -1 }) // Sort descending
+                .limit(5) // Show only 5 contests as required
+                .toArray();
+
+            res.send(result);
+        },
+
+        getBestCreators: async (req, res) => {
+            try {
+                // 1. Group contests by creator and sum the participationCount
+                const topCreators = await contestsCollection.aggregate([
+                    // Filter: Only consider contests that passed admin review
+                    { $match: { status: { $in: APPROVED_STATUSES } } },
+
+                    {
+                        $group: {
+                            _id: "$creator", // Group by creator email
+                            totalParticipation: { $sum: "$participationCount" }, // Sum up all participation counts for this creator
+                            contestsCount: { $sum: 1 } // Count how many contests they have created
+                        }
+                    },
+                    { $sort: { totalParticipation: -1 } }, // Sort by total participation descending
+                    { $limit: 3 } // Take the top 3 creators
+                ]).toArray();
+
+                // 2. Extract creator emails
+                const creatorEmails = topCreators.map(creator => creator._id);
+
+                // 3. Find user profiles (name, image) from usersCollection
+                const creatorProfiles = await usersCollection.find({
+                    email: { $in: creatorEmails }
+                }).toArray();
+
+                // 4. Merge participation data with user profiles
+                const bestCreators = topCreators.map(creator => {
+                    const profile = creatorProfiles.find(p => p.email === creator._id);
+                    return {
+                        creatorEmail: creator._id,
+                        totalParticipation: creator.totalParticipation,
+                        contestsCount: creator.contestsCount,
+                        name: profile?.name || 'Unknown Creator', // Use profile name or fallback
+                        image: profile?.image || 'https://via.placeholder.com/150' // Use profile image or fallback
+                    };
+                });
+
+                res.send(bestCreators);
+
+            } catch (error) {
+                console.error('Error fetching best creators:', error);
+                res.status(500).send({ message: 'Failed to fetch best creators' });
+            }
+        },
+
+        // Public creator profile: reviewed contests (paginated), participants and a winners' showcase
+        getCreatorProfile: async (req, res) => {
+            const email = req.params.email;
+            const page = readPage(req, res, { createdAt: -1 });
+            if (!page) return;
+
+            try {
+                const listed = { creator: email, status: { $in: APPROVED_STATUSES } };
+                const user = await usersCollection.findOne({ email }, { projection: publicUserProjection });
+                const [stats] = await contestsCollection.aggregate([
+                    { $match: listed },
+                    {
+                        $group: {
+                            _id: null,
+                            contestsCount: { $sum: 1 },
+                            totalParticipants: { $sum: '$participationCount' },
+                            winnersCount: { $sum: { $size: { $ifNull: ['$winners', []] } } },
+                        }
+                    }
+                ]).toArray();
+
+                if (!user || (!stats && normalizeRole(user.role) !== ROLES.CREATOR)) {
+                    return res.status(404).send({ message: 'Creator not found' });
+                }
+
+                const contests = await paginate(contestsCollection, listed, page, {
+                    projection: { name: 1, image: 1, contestType: 1, price: 1, prizeMoney: 1, participationCount: 1, deadline: 1, status: 1, createdAt: 1 },
+                });
+
+                // Latest results first; winners' emails stay private
+                const decided = await contestsCollection
+                    .find({ ...listed, 'winners.0': { $exists: true } })
+                    .project({ name: 1, contestType: 1, winners: 1 })
+                    .sort({ 'winners.0.declaredAt': -1 })
+                    .limit(SHOWCASE_SIZE)
+                    .toArray();
+                const showcase = decided
+                    .flatMap(contest => contest.winners.map(winner => ({
+                        contestId: contest._id.toString(),
+                        contestName: contest.name,
+                        contestType: contest.contestType,
+                        tierName: winner.tierName,
+                        place: winner.place,
+                        amount: winner.amount,
+                        name: winner.teamName || winner.name,
+                        image: winner.image,
+                        declaredAt: winner.declaredAt,
+                    })))
+                    .slice(0, SHOWCASE_SIZE);
+
+                res.send({
+                    creator: { email, name: user.name, image: user.image || null, bio: user.bio || null, memberSince: user.createdAt || null },
+                    stats: {
+                        contestsCount: stats?.contestsCount || 0,
+                        totalParticipants: stats?.totalParticipants || 0,
+                        winnersCount: stats?.winnersCount || 0,
+                    },
+                    contests,
+                    showcase,
+                });
+            } catch (error) {
+                console.error('Error fetching creator profile:', error);
+                res.status(500).send({ message: 'Failed to fetch creator profile' });
+            }
+        },
+
+        // 3. Declare Winner for a Contest (Protected by Creator Role)
+        declareContestWinner: async (req, res) => {
+            const contestId = req.params.contestId;
+            const { winnerEmail, winnerName, winnerImage } = req.body;
+            const creatorEmail = req.decoded.email;
+
+            if (!ObjectId.isValid(contestId)) {
+                return res.status(400).send({ message: 'Invalid Contest ID' });
+            }
+
+            // 1. Check if the current Creator owns this contest
+            const contest = await contestsCollection.findOne({
+                _id: new ObjectId(contestId),
+                creator: creatorEmail
+            });
+
+            if (!contest) {
+                return res.status(403).send({ message: 'Forbidden: You are not the creator of this contest.' });
+            }
+
+            // 2. The winner must have an entry in the contest (their own or their team's), since
+            // declaring one opens a prize payout to that address
+            const submission = await submissionsCollection.findOne({
+                contestId: contestId,
+                $or: [{ participantEmail: winnerEmail }, { teamMembers: winnerEmail }],
+                ...activeSubmissionFilter
+            });
+
+            if (!submission) {
+                return res.status(400).send({ message: `${winnerEmail} has no entry in this contest` });
+            }
+
+            // 3. Award the top prize tier and mark the contest completed
+            const winners = topTierWinners(contest, {
+                ...submission,
+                participantEmail: winnerEmail,
+                participantName: winnerName || submission?.participantName,
+                participantImage: winnerImage || submission?.participantImage,
+            }, creatorEmail);
+            const result = await completeContest(contestsCollection, contest._id, creatorEmail, { winners });
+
+            if (result.error) {
+                return res.status(result.error.status).send(result.error);
+            }
+
+            await recordPlacements(submissionsCollection, winners);
+            await openContestPayouts(ledger, contest, winners);
+            await notifier.winnersDeclared(contest, winners);
+            await events.publish(winnersDeclaredEvent(contest, winners));
+            await leaderboards.contestDecided(contest, winners);
+            res.send({ acknowledged: true, matchedCount: 1, modifiedCount: 1, winners });
+        },
+
+        // Award every prize tier at once: [{ tier, submissionId }] (completes the contest)
+        assignPlacements: async (req, res) => {
+            const id = req.params.id;
+
+            if (!ObjectId.isValid(id)) {
+                return res.status(400).send({ message: 'Invalid Contest ID' });
+            }
+
+            const contest = await contestsCollection.findOne({ _id: new ObjectId(id) });
+            if (!can(req.user, 'contests:declare-winner', contest)) {
+                return res.status(403).send({ message: 'Forbidden: You are not the creator of this contest.' });
+            }
+
+            const submissionIds = req.body.placements.map(placement => new ObjectId(placement.submissionId));
+            const submissions = await submissionsCollection.find({ _id: { $in: submissionIds }, contestId: id, ...activeSubmissionFilter }).toArray();
+
+            const placements = [];
+            for (const { tier, submissionId } of req.body.placements) {
+                const submission = submissions.find(entry => entry._id.toString() === submissionId);
+                if (!submission) {
+                    return res.status(400).send({ message: `Submission ${submissionId} is not an entry of this contest` });
+                }
+                placements.push({ tier, submission });
+            }
+
+            const { winners, error } = buildWinners(contest, placements, { by: req.user.email });
+            if (error) {
+                return res.status(400).send({ message: error });
+            }
+
+            const result = await completeContest(contestsCollection, contest._id, req.user.email, { winners });
+            if (result.error) {
+                return res.status(result.error.status).send(result.error);
+            }
+
+            await recordPlacements(submissionsCollection, winners);
+            await openContestPayouts(ledger, contest, winners);
+            await notifier.winnersDeclared(contest, winners);
+            await events.publish(winnersDeclaredEvent(contest, winners));
+            await leaderboards.contestDecided(contest, winners);
+            res.send({ acknowledged: true, winners });
+        },
+
+        // 4. Get all contests where a winner has been declared (Publicly accessible)
+        getWinnerContests: async (req, res) => {
+            // Completed contests with at least one placement
+            const query = { 'winners.0': { $exists: true }, status: STATUS.COMPLETED };
+
+            // Sort by latest declaration date
+            const page = readPage(req, res, { 'winners.0.declaredAt': -1 });
+            if (!page) return;
+
+            res.send(await paginate(contestsCollection, query, page, { projection: publicWinnerContestProjection }));
+        },
+    };
+};
+
+// --- User APIs ---
+const createUsersController = ({ usersCollection, contestsCollection, paymentsCollection, teamsCollection, sessions, config }) => {
+    return {
+        // --- JWT Token Generation API ---
+        // Issued only after an identity-provider ID token or our own email/password checks out
+        issueToken: async (req, res) => {
+            const { idToken, email, password } = req.body;
+            let user;
+
+            if (idToken) {
+                const claims = verifyIdToken(idToken, config);
+                if (!claims) {
+                    return res.status(401).send({ message: 'unauthorized access: Invalid identity token' });
+                }
+
+                user = await usersCollection.findOne({ email: claims.email });
+
+                // Accounts whose owner never proved the address: registered with a password, or
+                // through the provider with an unverified email
+                const unproven = user && !user.emailVerified && (user.passwordHash || user.emailVerified === false);
+
+                // An unverified provider email proves nothing about who owns the address: it only
+                // opens an account that is unproven itself, and registers one only if the deployment allows it
+                if (!claims.email_verified) {
+                    if (user?.passwordHash && !user.emailVerified) {
+                        return res.status(409).send({ message: 'This email is registered with a password; verify it with your identity provider or sign in with the password' });
+                    }
+                    if (user ? !unproven : config.idpRequireVerifiedEmail) {
+                        return res.status(401).send({ message: 'unauthorized access: Verify your email with your identity provider first' });
+                    }
+                }
+
+                // POST /users takes any email, so an unproven account says nothing about who owns it.
+                // A provider-verified email takes the account over, and any password goes with every
+                // session it opened (it may have been set up by someone else in advance).
+                if (unproven && claims.email_verified) {
+                    await usersCollection.updateOne({ _id: user._id }, { $set: { emailVerified: true }, $unset: { passwordHash: '' } });
+                    await sessions.revokeUserSessions(user.email, 'email-verified');
+                }
+
+                // First sign-in through the identity provider registers the user
+                if (!user) {
+                    const userToInsert = {
+                        name: claims.name || claims.email.split('@')[0],
+                        email: claims.email,
+                        image: claims.picture,
+                        role: 'User',
+                        emailVerified: claims.email_verified === true,
+                        createdAt: new Date()
+                    };
+                    try {
+                        await usersCollection.insertOne(userToInsert);
+                        user = userToInsert;
+                    } catch (error) {
+                        // Registered by a parallel request in the meantime
+                        if (error.code !== 11000) throw error;
+                        user = await usersCollection.findOne({ email: claims.email });
+                    }
+                }
+            } else if (email && password) {
+                user = await usersCollection.findOne({ email: email });
+                if (!user || !(await verifyPassword(password, user.passwordHash))) {
+                    return res.status(401).send({ message: 'unauthorized access: Invalid email or password' });
+                }
+            } else {
+                return res.status(400).send({ message: 'Provide either an idToken or an email and password' });
+            }
+
+            const session = await sessions.startSession(user, { userAgent: req.get('user-agent'), ip: req.ip });
+            setSessionCookies(res, session, config);
+            // Sending the access token in the response too, for clients that use the Authorization header
+            res.send({ token: session.accessToken, expiresIn: config.accessTokenTtlSeconds });
+        },
+
+        // Spends the refresh cookie and sets a fresh access/refresh pair
+        refreshSession: async (req, res) => {
+            const result = await sessions.rotateSession(req.cookies?.[REFRESH_COOKIE]);
+            if (result.error) {
+                clearSessionCookies(res, config);
+                return res.status(result.error.status).send({ message: result.error.message });
+            }
+
+            setSessionCookies(res, result, config);
+            res.send({ token: result.accessToken, expiresIn: config.accessTokenTtlSeconds });
+        },
+
+        // --- JWT Logout API (New) ---
+        // Revokes the current session; works with the refresh cookie or an (even expired) access token
+        logout: async (req, res) => {
+            const refreshToken = req.cookies?.[REFRESH_COOKIE];
+            if (refreshToken) {
+                await sessions.revokeByRefreshToken(refreshToken, 'logout');
+            } else {
+                const accessToken = readAccessToken(req);
+                let decoded = null;
+                try {
+                    decoded = accessToken && jwt.verify(accessToken, config.jwtSecret, { ignoreExpiration: true });
+                } catch (error) {
+                    decoded = null;
+                }
+                if (decoded?.sid && ObjectId.isValid(decoded.sid)) {
+                    await sessions.revokeSession(new ObjectId(decoded.sid), 'logout');
+                }
+            }
+
+            clearSessionCookies(res, config);
+            res.send({ success: true, message: "Logged out successfully" });
+        },
+
+        // Log out everywhere: revokes every session of the signed-in user
+        logoutAll: async (req, res) => {
+            const revoked = await sessions.revokeUserSessions(req.decoded.email, 'logout-all');
+            clearSessionCookies(res, config);
+            res.send({ success: true, revoked, message: "Logged out of all sessions" });
+        },
+
+        // --- User Role Check API (New Secured Routes) ---
+        checkAdmin: async (req, res) => {
+            const email = req.params.email;
+            if (email !== req.decoded.email) {
+                return res.status(403).send({ message: 'forbidden access' });
+            }
+            res.send({ admin: true });
+        },
+
+        checkCreator: async (req, res) => {
+            const email = req.params.email;
+            if (email !== req.decoded.email) {
+                return res.status(403).send({ message: 'forbidden access' });
+            }
+            res.send({ creator: true });
+        },
+
+        getUserRole: async (req, res) => {
+            const email = req.params.email;
+            // নিরাপত্তা যাচাই: রিকোয়েস্টকারী ইউজার সেই ইউজারই কিনা যার রোল চাওয়া হচ্ছে
+            if (!can(req.user, 'profile:read', { email })) {
+                return res.status(403).send({ message: 'Forbidden access' });
+            }
+
+            try {
+                const user = await usersCollection.findOne({ email: email });
+
+                if (user) {
+                    // যদি user থাকে, তবে তার role রিটার্ন করা
+                    res.send({ role: normalizeRole(user.role) });
+                } else {
+                    // Unknown users get the default role
+                    res.status(404).send({ role: normalizeRole(null), message: 'User not found' });
+                }
+            } catch (error) {
+                console.error('Error fetching user role:', error);
+                res.status(500).send({ message: 'Internal server error' });
+            }
+        },
+
+        // 📌 API 15: User Profile Stats (For My Profile Page)
+        getUserStats: async (req, res) => {
+            const email = req.params.email;
+            // Wins are top-tier placements; placements count every prize tier; team results count for every member
+            const wonBy = { $or: [{ email: email }, { members: email }] };
+            const wins = await contestsCollection.countDocuments({ winners: { $elemMatch: { place: 1, ...wonBy } } });
+            const placements = await contestsCollection.countDocuments({ winners: { $elemMatch: wonBy } });
+
+            // Contests entered by paying, or through a team someone else paid for
+            const paidFor = await paymentsCollection.distinct('contestId', { email: email, ...activePaymentFilter });
+            const teamEntries = await teamsCollection.distinct('contestId', {
+                paid: true,
+                members: { $elemMatch: { email, status: MEMBER_STATUS.ACCEPTED } },
+            });
+            const participation = new Set([...paidFor, ...teamEntries]).size;
+            res.send({ wins, placements, participation });
+        },
+
+        // --- User Profile Update API ---
+        updateProfile: async (req, res) => {
+            const email = req.params.email;
+            const updateFields = req.body;
+
+            // Security check: Ensure token email matches the requested email
+            if (!can(req.user, 'profile:update', { email })) {
+                return res.status(403).send({ message: 'forbidden access' });
+            }
+
+            // Filter by email
+            const filter = { email: email };
+
+            // Update Document: Only set fields that are passed in the request body
+            const updateDoc = {
+                $set: updateFields,
+            };
+
+            const result = await usersCollection.updateOne(filter, updateDoc);
+
+            if (result.matchedCount === 0) {
+                return res.status(404).send({ message: 'User not found' });
+            }
+            res.send(result);
+        },
+
+        // Roles, their permissions and ownership rules (src/permissions.js)
+        getRoles: async (req, res) => {
+            res.send(describePolicy());
+        },
+
+        // --- User Related APIs (Registration/Login) ---
+        registerUser: async (req, res) => {
+            const { password, ...user } = req.body;
+
+            // Check if the user already exists in the database
+            const query = { email: user.email };
+            const existingUser = await usersCollection.findOne(query);
+
+            if (existingUser) {
+                // If user exists, don't insert again, just confirm
+                return res.send({ message: 'User already exists', insertedId: null });
+            }
+
+            // Default role for new users is 'Normal User'
+            const userToInsert = {
+                ...user,
+                role: 'User',
+                createdAt: new Date()
+            };
+
+            // Email/password accounts; identity-provider users sign in with an ID token instead
+            if (password) {
+                userToInsert.passwordHash = await hashPassword(password);
+            }
+
+            try {
+                const result = await usersCollection.insertOne(userToInsert);
+                res.send(result);
+            } catch (error) {
+                // Registered by a parallel request in the meantime
+                if (error.code !== 11000) throw error;
+                res.send({ message: 'User already exists', insertedId: null });
+            }
+        },
+
+        // --- API to get a single user's role (will be needed for dashboard access)
+        getUser: async (req, res) => {
+            const email = req.params.email;
+            const query = { email: email };
+            const user = await usersCollection.findOne(query, { projection: publicUserProjection });
+            res.send(user);
+        },
+    };
+};
+
+// --- Payment APIs ---
+const createPaymentsController = ({
+    contestsCollection,
+    usersCollection,
+    paymentsCollection,
+    stripeEventsCollection,
+    ledgerEntriesCollection,
+    payoutsCollection,
+    teamsCollection,
+    checkoutsCollection,
+    stripe,
+    notifier,
+    events,
+    config,
+}) => {
+    const ledger = { ledgerEntriesCollection, payoutsCollection };
+    const contestOf = (contestId) => (ObjectId.isValid(contestId) ? contestsCollection.findOne({ _id: new ObjectId(contestId) }) : null);
+
+    // Moves a contest's participant count by `delta` and tells its viewers
+    const changeParticipation = async (contestId, delta) => {
+        if (!ObjectId.isValid(contestId)) return;
+        const contest = await contestsCollection.findOneAndUpdate(
+            { _id: new ObjectId(contestId) },
+            { $inc: { participationCount: delta } },
+            { returnDocument: 'after' }
+        );
+        if (contest) await events.publish(participationChangedEvent(contest));
+    };
+
+    // A team's roster locks with its first payment; it enters once fully paid
+    // and, whatever its payment mode, counts as one participant while it is
+    const refreshTeamPayment = async (teamId) => {
+        const team = ObjectId.isValid(teamId) ? await teamsCollection.findOne({ _id: new ObjectId(teamId) }) : null;
+        if (!team) return;
+
+        const payments = await paymentsCollection.find({ teamId, ...activePaymentFilter }).toArray();
+        const paid = isTeamPaid(await contestOf(team.contestId), team, payments);
+        const set = { paid };
+        if (payments.length > 0 && !team.lockedAt) set.lockedAt = new Date();
+        if (paid && !team.paidAt) set.paidAt = new Date();
+
+        // Only the refresh that flips `paid` moves the count
+        const wasPaid = team.paid === true;
+        const result = await teamsCollection.updateOne({ _id: team._id, paid: wasPaid ? true : { $ne: true } }, { $set: set });
+        if (result.modifiedCount === 1 && paid !== wasPaid) {
+            await changeParticipation(team.contestId, paid ? 1 : -1);
+        }
+    };
+
+    // payment_intent.succeeded: record the payment and count the participation once
+    const handlePaymentSucceeded = async (intent) => {
+        const { contestId, email, teamId } = intent.metadata || {};
+        if (!contestId || !email) {
+            console.warn(`Stripe: PaymentIntent ${intent.id} has no contest/user metadata, skipping`);
+            return;
+        }
+
+        const paymentFields = {
+            email,
+            contestId,
+            transactionId: intent.id,
+            price: intent.amount_received / 100,
+            currency: intent.currency,
+            status: 'succeeded',
+            date: new Date(),
+        };
+        if (teamId) paymentFields.teamId = teamId;
+
+        const existing = await paymentsCollection.findOne({ transactionId: intent.id });
+        let counted = false;
+
+        if (!existing) {
+            try {
+                await paymentsCollection.insertOne(paymentFields);
+                counted = true;
+            } catch (error) {
+                // Another delivery for the same intent got there first
+                if (error.code !== 11000) throw error;
+            }
+        } else if (existing.status === 'failed') {
+            // An earlier attempt on this intent failed; it has now gone through
+            const result = await paymentsCollection.updateOne(
+                { _id: existing._id, status: 'failed' },
+                { $set: paymentFields, $unset: { failureMessage: '' } }
+            );
+            counted = result.modifiedCount === 1;
+        }
+
+        // Two checkouts for the same entry were both paid: the first payment
+        // holds the place, any later one is refunded in full and never counted
+        if (await refundIfDuplicate(intent.id)) return;
+
+        // Team payments are counted once the whole team has paid (refreshTeamPayment)
+        if (counted && !teamId) {
+            await changeParticipation(contestId, 1);
+        }
+
+        // Split the fee between the platform and the contest's creator
+        if (counted) {
+            const contest = await contestOf(contestId);
+            await recordEntryFee(ledger, paymentFields, contest, config);
+            await notifier.paymentReceived(paymentFields, contest);
+        }
+        if (counted && teamId) {
+            await refreshTeamPayment(teamId);
+        }
+    };
+
+    // Refunds the payment of `transactionId` when the same user already holds an
+    // active payment for the contest. Safe to retry: only a payment still
+    // marked succeeded is refunded, under one idempotency key per intent.
+    const refundIfDuplicate = async (transactionId) => {
+        const payment = await paymentsCollection.findOne({ transactionId, status: 'succeeded' });
+        if (!payment) return false;
+
+        const [first] = await paymentsCollection
+            .find({ email: payment.email, contestId: payment.contestId, ...activePaymentFilter })
+            .sort({ _id: 1 })
+            .limit(1)
+            .toArray();
+        if (!first || first._id.equals(payment._id)) return false;
+
+        const refund = await stripe.refunds.create({
+            payment_intent: transactionId,
+            reason: 'duplicate',
+            metadata: { contestId: payment.contestId, email: payment.email, duplicateOf: first._id.toString() },
+        }, { idempotencyKey: `duplicate-entry-${transactionId}` });
+
+        // Never counted, so unlike recordRefund nothing is released or reversed
+        await paymentsCollection.updateOne(
+            { _id: payment._id },
+            {
+                $set: { status: 'refunded', refundedAmount: payment.price, refundedAt: new Date(), duplicateOf: first._id },
+                $push: {
+                    refunds: {
+                        refundId: refund.id,
+                        amount: payment.price,
+                        reason: 'Duplicate payment',
+                        refundedBy: 'system',
+                        date: new Date(),
+                    }
+                }
+            }
+        );
+        console.warn(`Stripe: refunded duplicate payment ${transactionId} (${payment.email}, contest ${payment.contestId})`);
+        return true;
+    };
+
+    // payment_intent.payment_failed: keep the attempt for reference, never count it
+    const handlePaymentFailed = async (intent) => {
+        const { contestId, email } = intent.metadata || {};
+        if (!contestId || !email) return;
+
+        await paymentsCollection.updateOne(
+            { transactionId: intent.id, status: { $in: ['failed', null] } },
+            {
+                $set: {
+                    status: 'failed',
+                    failureMessage: intent.last_payment_error?.message || 'Payment failed',
+                    updatedAt: new Date(),
+                },
+                $setOnInsert: {
+                    email,
+                    contestId,
+                    transactionId: intent.id,
+                    price: intent.amount / 100,
+                    currency: intent.currency,
+                    date: new Date(),
+                }
+            },
+            { upsert: true }
+        ).catch(error => {
+            // A succeeded record already exists for this intent, leave it alone
+            if (error.code !== 11000) throw error;
+        });
+    };
+
+    // Moves a payment to (partially_)refunded; only the first move to fully refunded frees the slot
+    const recordRefund = async (transactionId, refundedAmount, fullyRefunded) => {
+        const result = await paymentsCollection.findOneAndUpdate(
+            { transactionId, status: { $in: ['succeeded', 'partially_refunded', null] } },
+            {
+                $set: {
+                    status: fullyRefunded ? 'refunded' : 'partially_refunded',
+                    refundedAmount: refundedAmount,
+                    refundedAt: new Date(),
+                }
+            }
+        );
+
+        if (fullyRefunded && result && !result.teamId) {
+            await changeParticipation(result.contestId, -1);
+        }
+
+        // Reverse the platform's and creator's share of whatever was refunded since last time
+        if (result) {
+            const totalCents = toCents(refundedAmount);
+            const newlyRefundedCents = totalCents - toCents(result.refundedAmount || 0);
+            const contest = await contestOf(result.contestId);
+            await recordRefundEntries(ledger, result, contest, newlyRefundedCents, totalCents, config);
+            if (newlyRefundedCents > 0) {
+                await notifier.paymentRefunded(result, contest, newlyRefundedCents);
+            }
+        }
+        if (result?.teamId) {
+            await refreshTeamPayment(result.teamId);
+        }
+        return !!result;
+    };
+
+    // charge.refunded: mark the payment refunded and release the participation slot
+    const handleChargeRefunded = async (charge) => {
+        const transactionId = typeof charge.payment_intent === 'string'
+            ? charge.payment_intent
+            : charge.payment_intent?.id;
+        if (!transactionId) return;
+
+        await recordRefund(transactionId, charge.amount_refunded / 100, charge.refunded === true);
+    };
+
+    const stripeEventHandlers = {
+        'payment_intent.succeeded': handlePaymentSucceeded,
+        'payment_intent.payment_failed': handlePaymentFailed,
+        'charge.refunded': handleChargeRefunded,
+    };
+
+    // Refunds `amount` (defaults to whatever is left) of a payment through Stripe
+    const refundPayment = async (payment, amount, reason, refundedBy) => {
+        const paidCents = Math.round(Number(payment.price) * 100);
+        const refundedCents = Math.round((payment.refundedAmount || 0) * 100);
+        const remainingCents = paidCents - refundedCents;
+        const amountCents = amount === undefined ? remainingCents : Math.round(Number(amount) * 100);
+
+        if (!Number.isFinite(amountCents) || amountCents < 1 || amountCents > remainingCents) {
+            return { error: `Refund amount must be between 0.01 and ${remainingCents / 100}.` };
+        }
+
+        const refund = await stripe.refunds.create({
+            payment_intent: payment.transactionId,
+            amount: amountCents,
+            reason: 'requested_by_customer',
+            metadata: {
+                contestId: payment.contestId,
+                email: payment.email,
+                refundedBy: refundedBy,
+                note: String(reason || '').slice(0, 500),
+            }
+        });
+
+        const totalRefundedCents = refundedCents + refund.amount;
+        await recordRefund(payment.transactionId, totalRefundedCents / 100, totalRefundedCents >= paidCents);
+        await paymentsCollection.updateOne(
+            { _id: payment._id },
+            {
+                $push: {
+                    refunds: {
+                        refundId: refund.id,
+                        amount: refund.amount / 100,
+                        reason: reason || null,
+                        refundedBy: refundedBy,
+                        date: new Date(),
+                    }
+                }
+            }
+        );
+
+        return { refundId: refund.id, amount: refund.amount / 100, fullyRefunded: totalRefundedCents >= paidCents };
+    };
+
+    return {
+        // 1. Create Payment Intent (Client Secret), priced from the contest itself
+        createPaymentIntent: async (req, res) => {
+            const { contestId } = req.body;
+            const userEmail = req.decoded.email;
+
+            if (!ObjectId.isValid(contestId)) {
+                return res.status(400).send({ error: 'A valid contestId is required.' });
+            }
+
+            try {
+                const contest = await contestsCollection.findOne({ _id: new ObjectId(contestId) });
+
+                if (!contest) {
+                    return res.status(404).send({ error: 'Contest not found.' });
+                }
+
+                // Only open contests accept new entries
+                if (contest.status !== STATUS.OPEN) {
+                    return res.status(400).send({ error: 'This contest is not accepting registrations.' });
+                }
+                if (isPast(contest.deadline, new Date())) {
+                    return res.status(400).send({ error: 'The registration deadline for this contest has passed.' });
+                }
+                if (contest.maxParticipants && (contest.participationCount || 0) >= contest.maxParticipants) {
+                    return res.status(400).send({ error: 'This contest is full.' });
+                }
+
+                const alreadyPaid = await paymentsCollection.findOne({
+                    email: userEmail,
+                    contestId: contestId,
+                    ...activePaymentFilter
+                });
+
+                if (alreadyPaid) {
+                    return res.status(400).send({ error: 'You have already registered for this contest.' });
+                }
+
+                // Team members pay through their team: the whole fee (captain) or their share
+                const member = teamPolicyOf(contest) ? await findTeamOf(teamsCollection, contestId, userEmail) : null;
+                const team = member ? await lockTeamShares(teamsCollection, contest, member) : null;
+                const share = team ? teamShareFor(contest, team, userEmail) : null;
+                if (share?.error) {
+                    return res.status(400).send({ error: share.error });
+                }
+
+                // Stripe works with cents/paisha, so convert price to integer cents
+                const amount = share ? share.amount : Math.round(Number(contest.price) * 100);
+
+                // Safety check for amount
+                if (!Number.isFinite(amount) || amount < 1) {
+                    return res.status(400).send({ error: 'Payment amount must be greater than zero.' });
+                }
+
+                const currency = (contest.currency || config.defaultCurrency).toLowerCase();
+                const user = await usersCollection.findOne({ email: userEmail }, { projection: { _id: 1 } });
+
+                const paymentIntent = await stripe.paymentIntents.create({
+                    amount: amount,
+                    currency: currency,
+                    payment_method_types: ['card'], // Only accepting card payments
+                    // The webhook uses this to know who paid for which contest
+                    metadata: {
+                        contestId: contestId,
+                        contestName: String(contest.name || ''),
+                        email: userEmail,
+                        userId: user ? user._id.toString() : '',
+                        teamId: team ? team._id.toString() : '',
+                    }
+                });
+
+                // Only the latest checkout can be paid: the one it replaces is cancelled
+                const previous = await checkoutsCollection.findOneAndUpdate(
+                    { email: userEmail, contestId },
+                    { $set: { intentId: paymentIntent.id, createdAt: new Date() } },
+                    { upsert: true, returnDocument: 'before' }
+                );
+                if (previous?.intentId && previous.intentId !== paymentIntent.id) {
+                    await stripe.paymentIntents.cancel(previous.intentId).catch(error => {
+                        // Already paid or cancelled; a second payment is refunded by the webhook
+                        console.warn(`Stripe: could not cancel PaymentIntent ${previous.intentId}:`, error.message);
+                    });
+                }
+
+                // Send client secret back to the client, with the price the server charged
+                res.send({
+                    clientSecret: paymentIntent.client_secret,
+                    amount: amount / 100,
+                    currency: currency,
+                    teamId: team ? team._id.toString() : null,
+                });
+
+            } catch (error) {
+                console.error("Stripe Error:", error.message);
+                res.status(500).send({ error: 'Failed to create payment intent.' });
+            }
+        },
+
+        handleStripeWebhook: async (req, res) => {
+            let event;
+            try {
+                event = stripe.webhooks.constructEvent(
+                    req.rawBody,
+                    req.headers['stripe-signature'],
+                    config.stripeWebhookSecret
+                );
+            } catch (error) {
+                return res.status(400).send({ message: `Webhook signature verification failed: ${error.message}` });
+            }
+
+            const handler = stripeEventHandlers[event.type];
+            if (!handler) {
+                return res.send({ received: true, ignored: true });
+            }
+
+            // Idempotency: every Stripe event is processed at most once
+            try {
+                await stripeEventsCollection.insertOne({ _id: event.id, type: event.type, receivedAt: new Date() });
+            } catch (error) {
+                if (error.code === 11000) {
+                    return res.send({ received: true, duplicate: true });
+                }
+                console.error('Stripe Webhook Error:', error);
+                return res.status(500).send({ message: 'Failed to record webhook event' });
+            }
+
+            try {
+                await handler(event.data.object);
+                res.send({ received: true });
+            } catch (error) {
+                console.error(`Stripe Webhook Error (${event.type}):`, error);
+                // Forget the event so Stripe's retry gets processed
+                await stripeEventsCollection.deleteOne({ _id: event.id });
+                res.status(500).send({ message: 'Failed to process webhook event' });
+            }
+        },
+
+        // 2. Confirm a Payment (recorded by the Stripe webhook, never by the client)
+        confirmPayment: async (req, res) => {
+            const { transactionId } = req.body;
+
+            if (!transactionId) {
+                return res.status(400).send({ message: 'transactionId is required' });
+            }
+
+            const payment = await paymentsCollection.findOne({
+                transactionId: transactionId,
+                email: req.decoded.email
+            });
+
+            if (!payment) {
+                // The webhook may not have arrived yet; the client can check again shortly
+                return res.status(202).send({ recorded: false, message: 'Payment is being processed' });
+            }
+            res.send({ recorded: true, payment });
+        },
+
+        // 1. Refund a single payment (full, or partial when `amount` is given)
+        refundSinglePayment: async (req, res) => {
+            const id = req.params.id;
+            const { amount, reason } = req.body;
+
+            if (!ObjectId.isValid(id)) {
+                return res.status(400).send({ message: 'Invalid Payment ID' });
+            }
+
+            try {
+                const payment = await paymentsCollection.findOne({ _id: new ObjectId(id) });
+
+                if (!payment) {
+                    return res.status(404).send({ message: 'Payment not found' });
+                }
+
+                const contest = ObjectId.isValid(payment.contestId)
+                    ? await contestsCollection.findOne({ _id: new ObjectId(payment.contestId) })
+                    : null;
+
+                if (!can(req.user, 'payments:refund', contest)) {
+                    return res.status(403).send({ message: 'forbidden access' });
+                }
+
+                if (!payment.transactionId || ['failed', 'refunded'].includes(payment.status)) {
+                    return res.status(400).send({ message: 'This payment cannot be refunded' });
+                }
+
+                const result = await refundPayment(payment, amount, reason, req.decoded.email);
+
+                if (result.error) {
+                    return res.status(400).send({ message: result.error });
+                }
+                res.send(result);
+
+            } catch (error) {
+                console.error('Refund Error:', error.message);
+                res.status(500).send({ message: 'Failed to refund payment' });
+            }
+        },
+
+        // 2. Refund every payment on a contest (e.g. before rejecting or deleting it)
+        refundContestPayments: async (req, res) => {
+            const id = req.params.id;
+            const { amount, reason } = req.body;
+
+            if (!ObjectId.isValid(id)) {
+                return res.status(400).send({ message: 'Invalid Contest ID' });
+            }
+
+            try {
+                const contest = await contestsCollection.findOne({ _id: new ObjectId(id) });
+
+                if (!contest) {
+                    return res.status(404).send({ message: 'Contest not found' });
+                }
+
+                if (!can(req.user, 'payments:refund', contest)) {
+                    return res.status(403).send({ message: 'forbidden access' });
+                }
+
+                const payments = await paymentsCollection.find({
+                    contestId: id,
+                    transactionId: { $type: 'string' },
+                    status: { $in: ['succeeded', 'partially_refunded', null] }
+                }).toArray();
+
+                const refunded = [];
+                const failed = [];
+
+                // One at a time, so a single Stripe failure doesn't abort the rest
+                for (const payment of payments) {
+                    try {
+                        const result = await refundPayment(payment, amount, reason, req.decoded.email);
+                        if (result.error) {
+                            failed.push({ paymentId: payment._id, email: payment.email, message: result.error });
+                        } else {
+                            refunded.push({ paymentId: payment._id, email: payment.email, ...result });
+                        }
+                    } catch (error) {
+                        failed.push({ paymentId: payment._id, email: payment.email, message: error.message });
+                    }
+                }
+
+                res.send({ refundedCount: refunded.length, failedCount: failed.length, refunded, failed });
+
+            } catch (error) {
+                console.error('Bulk Refund Error:', error.message);
+                res.status(500).send({ message: 'Failed to refund contest payments' });
+            }
+        },
+
+        // 1. Get User's Participated Contests (My Participated Contests)
+        getParticipatedContests: async (req, res) => {
+            const userEmail = req.decoded.email;
+            const query = { email: userEmail, ...activePaymentFilter }; // Query payments made by the user
+
+            // Sort by upcoming deadline
+            const page = readPage(req, res, { deadline: 1 });
+            if (!page) return;
+
+            // Get the user's successful payment records (only what the merge below needs)
+            const paymentRecords = await paymentsCollection.find(query)
+                .project({ contestId: 1, transactionId: 1, price: 1, date: 1 })
+                .toArray();
+
+            // Extract all unique contest IDs
+            const contestIds = paymentRecords.map(record => new ObjectId(record.contestId));
+
+            // Find one page of the actual contests using the IDs
+            const contests = await paginate(contestsCollection, { _id: { $in: contestIds } }, page);
+
+            // Merge payment info (e.g., transactionId, date) with contest details
+            const items = contests.items.map(contest => {
+                const paymentInfo = paymentRecords.find(p => p.contestId === contest._id.toString());
+                return {
+                    ...contest,
+                    transactionId: paymentInfo.transactionId,
+                    paidAmount: paymentInfo.price,
+                    paymentDate: paymentInfo.date,
+                };
+            });
+
+            res.send({ ...contests, items });
+        },
+
+        getUserPayments: async (req, res) => {
+            const email = req.params.email;
+            if (!can(req.user, 'payments:read', { email })) return res.status(403).send({ message: 'forbidden' });
+
+            const page = readPage(req, res, { date: -1 });
+            if (!page) return;
+
+            // পেমেন্ট কালেকশন থেকে ওই ইউজারের কেনা কন্টেস্টগুলো আনা
+            res.send(await paginate(paymentsCollection, { email: email, ...activePaymentFilter }, page));
+        },
+    };
+};
+
+// --- Submission APIs ---
+const createSubmissionsController = ({
+    contestsCollection,
+    paymentsCollection,
+    submissionsCollection,
+    teamsCollection,
+    ledgerEntriesCollection,
+    payoutsCollection,
+    storage,
+    notifier,
+    events,
+    leaderboards,
+}) => {
+    const ledger = { ledgerEntriesCollection, payoutsCollection };
+
+    // Writes checked uploads to storage and returns what the submission keeps about them
+    const storeFiles = async (contestId, files) => {
+        const stored = [];
+        for (const file of files) {
+            const fileId = newFileId();
+            const key = storageKeyFor(contestId, fileId, file.originalname);
+            await storage.save(key, file.buffer, { contentType: file.mimetype });
+            stored.push({
+                fileId,
+                name: safeFileName(file.originalname),
+                size: file.size,
+                mimeType: file.mimetype,
+                key,
+                uploadedAt: new Date(),
+            });
+        }
+        return stored;
+    };
+
+    return {
+        getCreatorSubmissions: async (req, res) => {
+            try {
+                const creatorEmail = req.decoded.email; // লগইন করা ক্রিয়েটরের ইমেইল
+
+                // ১. প্রথমে ক্রিয়েটরের সব কন্টেস্টের আইডি খুঁজে বের করা
+                const myContests = await contestsCollection
+                    .find({ creator: creatorEmail })
+                    .project({ _id: 1, name: 1 }) // শুধু আইডি এবং নাম নিচ্ছি
+                    .toArray();
+
+                const contestIds = myContests.map(c => c._id.toString());
+
+                const page = readPage(req, res, { submissionDate: -1 });
+                if (!page) return;
+
+                // ২. ওই আইডিগুলোর বিপরীতে যত সাবমিশন আছে তা খুঁজে বের করা (এক পেজ করে)
+                const submissions = await paginate(
+                    submissionsCollection,
+                    { contestId: { $in: contestIds }, ...activeSubmissionFilter },
+                    page
+                );
+
+                res.send({ ...submissions, items: submissions.items.map(latestVersion) });
+            } catch (error) {
+                res.status(500).send({ message: "Failed to fetch submissions" });
+            }
+        },
+
+        declareSubmissionWinner: async (req, res) => {
+            try {
+                const submissionId = req.params.id;
+                const { contestId, participantName, participantImage } = req.body;
+
+                if (!ObjectId.isValid(submissionId) || !ObjectId.isValid(contestId)) {
+                    return res.status(400).send({ message: 'Invalid Submission or Contest ID' });
+                }
+
+                // Only the contest's creator may pick its winner, and only among its own entries
+                const contest = await contestsCollection.findOne({ _id: new ObjectId(contestId) });
+                if (!can(req.user, 'contests:declare-winner', contest)) {
+                    return res.status(403).send({ message: 'Forbidden: You are not the creator of this contest.' });
+                }
+
+                const submission = await submissionsCollection.findOne({ _id: new ObjectId(submissionId), contestId: contestId, ...activeSubmissionFilter });
+                if (!submission) {
+                    return res.status(404).send({ message: 'Submission not found for this contest' });
+                }
+
+                // ২. কন্টেস্টটি আপডেট করা (বিজয়ীর তথ্য সেট করা)
+                const winners = topTierWinners(contest, {
+                    ...submission,
+                    participantName: participantName || submission.participantName,
+                    participantImage: participantImage || submission.participantImage,
+                }, req.decoded.email);
+                const result = await completeContest(contestsCollection, contest._id, req.decoded.email, { winners });
+
+                if (result.error) {
+                    return res.status(result.error.status).send(result.error);
+                }
+
+                // ১. সাবমিশনটি আপডেট করা (Winner হিসেবে মার্ক করা)
+                await recordPlacements(submissionsCollection, winners);
+                await openContestPayouts(ledger, contest, winners);
+                await notifier.winnersDeclared(contest, winners);
+                await events.publish(winnersDeclaredEvent(contest, winners));
+                await leaderboards.contestDecided(contest, winners);
+
+                res.send({ acknowledged: true, matchedCount: 1, modifiedCount: 1, winners });
+            } catch (error) {
+                console.error('Declare Winner Error:', error);
+                res.status(500).send({ message: "Failed to declare winner" });
+            }
+        },
+
+        // 1. Submit a Contest Entry
+        createSubmission: async (req, res) => {
+            const submission = req.body;
+            const userEmail = req.decoded.email;
+            const contestId = submission.contestId;
+
+            if (!ObjectId.isValid(contestId)) {
+                return res.status(400).send({ message: 'Invalid Contest ID' });
+            }
+
+            const contest = await contestsCollection.findOne({ _id: new ObjectId(contestId) });
+
+            if (!contest) {
+                return res.status(404).send({ message: 'Contest not found' });
+            }
+
+            // Entries are only accepted while the contest is open and before its deadline
+            if (contest.status !== STATUS.OPEN || isPast(contest.deadline, new Date())) {
+                return res.status(403).send({ message: 'Forbidden: This contest is no longer accepting submissions.' });
+            }
+
+            // Team members enter once, as their team
+            const team = teamPolicyOf(contest) ? await findTeamOf(teamsCollection, contestId, userEmail) : null;
+
+            if (team) {
+                if (!team.paid) {
+                    return res.status(403).send({ message: 'Forbidden: Your team has not paid its entry fee yet.' });
+                }
+                const teamSubmitted = await submissionsCollection.findOne({ contestId, teamId: team._id.toString(), ...activeSubmissionFilter });
+                if (teamSubmitted) {
+                    return res.status(400).send({ message: 'Bad Request: Your team has already submitted an entry for this contest.' });
+                }
+            } else {
+                // Basic Validation: Check if the user has paid for the contest
+                const hasPaid = await paymentsCollection.findOne({
+                    email: userEmail,
+                    contestId: contestId,
+                    ...activePaymentFilter
+                });
+
+                if (!hasPaid) {
+                    const wasRefunded = await paymentsCollection.findOne({
+                        email: userEmail,
+                        contestId: contestId,
+                        status: 'refunded'
+                    });
+                    if (wasRefunded) {
+                        return res.status(403).send({ message: 'Forbidden: Your entry fee for this contest was refunded.' });
+                    }
+                    return res.status(403).send({ message: 'Forbidden: You must pay to participate in this contest.' });
+                }
+
+                // Check if the user has already submitted for this contest
+                // (a withdrawn entry doesn't count, the participant may enter again)
+                const alreadySubmitted = await submissionsCollection.findOne({
+                    contestId: contestId,
+                    participantEmail: userEmail,
+                    ...activeSubmissionFilter
+                });
+
+                if (alreadySubmitted) {
+                    return res.status(400).send({ message: 'Bad Request: You have already submitted an entry for this contest.' });
+                }
+            }
+
+            // Uploaded files (multipart requests) must fit the contest type's limits
+            const checked = checkUploads(contest.contestType, req.files || []);
+            if (checked.error) {
+                return res.status(400).send({ message: checked.error });
+            }
+            const files = await storeFiles(contestId, checked.files);
+
+            // Prepare submission document
+            const submissionToInsert = {
+                ...submission,
+                participantEmail: userEmail,
+                submissionDate: new Date(),
+                // Add default status like 'Pending Review' or just rely on existence
+            };
+            if (team) {
+                // The captain represents the team (prizes are paid to them); every member owns the entry
+                Object.assign(submissionToInsert, {
+                    participantEmail: team.captainEmail,
+                    participantName: team.name,
+                    submittedBy: userEmail,
+                    teamId: team._id.toString(),
+                    teamName: team.name,
+                    teamMembers: acceptedMembers(team),
+                });
+            }
+            if (files.length > 0) submissionToInsert.files = files;
+
+            let result;
+            try {
+                result = await submissionsCollection.insertOne(submissionToInsert);
+            } catch (error) {
+                // Don't leave orphaned files behind
+                await Promise.all(files.map(file => storage.remove(file.key).catch(() => {})));
+                throw error;
+            }
+
+            const stored = { ...submissionToInsert, _id: result.insertedId };
+            await notifier.submissionReceived(stored, contest);
+            await events.publish(submissionCreatedEvent(stored, contest));
+            res.send({ ...result, files });
+        },
+
+        // Replace an entry's fields and/or files before the deadline; the previous version is kept
+        updateSubmission: async (req, res) => {
+            const id = req.params.id;
+
+            if (!ObjectId.isValid(id)) {
+                return res.status(400).send({ message: 'Invalid Submission ID' });
+            }
+
+            const submission = await submissionsCollection.findOne({ _id: new ObjectId(id) });
+            if (!submission) {
+                return res.status(404).send({ message: 'Submission not found' });
+            }
+            if (!can(req.user, 'submissions:edit', submission)) {
+                return res.status(403).send({ message: 'Forbidden: This is not your entry.' });
+            }
+
+            const contest = ObjectId.isValid(submission.contestId)
+                ? await contestsCollection.findOne({ _id: new ObjectId(submission.contestId) })
+                : null;
+            const blocked = checkRevisable(contest, submission);
+            if (blocked) {
+                return res.status(blocked.error.status).send({ message: blocked.error.message });
+            }
+
+            const checked = checkUploads(contest.contestType, req.files || []);
+            if (checked.error) {
+                return res.status(400).send({ message: checked.error });
+            }
+            if (Object.keys(req.body).length === 0 && checked.files.length === 0) {
+                return res.status(400).send({ message: 'Nothing to update' });
+            }
+
+            const files = await storeFiles(submission.contestId, checked.files);
+            const changes = files.length > 0 ? { ...req.body, files } : req.body;
+
+            const result = await reviseSubmission(submissionsCollection, submission, changes);
+            if (result.error) {
+                await Promise.all(files.map(file => storage.remove(file.key).catch(() => {})));
+                return res.status(result.error.status).send({ message: result.error.message });
+            }
+            res.send(latestVersion(result.submission));
+        },
+
+        // Withdraw an entry before the deadline (the participant may submit again later)
+        withdrawSubmission: async (req, res) => {
+            const id = req.params.id;
+
+            if (!ObjectId.isValid(id)) {
+                return res.status(400).send({ message: 'Invalid Submission ID' });
+            }
+
+            const submission = await submissionsCollection.findOne({ _id: new ObjectId(id) });
+            if (!submission) {
+                return res.status(404).send({ message: 'Submission not found' });
+            }
+            if (!can(req.user, 'submissions:edit', submission)) {
+                return res.status(403).send({ message: 'Forbidden: This is not your entry.' });
+            }
+
+            const contest = ObjectId.isValid(submission.contestId)
+                ? await contestsCollection.findOne({ _id: new ObjectId(submission.contestId) })
+                : null;
+            const blocked = checkRevisable(contest, submission);
+            if (blocked) {
+                return res.status(blocked.error.status).send({ message: blocked.error.message });
+            }
+
+            const result = await markWithdrawn(submissionsCollection, submission);
+            if (result.error) {
+                return res.status(result.error.status).send({ message: result.error.message });
+            }
+            res.send({ acknowledged: true, status: result.submission.status });
+        },
+
+        // Every version of an entry, for the participant, the contest's creator and admins
+        getSubmissionVersions: async (req, res) => {
+            const id = req.params.id;
+
+            if (!ObjectId.isValid(id)) {
+                return res.status(400).send({ message: 'Invalid Submission ID' });
+            }
+
+            const submission = await submissionsCollection.findOne({ _id: new ObjectId(id) });
+            if (!submission) {
+                return res.status(404).send({ message: 'Submission not found' });
+            }
+
+            const contest = ObjectId.isValid(submission.contestId)
+                ? await contestsCollection.findOne({ _id: new ObjectId(submission.contestId) })
+                : null;
+            if (!can(req.user, 'submissions:read-files', submission) && !can(req.user, 'submissions:review', contest)) {
+                return res.status(403).send({ message: 'forbidden access' });
+            }
+
+            const current = latestVersion(submission);
+            res.send({ current, history: submission.history || [], versionCount: current.versionCount });
+        },
+
+        // Streams one uploaded file to the submitter, the contest's creator, its judges or an admin
+        downloadSubmissionFile: async (req, res) => {
+            const { id, fileId } = req.params;
+
+            if (!ObjectId.isValid(id)) {
+                return res.status(400).send({ message: 'Invalid Submission ID' });
+            }
+
+            const submission = await submissionsCollection.findOne({ _id: new ObjectId(id) });
+            const file = submission && allFilesOf(submission).find(entry => entry.fileId === fileId);
+            if (!file) {
+                return res.status(404).send({ message: 'File not found' });
+            }
+
+            const contest = ObjectId.isValid(submission.contestId)
+                ? await contestsCollection.findOne({ _id: new ObjectId(submission.contestId) })
+                : null;
+            const allowed = can(req.user, 'submissions:read-files', submission)
+                || can(req.user, 'submissions:review', contest)
+                || can(req.user, 'submissions:judge', contest);
+            if (!allowed) {
+                return res.status(403).send({ message: 'forbidden access' });
+            }
+
+            const stream = await storage.read(file.key);
+            if (!stream) {
+                return res.status(404).send({ message: 'File not found' });
+            }
+
+            res.set({
+                'Content-Type': file.mimeType,
+                'Content-Length': String(file.size),
+                'Content-Disposition': `attachment; filename="${file.name}"`,
+                'X-Content-Type-Options': 'nosniff',
+            });
+            // A storage failure mid-stream can only abort the response
+            stream.on('error', (error) => {
+                console.error(`Storage Error (${file.key}):`, error);
+                res.destroy(error);
+            });
+            stream.pipe(res);
+        },
+
+        // 2. Get all Submissions for a specific contest (Protected by Creator Role)
+        getContestSubmissions: async (req, res) => {
+            const contestId = req.params.contestId;
+            const creatorEmail = req.decoded.email;
+
+            if (!ObjectId.isValid(contestId)) {
+                return res.status(400).send({ message: 'Invalid Contest ID' });
+            }
+
+            // 1. Check if the current Creator owns this contest
+            const contest = await contestsCollection.findOne({
+                _id: new ObjectId(contestId),
+                creator: creatorEmail
+            });
+
+            if (!contest) {
+                return res.status(403).send({ message: 'Forbidden: You are not the creator of this contest.' });
+            }
+
+            const page = readPage(req, res, { submissionDate: -1 });
+            if (!page) return;
+
+            // 2. Fetch a page of submissions for that contest (latest version of each, with a version count)
+            const query = { contestId: contestId, ...activeSubmissionFilter };
+            const submissions = await paginate(submissionsCollection, query, page);
+
+            res.send({ ...submissions, items: submissions.items.map(latestVersion) });
+        },
+    };
+};
+
+// --- Team APIs ---
+const createTeamsController = ({ teamsCollection, contestsCollection, paymentsCollection }) => {
+    const findContest = async (id) => (ObjectId.isValid(id) ? contestsCollection.findOne({ _id: new ObjectId(id) }) : null);
+    const findTeam = async (id) => (ObjectId.isValid(id) ? teamsCollection.findOne({ _id: new ObjectId(id) }) : null);
+
+    // Teams can only form or change while the contest takes entries and before anyone pays
+    const checkRosterOpen = (contest, team) => {
+        if (!teamPolicyOf(contest)) {
+            return { status: 400, message: 'This contest does not accept team entries' };
+        }
+        if (contest.status !== STATUS.OPEN || isPast(contest.deadline, new Date())) {
+            return { status: 400, message: 'This contest is no longer accepting registrations.' };
+        }
+        if (team?.lockedAt) {
+            return { status: 409, message: 'The team roster is locked once members start paying the entry fee' };
+        }
+        return null;
+    };
+
+    // Someone who already entered alone, or through another team, can't join a team
+    const checkCanJoin = async (contestId, email) => {
+        const team = await findTeamOf(teamsCollection, contestId, email);
+        if (team) {
+            return { status: 409, message: `${email} is already in team '${team.name}' for this contest` };
+        }
+        const solo = await paymentsCollection.findOne({ email, contestId, teamId: { $exists: false }, ...activePaymentFilter });
+        if (solo) {
+            return { status: 409, message: `${email} has already registered for this contest individually` };
+        }
+        return null;
+    };
+
+    return {
+        // The caller becomes captain; `invites` are emailed members-to-be
+        createTeam: async (req, res) => {
+            const { contestId, name, invites = [] } = req.body;
+            const email = req.user.email;
+
+            const contest = await findContest(contestId);
+            if (!contest) {
+                return res.status(404).send({ message: 'Contest not found' });
+            }
+            const closed = checkRosterOpen(contest);
+            if (closed) {
+                return res.status(closed.status).send({ message: closed.message });
+            }
+            const blocked = await checkCanJoin(contestId, email);
+            if (blocked) {
+                return res.status(blocked.status).send({ message: blocked.message });
+            }
+
+            const invitees = [...new Set(invites)].filter(invitee => invitee !== email);
+            if (invitees.length + 1 > teamPolicyOf(contest).maxSize) {
+                return res.status(400).send({ message: `Teams for this contest have at most ${teamPolicyOf(contest).maxSize} members` });
+            }
+
+            const now = new Date();
+            const team = {
+                contestId,
+                contestName: contest.name,
+                name,
+                captainEmail: email,
+                members: [
+                    { email, status: MEMBER_STATUS.ACCEPTED, invitedAt: now, respondedAt: now },
+                    ...invitees.map(invitee => ({ email: invitee, status: MEMBER_STATUS.INVITED, invitedAt: now, respondedAt: null })),
+                ],
+                paid: false,
+                createdAt: now,
+            };
+
+            const result = await teamsCollection.insertOne(team);
+            res.send({ ...result, team: { _id: result.insertedId, ...team } });
+        },
+
+        // Teams the caller captains, belongs to or is invited to
+        getMyTeams: async (req, res) => {
+            const page = readPage(req, res, { createdAt: -1 });
+            if (!page) return;
+
+            res.send(await paginate(teamsCollection, {
+                members: { $elemMatch: { email: req.user.email, status: { $ne: MEMBER_STATUS.DECLINED } } },
+            }, page));
+        },
+
+        getTeam: async (req, res) => {
+            const team = await findTeam(req.params.id);
+            if (!team) {
+                return res.status(404).send({ message: 'Team not found' });
+            }
+            const contest = await findContest(team.contestId);
+            if (!can(req.user, 'teams:read', team) && !can(req.user, 'submissions:review', contest)) {
+                return res.status(403).send({ message: 'forbidden access' });
+            }
+            res.send(team);
+        },
+
+        // Captain invites more members (up to the contest's maxSize)
+        inviteMembers: async (req, res) => {
+            const team = await findTeam(req.params.id);
+            if (!team) {
+                return res.status(404).send({ message: 'Team not found' });
+            }
+            if (!can(req.user, 'teams:manage', team)) {
+                return res.status(403).send({ message: 'Forbidden: Only the team captain can invite members.' });
+            }
+
+            const contest = await findContest(team.contestId);
+            const closed = checkRosterOpen(contest, team);
+            if (closed) {
+                return res.status(closed.status).send({ message: closed.message });
+            }
+
+            const known = team.members.filter(member => member.status !== MEMBER_STATUS.DECLINED).map(member => member.email);
+            const invitees = [...new Set(req.body.emails)].filter(email => !known.includes(email));
+            if (seatsTaken(team) + invitees.length > teamPolicyOf(contest).maxSize) {
+                return res.status(400).send({ message: `Teams for this contest have at most ${teamPolicyOf(contest).maxSize} members` });
+            }
+
+            // Declined members can be invited again
+            const now = new Date();
+            const members = [
+                ...team.members.filter(member => !invitees.includes(member.email)),
+                ...invitees.map(email => ({ email, status: MEMBER_STATUS.INVITED, invitedAt: now, respondedAt: null })),
+            ];
+            const result = await teamsCollection.findOneAndUpdate(
+                { _id: team._id, lockedAt: { $exists: false } },
+                { $set: { members } },
+                { returnDocument: 'after' }
+            );
+            if (!result) {
+                return res.status(409).send({ message: 'The team roster is locked once members start paying the entry fee' });
+            }
+            res.send(result);
+        },
+
+        // An invitee accepts or declines: { accept: true | false }
+        respondToInvite: async (req, res) => {
+            const team = await findTeam(req.params.id);
+            const email = req.user.email;
+            const invite = team?.members.find(member => member.email === email && member.status === MEMBER_STATUS.INVITED);
+            if (!invite) {
+                return res.status(404).send({ message: 'No pending invitation to this team' });
+            }
+
+            const contest = await findContest(team.contestId);
+            const closed = checkRosterOpen(contest, team);
+            if (closed) {
+                return res.status(closed.status).send({ message: closed.message });
+            }
+            if (req.body.accept) {
+                const blocked = await checkCanJoin(team.contestId, email);
+                if (blocked) {
+                    return res.status(blocked.status).send({ message: blocked.message });
+                }
+            }
+
+            const status = req.body.accept ? MEMBER_STATUS.ACCEPTED : MEMBER_STATUS.DECLINED;
+            const result = await teamsCollection.findOneAndUpdate(
+                {
+                    _id: team._id,
+                    lockedAt: { $exists: false },
+                    members: { $elemMatch: { email, status: MEMBER_STATUS.INVITED } },
+                },
+                { $set: { 'members.$': { ...invite, status, respondedAt: new Date() } } },
+                { returnDocument: 'after' }
+            );
+            if (!result) {
+                return res.status(409).send({ message: 'The team changed while you were responding, please retry' });
+            }
+            res.send(result);
+        },
+    };
+};
+
+// --- Judging Panel APIs ---
+const createJudgingController = ({
+    contestsCollection,
+    submissionsCollection,
+    paymentsCollection,
+    teamsCollection,
+    judgeScoresCollection,
+    ledgerEntriesCollection,
+    payoutsCollection,
+    notifier,
+    events,
+    leaderboards,
+}) => {
+    const ledger = { ledgerEntriesCollection, payoutsCollection };
+
+    // Judges only see their own scores, never the panel's aggregate
+    const hiddenFromJudges = { judgeScore: 0, judgeCount: 0, history: 0 };
+    const JUDGING_STATUSES = [STATUS.OPEN, STATUS.CLOSED];
+
+    const findContest = async (id) => (ObjectId.isValid(id) ? contestsCollection.findOne({ _id: new ObjectId(id) }) : null);
+
+    // Keeps submission.judgeScore (used by the 'highest-judge-score' winner rule) in step with the panel
+    const refreshPanelScore = async (submissionId, judges) => {
+        const scoreDocs = await judgeScoresCollection.find({ submissionId, judgeEmail: { $in: judges } }).toArray();
+        await submissionsCollection.updateOne(
+            { _id: new ObjectId(submissionId) },
+            { $set: { judgeScore: panelScore(scoreDocs), judgeCount: scoreDocs.length } }
+        );
+    };
+
+    // Who of `emails` has entered the contest: paid, submitted, or is on one of its teams
+    const entrantsAmong = async (contestId, emails) => {
+        const paid = await paymentsCollection.distinct('email', { contestId, email: { $in: emails }, ...activePaymentFilter });
+        const submitted = await submissionsCollection
+            .find({ contestId, ...activeSubmissionFilter, $or: [{ participantEmail: { $in: emails } }, { teamMembers: { $in: emails } }] })
+            .project({ participantEmail: 1, teamMembers: 1 })
+            .toArray();
+        const teams = await teamsCollection.find({ contestId, 'members.email': { $in: emails } }).toArray();
+        const entered = new Set([
+            ...paid,
+            ...submitted.flatMap(submission => [submission.participantEmail, ...(submission.teamMembers || [])]),
+            ...teams.flatMap(acceptedMembers),
+        ]);
+        return emails.filter(email => entered.has(email));
+    };
+
+    const loadRanking = async (contest) => {
+        const contestId = contest._id.toString();
+        const submissions = await submissionsCollection.find({ contestId, ...activeSubmissionFilter }).toArray();
+        const scoreDocs = await judgeScoresCollection.find({ contestId }).toArray();
+        return rankSubmissions(submissions, scoreDocs, contest.judging?.judges || []);
+    };
+
+    return {
+        // Creator sets the rubric and the judges; criteria are locked once scoring starts
+        updateJudging: async (req, res) => {
+            const contest = await findContest(req.params.id);
+            if (!contest) {
+                return res.status(404).send({ message: 'Contest not found' });
+            }
+            if (!can(req.user, 'contests:manage-judging', contest)) {
+                return res.status(403).send({ message: 'Forbidden: You are not the creator of this contest.' });
+            }
+            if ([STATUS.COMPLETED, STATUS.CANCELLED].includes(contest.status)) {
+                return res.status(409).send({ message: `Cannot change judging for a contest that is ${contest.status}` });
+            }
+
+            const { rubric, error } = buildRubric(req.body.criteria);
+            if (error) {
+                return res.status(400).send({ message: error });
+            }
+
+            const judges = [...new Set(req.body.judges)];
+            const entrants = await entrantsAmong(contest._id.toString(), judges);
+            if (entrants.length > 0) {
+                return res.status(400).send({ message: `Judges cannot have entered the contest: ${entrants.join(', ')}` });
+            }
+            const scored = await judgeScoresCollection.countDocuments({ contestId: contest._id.toString() });
+            const currentKeys = (contest.judging?.rubric || []).map(item => `${item.key}:${item.weight}:${item.maxScore}`).join('|');
+            const nextKeys = rubric.map(item => `${item.key}:${item.weight}:${item.maxScore}`).join('|');
+            if (scored > 0 && currentKeys !== nextKeys) {
+                return res.status(409).send({ message: 'The rubric cannot change after judges have started scoring' });
+            }
+
+            const judging = { rubric, judges, updatedAt: new Date(), updatedBy: req.user.email };
+            await contestsCollection.updateOne({ _id: contest._id }, { $set: { judging } });
+
+            // Removing a judge drops their scores from the panel
+            if (scored > 0) {
+                const submissionIds = await judgeScoresCollection.distinct('submissionId', { contestId: contest._id.toString() });
+                for (const submissionId of submissionIds) {
+                    await refreshPanelScore(submissionId, judges);
+                }
+            }
+
+            res.send(judging);
+        },
+
+        getJudging: async (req, res) => {
+            const contest = await findContest(req.params.id);
+            if (!contest) {
+                return res.status(404).send({ message: 'Contest not found' });
+            }
+            if (!can(req.user, 'contests:manage-judging', contest) && !can(req.user, 'submissions:judge', contest)) {
+                return res.status(403).send({ message: 'forbidden access' });
+            }
+            res.send(contest.judging || { rubric: [], judges: [] });
+        },
+
+        // Contests the signed-in user judges, with how many entries they have scored
+        getAssignments: async (req, res) => {
+            const page = readPage(req, res, { deadline: -1 });
+            if (!page) return;
+
+            const contests = await paginate(
+                contestsCollection,
+                { 'judging.judges': req.user.email, status: { $in: [...JUDGING_STATUSES, STATUS.COMPLETED] } },
+                page,
+                { projection: { name: 1, image: 1, status: 1, deadline: 1, judgingEndsAt: 1, judging: 1 } }
+            );
+
+            const assignments = [];
+            for (const contest of contests.items) {
+                const contestId = contest._id.toString();
+                const submissions = await submissionsCollection.countDocuments({ contestId, ...activeSubmissionFilter });
+                const scored = await judgeScoresCollection.countDocuments({ contestId, judgeEmail: req.user.email });
+                assignments.push({ ...contest, progress: { scored, submissions } });
+            }
+            res.send({ ...contests, items: assignments });
+        },
+
+        getJudgeSubmissions: async (req, res) => {
+            const contest = await findContest(req.params.id);
+            if (!contest) {
+                return res.status(404).send({ message: 'Contest not found' });
+            }
+            if (!can(req.user, 'submissions:judge', contest)) {
+                return res.status(403).send({ message: 'Forbidden: You are not a judge of this contest.' });
+            }
+
+            // In the order the entries came in
+            const page = readPage(req, res, { _id: 1 });
+            if (!page) return;
+
+            const contestId = contest._id.toString();
+            const submissions = await paginate(submissionsCollection, { contestId, ...activeSubmissionFilter }, page, { projection: hiddenFromJudges });
+            const submissionIds = submissions.items.map(submission => submission._id.toString());
+            const myScores = await judgeScoresCollection.find({ submissionId: { $in: submissionIds }, judgeEmail: req.user.email }).toArray();
+
+            res.send({
+                ...submissions,
+                items: submissions.items.map(submission => ({
+                    ...submission,
+                    myScore: myScores.find(doc => doc.submissionId === submission._id.toString()) || null,
+                })),
+            });
+        },
+
+        // A judge scores (or re-scores) one submission
+        scoreSubmission: async (req, res) => {
+            const id = req.params.id;
+            const { scores, comment } = req.body;
+
+            if (!ObjectId.isValid(id)) {
+                return res.status(400).send({ message: 'Invalid Submission ID' });
+            }
+
+            const submission = await submissionsCollection.findOne({ _id: new ObjectId(id), ...activeSubmissionFilter });
+            if (!submission) {
+                return res.status(404).send({ message: 'Submission not found' });
+            }
+
+            const contest = await findContest(submission.contestId);
+            if (!can(req.user, 'submissions:judge', contest)) {
+                return res.status(403).send({ message: 'Forbidden: You are not a judge of this contest.' });
+            }
+            if (OWNERSHIP_RULES.submissionOwner(req.user, submission)) {
+                return res.status(403).send({ message: 'Forbidden: Judges cannot score their own submission.' });
+            }
+            if (!JUDGING_STATUSES.includes(contest.status) || isPast(contest.judgingEndsAt, new Date())) {
+                return res.status(409).send({ message: 'Judging is closed for this contest' });
+            }
+
+            const rubric = contest.judging.rubric || [];
+            const checked = checkScores(rubric, scores);
+            if (checked.error) {
+                return res.status(400).send({ message: checked.error });
+            }
+
+            const now = new Date();
+            const scoreDoc = await judgeScoresCollection.findOneAndUpdate(
+                { submissionId: id, judgeEmail: req.user.email },
+                {
+                    $set: {
+                        contestId: submission.contestId,
+                        scores: checked.scores,
+                        weightedScore: weightedScore(rubric, checked.scores),
+                        comment: comment || null,
+                        updatedAt: now,
+                    },
+                    $setOnInsert: { createdAt: now },
+                },
+                { upsert: true, returnDocument: 'after' }
+            );
+
+            await refreshPanelScore(id, contest.judging.judges);
+            res.send(scoreDoc);
+        },
+
+        // Creator's view of the weighted ranking
+        getRanking: async (req, res) => {
+            const contest = await findContest(req.params.id);
+            if (!contest) {
+                return res.status(404).send({ message: 'Contest not found' });
+            }
+            if (!can(req.user, 'contests:declare-winner', contest)) {
+                return res.status(403).send({ message: 'Forbidden: You are not the creator of this contest.' });
+            }
+
+            const ranking = await loadRanking(contest);
+            const judges = contest.judging?.judges || [];
+            res.send({
+                ranking,
+                judges: judges.length,
+                complete: judges.length > 0 && ranking.every(entry => entry.judgeCount === judges.length),
+                topTied: ranking.filter(entry => entry.rank === 1).length > 1,
+            });
+        },
+
+        // Declares the top of the ranking; a tie at the top needs `submissionId` to pick one of the tied entries
+        declareWinnerFromRanking: async (req, res) => {
+            const contest = await findContest(req.params.id);
+            if (!contest) {
+                return res.status(404).send({ message: 'Contest not found' });
+            }
+            if (!can(req.user, 'contests:declare-winner', contest)) {
+                return res.status(403).send({ message: 'Forbidden: You are not the creator of this contest.' });
+            }
+
+            const leaders = (await loadRanking(contest)).filter(entry => entry.rank === 1);
+            if (leaders.length === 0) {
+                return res.status(409).send({ message: 'No submission has been scored yet' });
+            }
+
+            let chosen = leaders[0];
+            if (leaders.length > 1) {
+                chosen = leaders.find(entry => entry.submissionId === req.body.submissionId);
+                if (!chosen) {
+                    return res.status(409).send({ message: 'The top of the ranking is tied, choose one of the tied submissions', tied: leaders });
+                }
+            }
+
+            const submission = await submissionsCollection.findOne({ _id: new ObjectId(chosen.submissionId) });
+            const winners = topTierWinners(contest, submission, req.user.email);
+            const result = await completeContest(contestsCollection, contest._id, req.user.email, { winners });
+
+            if (result.error) {
+                return res.status(result.error.status).send(result.error);
+            }
+
+            await recordPlacements(submissionsCollection, winners);
+            await openContestPayouts(ledger, contest, winners);
+            await notifier.winnersDeclared(contest, winners);
+            await events.publish(winnersDeclaredEvent(contest, winners));
+            await leaderboards.contestDecided(contest, winners);
+            res.send({ acknowledged: true, winner: chosen, tieBroken: leaders.length > 1 });
+        },
+    };
+};
+
+// --- Creator Application APIs ---
+const createCreatorApplicationsController = ({ creatorApplicationsCollection, usersCollection }) => {
+    return {
+        // A user asks to become a Creator; one open application at a time
+        submitApplication: async (req, res) => {
+            const { portfolioUrl, pitch } = req.body;
+
+            const application = {
+                email: req.user.email,
+                userId: req.user._id,
+                portfolioUrl,
+                pitch,
+                status: APPLICATION_STATUS.PENDING,
+                createdAt: new Date(),
+            };
+
+            try {
+                const result = await creatorApplicationsCollection.insertOne(application);
+                res.send(result);
+            } catch (error) {
+                // Unique index on pending applications per email
+                if (error.code === 11000) {
+                    return res.status(409).send({ message: 'You already have a pending creator application' });
+                }
+                throw error;
+            }
+        },
+
+        getMyApplications: async (req, res) => {
+            const page = readPage(req, res, { createdAt: -1 });
+            if (!page) return;
+
+            res.send(await paginate(creatorApplicationsCollection, { email: req.user.email }, page));
+        },
+
+        // Admin review queue (Pending by default)
+        getApplications: async (req, res) => {
+            const { status } = req.query;
+            const query = { status: Object.values(APPLICATION_STATUS).includes(status) ? status : APPLICATION_STATUS.PENDING };
+
+            // Oldest first, so applications are reviewed in the order they came in
+            const page = readPage(req, res, { createdAt: 1 });
+            if (!page) return;
+
+            res.send(await paginate(creatorApplicationsCollection, query, page));
+        },
+
+        // Approve (promotes the applicant to Creator) or reject with a reason
+        reviewApplication: async (req, res) => {
+            const id = req.params.id;
+            const { status, reason } = req.body;
+
+            if (!ObjectId.isValid(id)) {
+                return res.status(400).send({ message: 'Invalid Application ID' });
+            }
+            if (status === APPLICATION_STATUS.REJECTED && !reason) {
+                return res.status(400).send({ message: 'A reason is required to reject an application' });
+            }
+
+            const application = await creatorApplicationsCollection.findOneAndUpdate(
+                { _id: new ObjectId(id), status: APPLICATION_STATUS.PENDING },
+                { $set: { status, reason: reason || null, reviewedBy: req.user.email, reviewedAt: new Date() } }
+            );
+
+            if (!application) {
+                const exists = await creatorApplicationsCollection.findOne({ _id: new ObjectId(id) });
+                return exists
+                    ? res.status(409).send({ message: `Application was already ${exists.status.toLowerCase()}` })
+                    : res.status(404).send({ message: 'Application not found' });
+            }
+
+            if (status === APPLICATION_STATUS.REJECTED) {
+                return res.send({ acknowledged: true, status });
+            }
+
+            // Admins keep their role; everyone else becomes a Creator
+            const target = await usersCollection.findOne({ email: application.email });
+            if (target?.role === ROLES.ADMIN) {
+                return res.send({ acknowledged: true, status, role: ROLES.ADMIN });
+            }
+
+            const result = await changeUserRole(usersCollection, { email: application.email }, ROLES.CREATOR, {
+                by: req.user.email,
+                reason: reason || 'Creator application approved',
+                applicationId: application._id,
+            });
+
+            if (result.error) {
+                return res.status(result.error.status).send({ message: result.error.message });
+            }
+            res.send({ acknowledged: true, status, role: result.to });
+        },
+    };
+};
+
+// --- Ledger & Payout APIs ---
+const createLedgerController = ({ contestsCollection, ledgerEntriesCollection, payoutsCollection }) => {
+    const ledger = { ledgerEntriesCollection, payoutsCollection };
+
+    return {
+        // Income, commission, creator share and prizes of one contest
+        getContestLedger: async (req, res) => {
+            const id = req.params.id;
+
+            if (!ObjectId.isValid(id)) {
+                return res.status(400).send({ message: 'Invalid Contest ID' });
+            }
+
+            const contest = await contestsCollection.findOne({ _id: new ObjectId(id) });
+            if (!contest) {
+                return res.status(404).send({ message: 'Contest not found' });
+            }
+            if (!can(req.user, 'ledger:read-contest', contest)) {
+                return res.status(403).send({ message: 'Forbidden: You are not the creator of this contest.' });
+            }
+
+            const page = readPage(req, res, { createdAt: 1 });
+            if (!page) return;
+
+            const totals = await ledgerTotals(ledgerEntriesCollection, { contestId: id });
+            // At most one per winner plus the creator's
+            const payouts = await payoutsCollection.find({ contestId: id }).toArray();
+
+            res.send({
+                contestId: id,
+                totals: {
+                    entryFees: -(totals['entry-fee'] || 0),
+                    refunds: totals.refund || 0,
+                    commission: totals.commission || 0,
+                    creatorShare: totals['creator-share'] || 0,
+                    prizes: totals.prize || 0,
+                },
+                payouts,
+                entries: await paginate(ledgerEntriesCollection, { contestId: id }, page),
+            });
+        },
+
+        // A user's statement; ?format=csv downloads the entries
+        getStatement: async (req, res) => {
+            const email = req.params.email;
+            const { format, from, to } = req.query;
+
+            if (!can(req.user, 'ledger:read-statement', { email })) {
+                return res.status(403).send({ message: 'forbidden access' });
+            }
+
+            const range = {
+                from: from && !Number.isNaN(Date.parse(from)) ? new Date(from) : undefined,
+                to: to && !Number.isNaN(Date.parse(to)) ? new Date(to) : undefined,
+            };
+
+            if (format === 'csv') {
+                res.set('Content-Type', 'text/csv; charset=utf-8');
+                res.set('Content-Disposition', `attachment; filename="statement-${email.replace(/[^a-zA-Z0-9@._-]/g, '_')}.csv"`);
+                await writeStatementCsv(ledger, email, range, (chunk) => res.write(chunk));
+                return res.end();
+            }
+
+            // The entries are paginated (oldest first); totals and balance cover the whole range
+            const page = readPage(req, res, { createdAt: 1 });
+            if (!page) return;
+            res.send(await buildStatement(ledger, email, range, page));
+        },
+
+        // Admin payout queue (owed by default)
+        getPayouts: async (req, res) => {
+            const { status } = req.query;
+            const query = { status: Object.values(PAYOUT_STATUS).includes(status) ? status : PAYOUT_STATUS.OWED };
+
+            const page = readPage(req, res, { createdAt: 1 });
+            if (!page) return;
+
+            res.send(await paginate(payoutsCollection, query, page));
+        },
+
+        updatePayout: async (req, res) => {
+            const id = req.params.id;
+            const { status, reference, note } = req.body;
+
+            if (!ObjectId.isValid(id)) {
+                return res.status(400).send({ message: 'Invalid Payout ID' });
+            }
+
+            const result = await updatePayoutStatus(ledger, new ObjectId(id), status, { by: req.user.email, reference, note });
+            if (result.error) {
+                return res.status(result.error.status).send({ message: result.error.message });
+            }
+            res.send({ acknowledged: true, payout: result.payout });
+        },
+    };
+};
+
+// --- Notification APIs ---
+const createNotificationsController = ({ notificationsCollection, usersCollection }) => {
+    return {
+        // The signed-in user's notifications, newest first (?unread=true for unread only)
+        getNotifications: async (req, res) => {
+            const page = readPage(req, res, { createdAt: -1 });
+            if (!page) return;
+
+            const query = { email: req.user.email };
+            if (req.query.unread === 'true') query.read = false;
+
+            res.send(await paginate(notificationsCollection, query, page));
+        },
+
+        getUnreadCount: async (req, res) => {
+            const count = await notificationsCollection.countDocuments({ email: req.user.email, read: false });
+            res.send({ count });
+        },
+
+        markRead: async (req, res) => {
+            const id = req.params.id;
+
+            if (!ObjectId.isValid(id)) {
+                return res.status(400).send({ message: 'Invalid Notification ID' });
+            }
+
+            // Scoped to the caller, so someone else's notification reads as missing
+            const result = await notificationsCollection.updateOne(
+                { _id: new ObjectId(id), email: req.user.email },
+                { $set: { read: true, readAt: new Date() } }
+            );
+            if (result.matchedCount === 0) {
+                return res.status(404).send({ message: 'Notification not found' });
+            }
+            res.send({ acknowledged: true, modifiedCount: result.modifiedCount });
+        },
+
+        markAllRead: async (req, res) => {
+            const result = await notificationsCollection.updateMany(
+                { email: req.user.email, read: false },
+                { $set: { read: true, readAt: new Date() } }
+            );
+            res.send({ acknowledged: true, modifiedCount: result.modifiedCount });
+        },
+
+        // Every type with its description and the user's in-app / email choices
+        getPreferences: async (req, res) => {
+            const user = await usersCollection.findOne({ email: req.user.email }, { projection: { notificationPreferences: 1 } });
+            res.send({ types: NOTIFICATION_TYPES, preferences: preferencesOf(user) });
+        },
+
+        // Only the channels sent are changed, e.g. { "winners": { "email": false } }
+        updatePreferences: async (req, res) => {
+            const set = {};
+            for (const [type, channels] of Object.entries(req.body)) {
+                for (const [channel, enabled] of Object.entries(channels)) {
+                    set[`notificationPreferences.${type}.${channel}`] = enabled;
+                }
+            }
+            if (Object.keys(set).length === 0) {
+                return res.status(400).send({ message: 'No preferences to update' });
+            }
+
+            const user = await usersCollection.findOneAndUpdate(
+                { email: req.user.email },
+                { $set: set },
+                { returnDocument: 'after', projection: { notificationPreferences: 1 } }
+            );
+            if (!user) {
+                return res.status(404).send({ message: 'User not found' });
+            }
+            res.send({ types: NOTIFICATION_TYPES, preferences: preferencesOf(user) });
+        },
+    };
+};
+
+// --- Real-time Event APIs ---
+const createEventsController = ({ events }) => {
+    const HEARTBEAT_MS = 25 * 1000; // Keeps proxies from closing an idle stream
+    const MAX_WATCHED_CONTESTS = 20;
+
+    return {
+        // Server-Sent Events: the caller's own events, plus those of ?contests=<id>,<id>
+        streamEvents: (req, res) => {
+            const contestIds = String(req.query.contests || '')
+                .split(',')
+                .map(id => id.trim())
+                .filter(id => ObjectId.isValid(id))
+                .slice(0, MAX_WATCHED_CONTESTS);
+
+            res.set({
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache, no-transform',
+                Connection: 'keep-alive',
+                'X-Accel-Buffering': 'no',
+            });
+            res.flushHeaders();
+
+            const write = (type, data, id) => {
+                res.write(`${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+            };
+
+            // How long EventSource waits before reconnecting
+            res.write('retry: 5000\n\n');
+            write('ready', { contests: contestIds });
+
+            const unsubscribe = events.subscribe((event) => {
+                if (isAudience(req.user, event, contestIds)) write(event.type, { ...event.data, at: event.at }, event.id);
+            });
+            const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+            // The stream ends with the access token; EventSource reconnects with the refreshed one
+            const expiry = setTimeout(() => res.end(), Math.max(req.decoded.exp * 1000 - Date.now(), 0));
+
+            res.on('close', () => {
+                unsubscribe();
+                clearInterval(heartbeat);
+                clearTimeout(expiry);
+            });
+        },
+    };
+};
+
+// --- Leaderboard APIs ---
+const createLeaderboardsController = ({ leaderboardsCollection }) => {
+    // Rankings are public, participants' emails are not
+    const publicRowProjection = { email: 0, updatedAt: 0 };
+
+    return {
+        // One board (?season, ?contestType), ranked by ?sort (see src/leaderboards.js)
+        getLeaderboard: async (req, res) => {
+            const board = parseLeaderboardQuery(req.query);
+            if (board.errors) {
+                return res.status(400).send({ message: 'Invalid query', errors: board.errors });
+            }
+
+            const page = readPage(req, res, { [board.sort]: -1 });
+            if (!page) return;
+
+            try {
+                const result = await paginate(leaderboardsCollection, boardFilter(board), page, { projection: publicRowProjection });
+                res.send({ ...board, ...result, items: await rankRows(leaderboardsCollection, board, result.items) });
+            } catch (error) {
+                console.error('Error fetching leaderboard:', error);
+                res.status(500).send({ message: 'Failed to fetch leaderboard' });
+            }
+        },
+
+        // Seasons that have results, newest first, and the boards to pick from
+        getSeasons: async (req, res) => {
+            const seasons = await leaderboardsCollection.distinct('season', { season: { $ne: ALL } });
+            res.send({ current: seasonOf(new Date()), seasons: seasons.sort().reverse(), contestTypes: [ALL, ...CONTEST_TYPES] });
+        },
+
+        // The signed-in participant's rank (by points) on every board they appear on
+        getMyStandings: async (req, res) => {
+            const rows = await leaderboardsCollection
+                .find({ email: req.user.email })
+                .project(publicRowProjection)
+                .sort({ season: -1, contestType: 1 })
+                .toArray();
+
+            const standings = [];
+            for (const row of rows) {
+                const [ranked] = await rankRows(leaderboardsCollection, { season: row.season, contestType: row.contestType, sort: 'points' }, [row]);
+                standings.push(ranked);
+            }
+            res.send(standings);
+        },
+    };
+};
+
+// --- Admin APIs ---
+const createAdminController = ({
+    contestsCollection,
+    usersCollection,
+    paymentsCollection,
+    submissionsCollection,
+    ledgerEntriesCollection,
+    payoutsCollection,
+    contestViewsCollection,
+    notifier,
+    events,
+    leaderboards,
+    config,
+}) => {
+    const analytics = { usersCollection, contestsCollection, paymentsCollection, contestViewsCollection };
+
+    // Statuses an admin may move any contest to
+    const ADMIN_STATUS_TARGETS = [STATUS.ACCEPTED, STATUS.REJECTED, STATUS.OPEN, STATUS.CLOSED, STATUS.CANCELLED];
+
+    return {
+        getPendingContests: async (req, res) => {
+            try {
+                // Oldest first, so contests are reviewed in the order they came in
+                const page = readPage(req, res, { createdAt: 1 });
+                if (!page) return;
+
+                // শুধুমাত্র Pending স্ট্যাটাস সহ কন্টেস্টগুলো খুঁজে বের করা
+                res.send(await paginate(contestsCollection, { status: STATUS.PENDING }, page));
+            } catch (error) {
+                console.error('Error fetching pending contests:', error);
+                res.status(500).send({ message: 'Failed to fetch pending contests' });
+            }
+        },
+
+        getAllContests: async (req, res) => {
+            const page = readPage(req, res, { createdAt: -1 });
+            if (!page) return;
+
+            // Admin needs to see all contests regardless of status
+            res.send(await paginate(contestsCollection, {}, page));
+        },
+
+        // Admin review and control (shared by /contests/status/:id and /contests/:id/status)
+        updateContestStatus: async (req, res) => {
+            const id = req.params.id;
+            const { status, reason } = req.body;
+
+            if (!ObjectId.isValid(id)) {
+                return res.status(400).send({ message: 'Invalid Contest ID' });
+            }
+            if (!ADMIN_STATUS_TARGETS.includes(status)) {
+                return res.status(400).send({ message: 'Invalid status provided.' });
+            }
+
+            try {
+                const by = req.decoded.email;
+                const result = await transitionContest(contestsCollection, new ObjectId(id), status, { by, reason });
+
+                if (result.error) {
+                    return res.status(result.error.status).send(result.error);
+                }
+
+                // Approved contests open right away unless they have a later opening date
+                const opensAt = result.contest.registrationOpensAt;
+                if (status === STATUS.ACCEPTED && !(opensAt && new Date(opensAt) > new Date())) {
+                    const opened = await transitionContest(contestsCollection, result.contest._id, STATUS.OPEN, {
+                        by,
+                        reason: 'Opened on approval',
+                    });
+                    if (!opened.error) {
+                        await notifier.contestStatusChanged(opened.contest, reason);
+                        return res.send({ acknowledged: true, modifiedCount: 1, status: STATUS.OPEN });
+                    }
+                }
+
+                await notifier.contestStatusChanged(result.contest, reason);
+                res.send({ acknowledged: true, modifiedCount: 1, status });
+
+            } catch (error) {
+                console.error('Error updating contest status:', error);
+                res.status(500).send({ message: 'Failed to update contest status' });
+            }
+        },
+
+        // --- Scheduler Cron API (called by Vercel Cron, see vercel.json) ---
+        runScheduler: async (req, res) => {
+            if (!config.cronSecret) {
+                return res.status(503).send({ message: 'Cron is not configured' });
+            }
+            if (req.headers.authorization !== `Bearer ${config.cronSecret}`) {
+                return res.status(401).send({ message: 'unauthorized access' });
+            }
+
+            try {
+                const result = await runScheduledJobs({
+                    contestsCollection,
+                    submissionsCollection,
+                    ledgerEntriesCollection,
+                    payoutsCollection,
+                    notifier,
+                    events,
+                    leaderboards,
+                });
+                res.send(result);
+            } catch (error) {
+                console.error('Scheduler Error:', error);
+                res.status(500).send({ message: 'Failed to run scheduled jobs' });
+            }
+        },
+
+        getStats: async (req, res) => {
+            // 1. Total Users Count
+            const totalUsers = await usersCollection.estimatedDocumentCount();
+
+            // 2. Total Contests Count (All statuses)
+            const totalContests = await contestsCollection.estimatedDocumentCount();
+
+            // 3. Total Revenue: what Stripe actually received (verified payments), net of refunds
+            const totalRevenue = await totalRevenueOf(analytics);
+
+            // 4. Total Contests Participated (Sum of participationCount from contests)
+            const totalParticipationsResult = await contestsCollection.aggregate([
+                {
+                    $group: {
+                        _id: null,
+                        totalParticipations: { $sum: '$participationCount' }
+                    }
+                }
+            ]).toArray();
+
+            const totalParticipations = totalParticipationsResult.length > 0 ? totalParticipationsResult[0].totalParticipations : 0;
+
+            res.send({
+                totalUsers,
+                totalContests,
+                totalRevenue,
+                totalParticipations,
+            });
+        },
+
+        // --- Admin Analytics APIs (see src/analytics.js for the query parameters) ---
+        getAnalyticsTimeSeries: async (req, res) => {
+            const range = parseAnalyticsQuery(req.query);
+            if (range.errors) {
+                return res.status(400).send({ message: 'Invalid query', errors: range.errors });
+            }
+
+            try {
+                res.send(await buildTimeSeries(analytics, range));
+            } catch (error) {
+                console.error('Analytics Error:', error);
+                res.status(500).send({ message: 'Failed to compute analytics' });
+            }
+        },
+
+        getAnalyticsBreakdown: async (req, res) => {
+            const range = parseAnalyticsQuery(req.query);
+            if (range.errors) {
+                return res.status(400).send({ message: 'Invalid query', errors: range.errors });
+            }
+
+            try {
+                res.send(await buildBreakdown(analytics, range));
+            } catch (error) {
+                console.error('Analytics Error:', error);
+                res.status(500).send({ message: 'Failed to compute analytics' });
+            }
+        },
+
+        // --- Admin Get All Users API ---
+        getUsers: async (req, res) => {
+            // Handle Pagination (in sign-up order)
+            const page = readPage(req, res, { _id: 1 });
+            if (!page) return;
+
+            // Sending the page of users and the total count
+            res.send(await paginate(usersCollection, {}, page, { projection: adminUserProjection }));
+        },
+
+        // --- Admin Update User Role API (Make Creator/Admin) ---
+        updateUserRole: async (req, res) => {
+            const id = req.params.id;
+            const { role, reason } = req.body; // role can be 'Creator' or 'Admin'
+
+            if (!ObjectId.isValid(id)) {
+                return res.status(400).send({ message: 'Invalid User ID' });
+            }
+
+            const result = await changeUserRole(usersCollection, { _id: new ObjectId(id) }, role, {
+                by: req.user.email,
+                reason,
+            });
+
+            if (result.error) {
+                return res.status(result.error.status).send({ message: result.error.message });
+            }
+            res.send({ acknowledged: true, matchedCount: 1, modifiedCount: result.changed ? 1 : 0, from: result.from, role: result.to });
+        },
+
+        // Who promoted or demoted this user, and when
+        getUserRoleHistory: async (req, res) => {
+            const id = req.params.id;
+
+            if (!ObjectId.isValid(id)) {
+                return res.status(400).send({ message: 'Invalid User ID' });
+            }
+
+            const user = await usersCollection.findOne(
+                { _id: new ObjectId(id) },
+                { projection: { email: 1, role: 1, roleHistory: 1 } }
+            );
+
+            if (!user) {
+                return res.status(404).send({ message: 'User not found' });
+            }
+            res.send({ email: user.email, role: normalizeRole(user.role), history: user.roleHistory || [] });
+        },
+    };
+};
+
+module.exports = {
+    activePaymentFilter,
+    createContestsController,
+    createUsersController,
+    createPaymentsController,
+    createSubmissionsController,
+    createJudgingController,
+    createTeamsController,
+    createCreatorApplicationsController,
+    createLedgerController,
+    createNotificationsController,
+    createEventsController,
+    createLeaderboardsController,
+    createAdminController,
+};
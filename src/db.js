@@ -0,0 +1,122 @@
+// Collections used by the API and the indexes they rely on
+const getCollections = (db) => ({
+    usersCollection: db.collection("users"),
+    contestsCollection: db.collection("contests"),
+    paymentsCollection: db.collection("payments"),
+    submissionsCollection: db.collection("submissions"),
+    stripeEventsCollection: db.collection("stripeEvents"),
+    sessionsCollection: db.collection("sessions"),
+    refreshTokensCollection: db.collection("refreshTokens"),
+    creatorApplicationsCollection: db.collection("creatorApplications"),
+    judgeScoresCollection: db.collection("judgeScores"),
+    ledgerEntriesCollection: db.collection("ledgerEntries"),
+    payoutsCollection: db.collection("payouts"),
+    teamsCollection: db.collection("teams"),
+    notificationsCollection: db.collection("notifications"),
+    eventsCollection: db.collection("events"),
+    contestViewsCollection: db.collection("contestViews"),
+    leaderboardsCollection: db.collection("leaderboards"),
+    checkoutsCollection: db.collection("checkouts"),
+});
+
+const ensureIndexes = async ({
+    usersCollection,
+    contestsCollection,
+    paymentsCollection,
+    submissionsCollection,
+    sessionsCollection,
+    refreshTokensCollection,
+    creatorApplicationsCollection,
+    judgeScoresCollection,
+    ledgerEntriesCollection,
+    payoutsCollection,
+    teamsCollection,
+    notificationsCollection,
+    eventsCollection,
+    contestViewsCollection,
+    leaderboardsCollection,
+    checkoutsCollection,
+}) => {
+    // Contest search: one text index over name, description and tags (names weigh most)
+    await contestsCollection.createIndex(
+        { name: 'text', description: 'text', tags: 'text' },
+        { name: 'contest_search', weights: { name: 10, tags: 5, description: 1 } }
+    );
+    await contestsCollection.createIndex({ status: 1, deadline: 1 });
+    await contestsCollection.createIndex({ status: 1, createdAt: -1 });
+    await contestsCollection.createIndex({ creator: 1, createdAt: -1 });
+
+    // One account per email, so parallel first sign-ins or registrations can't create duplicates
+    // (existing duplicates have to be merged before this index can be built)
+    await usersCollection.createIndex({ email: 1 }, { unique: true });
+
+    // Analytics: sign-ups, new contests and verified payments over a date range
+    await usersCollection.createIndex({ createdAt: 1 });
+    await contestsCollection.createIndex({ createdAt: 1 });
+    await paymentsCollection.createIndex({ status: 1, date: 1 });
+    await paymentsCollection.createIndex({ contestId: 1, date: 1 });
+    await submissionsCollection.createIndex({ contestId: 1, submissionDate: 1 });
+
+    // Contest page views, one counter per contest and UTC day
+    await contestViewsCollection.createIndex({ contestId: 1, day: 1 }, { unique: true });
+    await contestViewsCollection.createIndex({ day: 1 });
+
+    // One leaderboard row per board and participant; each ranking reads one board in order
+    await leaderboardsCollection.createIndex({ season: 1, contestType: 1, email: 1 }, { unique: true });
+    for (const metric of ['points', 'wins', 'placements', 'winRate']) {
+        await leaderboardsCollection.createIndex({ season: 1, contestType: 1, [metric]: -1 });
+    }
+    await leaderboardsCollection.createIndex({ email: 1 });
+
+    // One payment record per Stripe PaymentIntent (legacy records without a transactionId are ignored)
+    await paymentsCollection.createIndex(
+        { transactionId: 1 },
+        { unique: true, partialFilterExpression: { transactionId: { $type: 'string' } } }
+    );
+
+    // "Log out everywhere" and reuse detection look sessions up by user and family
+    await sessionsCollection.createIndex({ email: 1 });
+    await refreshTokensCollection.createIndex({ sessionId: 1 });
+
+    // Let MongoDB drop sessions and refresh tokens once they have expired
+    await sessionsCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    await refreshTokensCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+    // At most one pending creator application per user
+    await creatorApplicationsCollection.createIndex(
+        { email: 1 },
+        { unique: true, partialFilterExpression: { status: 'Pending' } }
+    );
+
+    // One score sheet per judge per submission
+    await judgeScoresCollection.createIndex({ submissionId: 1, judgeEmail: 1 }, { unique: true });
+    await judgeScoresCollection.createIndex({ contestId: 1 });
+
+    // Ledger entries are written once per source event (webhooks may be redelivered)
+    await ledgerEntriesCollection.createIndex({ sourceId: 1, type: 1, account: 1 }, { unique: true });
+    await ledgerEntriesCollection.createIndex({ account: 1, createdAt: 1 });
+    await ledgerEntriesCollection.createIndex({ contestId: 1 });
+
+    // One payout per contest, recipient and kind
+    await payoutsCollection.createIndex({ contestId: 1, email: 1, type: 1 }, { unique: true });
+    await payoutsCollection.createIndex({ status: 1, createdAt: 1 });
+
+    // Team lookups by contest and by member (one accepted team per member and contest is checked in code)
+    await teamsCollection.createIndex({ contestId: 1 });
+    await teamsCollection.createIndex({ 'members.email': 1, contestId: 1 });
+
+    // A user's notifications, newest first, and their unread count
+    await notificationsCollection.createIndex({ email: 1, createdAt: -1 });
+    await notificationsCollection.createIndex({ email: 1, read: 1 });
+
+    // The open PaymentIntent of each user and contest, so a new checkout can cancel the last one
+    await checkoutsCollection.createIndex({ email: 1, contestId: 1 }, { unique: true });
+
+    // Real-time events only pass through (the 'mongodb' event bus); keep them an hour
+    await eventsCollection.createIndex({ createdAt: 1 }, { expireAfterSeconds: 60 * 60 });
+};
+
+module.exports = {
+    getCollections,
+    ensureIndexes,
+};
@@ -0,0 +1,153 @@
+// Real-time events for dashboards and contest pages, streamed over SSE
+// (GET /events, see the events controller).
+//
+// An event names who may receive it:
+//
+//   { id, type, audience: { roles, emails, contestId }, data, at }
+//
+// roles / emails reach those users wherever they are; contestId reaches
+// everyone watching that contest (GET /events?contests=<id>,<id>).
+//
+// The bus is pluggable: 'memory' delivers within this process (one server,
+// tests), 'mongodb' goes through the events collection and a change stream so
+// every server instance sees every event (needs a replica set, as Atlas has).
+const { EventEmitter } = require('events');
+const { ObjectId } = require('mongodb');
+const { ROLES } = require('./permissions');
+
+const EVENT_TYPES = {
+    CONTEST_PENDING: 'contest.pending',
+    SUBMISSION_CREATED: 'submission.created',
+    PARTICIPATION_CHANGED: 'contest.participation',
+    WINNERS_DECLARED: 'contest.winners',
+};
+
+const stamp = (event) => ({ id: new ObjectId().toString(), at: new Date(), ...event });
+
+const createMemoryEventBus = () => {
+    const emitter = new EventEmitter();
+    emitter.setMaxListeners(0); // One listener per open stream
+
+    return {
+        driver: 'memory',
+
+        publish: async (event) => {
+            emitter.emit('event', stamp(event));
+        },
+
+        // Returns the function that unsubscribes
+        subscribe: (handler) => {
+            emitter.on('event', handler);
+            return () => emitter.off('event', handler);
+        },
+    };
+};
+
+const createMongoEventBus = ({ eventsCollection, retryMs = 5000 }) => {
+    const emitter = new EventEmitter();
+    emitter.setMaxListeners(0);
+    let stream = null;
+
+    // One change stream per instance, opened by the first subscriber and
+    // reopened after errors (e.g. a replica set election)
+    const watch = () => {
+        stream = eventsCollection.watch([{ $match: { operationType: 'insert' } }]);
+        stream.on('change', ({ fullDocument: { _id, createdAt, ...event } }) => {
+            emitter.emit('event', { ...event, id: _id.toString(), at: createdAt });
+        });
+        stream.on('error', (error) => {
+            console.error('Event Stream Error:', error.message);
+            stream = null;
+            setTimeout(() => {
+                if (emitter.listenerCount('event') > 0 && !stream) watch();
+            }, retryMs).unref();
+        });
+    };
+
+    return {
+        driver: 'mongodb',
+
+        // Stored briefly (TTL index, see src/db.js) and fanned out by the change stream
+        publish: async (event) => {
+            await eventsCollection.insertOne({ ...event, createdAt: new Date() }).catch(error => {
+                console.error(`Event Publish Error (${event.type}):`, error.message);
+            });
+        },
+
+        subscribe: (handler) => {
+            emitter.on('event', handler);
+            if (!stream) watch();
+
+            return () => {
+                emitter.off('event', handler);
+                if (emitter.listenerCount('event') === 0 && stream) {
+                    stream.close().catch(() => {});
+                    stream = null;
+                }
+            };
+        },
+    };
+};
+
+// Picks the bus named by config.eventBus
+const createEventBus = (config, { eventsCollection }) => {
+    if (config.eventBus === 'mongodb') {
+        return createMongoEventBus({ eventsCollection });
+    }
+    return createMemoryEventBus();
+};
+
+// Whether the signed-in user receives the event on a stream watching `contestIds`
+const isAudience = (user, event, contestIds) => {
+    const { roles = [], emails = [], contestId } = event.audience || {};
+    return roles.includes(user.role)
+        || emails.includes(user.email)
+        || (!!contestId && contestIds.includes(contestId));
+};
+
+// --- Events the API publishes ---
+
+const contestPendingEvent = (contest) => ({
+    type: EVENT_TYPES.CONTEST_PENDING,
+    audience: { roles: [ROLES.ADMIN] },
+    data: { contestId: contest._id.toString(), name: contest.name, creator: contest.creator },
+});
+
+const submissionCreatedEvent = (submission, contest) => ({
+    type: EVENT_TYPES.SUBMISSION_CREATED,
+    audience: { emails: [contest.creator] },
+    data: {
+        contestId: contest._id.toString(),
+        contestName: contest.name,
+        submissionId: submission._id.toString(),
+        participantName: submission.teamName || submission.participantName || null,
+    },
+});
+
+const participationChangedEvent = (contest) => ({
+    type: EVENT_TYPES.PARTICIPATION_CHANGED,
+    audience: { contestId: contest._id.toString() },
+    data: { contestId: contest._id.toString(), participationCount: contest.participationCount },
+});
+
+// Everyone watching the contest gets this, so winners are shown as on the public pages: no email addresses
+const winnersDeclaredEvent = (contest, winners) => ({
+    type: EVENT_TYPES.WINNERS_DECLARED,
+    audience: { contestId: contest._id.toString() },
+    data: {
+        contestId: contest._id.toString(),
+        winners: winners.map(({ tierName, place, name, image, teamName }) => ({ tierName, place, name, image, teamName })),
+    },
+});
+
+module.exports = {
+    EVENT_TYPES,
+    createMemoryEventBus,
+    createMongoEventBus,
+    createEventBus,
+    isAudience,
+    contestPendingEvent,
+    submissionCreatedEvent,
+    participationChangedEvent,
+    winnersDeclaredEvent,
+};
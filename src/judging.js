@@ -0,0 +1,105 @@
+// Judging panels: a contest's creator defines a rubric (weighted criteria) and
+// invites judges by email. Each judge scores each submission against the
+// rubric; a submission's score is the average of its judges' weighted scores
+// on a 0-100 scale, and submissions are ranked by it.
+
+// 'Visual Impact' -> 'visual-impact'
+const criterionKey = (name) => name.toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+/**
+ * Normalizes the creator's criteria into the stored rubric.
+ * Resolves to { rubric } or { error } when two criteria share a name.
+ */
+const buildRubric = (criteria) => {
+    const rubric = criteria.map(({ name, weight, maxScore }) => ({
+        key: criterionKey(name),
+        name,
+        weight,
+        maxScore: maxScore || 10,
+    }));
+
+    const keys = rubric.map(criterion => criterion.key);
+    const duplicate = keys.find((key, index) => !key || keys.indexOf(key) !== index);
+    if (duplicate !== undefined) {
+        return { error: `Criterion names must be distinct (${duplicate || 'empty name'})` };
+    }
+    return { rubric };
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Checks one judge's scores ([{ criterion, score }]) against the rubric.
+ * Every criterion must be scored exactly once, between 0 and its maxScore.
+ * Resolves to { scores: { key: score } } or { error }.
+ */
+const checkScores = (rubric, entries) => {
+    const scores = {};
+    for (const { criterion, score } of entries) {
+        const definition = rubric.find(item => item.key === criterion || item.name === criterion);
+        if (!definition) return { error: `Unknown criterion '${criterion}'` };
+        if (scores[definition.key] !== undefined) return { error: `Criterion '${definition.name}' is scored twice` };
+        if (score < 0 || score > definition.maxScore) {
+            return { error: `Score for '${definition.name}' must be between 0 and ${definition.maxScore}` };
+        }
+        scores[definition.key] = score;
+    }
+
+    const missing = rubric.filter(item => scores[item.key] === undefined);
+    if (missing.length > 0) {
+        return { error: `Missing scores for: ${missing.map(item => item.name).join(', ')}` };
+    }
+    return { scores };
+};
+
+// One judge's scores on a 0-100 scale
+const weightedScore = (rubric, scores) => {
+    const totalWeight = rubric.reduce((sum, item) => sum + item.weight, 0);
+    const weighted = rubric.reduce((sum, item) => sum + item.weight * ((scores[item.key] || 0) / item.maxScore), 0);
+    return totalWeight > 0 ? round((weighted / totalWeight) * 100) : 0;
+};
+
+// Average of the panel's weighted scores, or null before anyone has scored
+const panelScore = (scoreDocs) => {
+    if (scoreDocs.length === 0) return null;
+    return round(scoreDocs.reduce((sum, doc) => sum + doc.weightedScore, 0) / scoreDocs.length);
+};
+
+/**
+ * Ranks submissions by panel score. Equal scores share a rank and are marked
+ * `tied`; unscored submissions come last with a null rank.
+ */
+const rankSubmissions = (submissions, scoreDocs, judges) => {
+    const entries = submissions.map(submission => {
+        const id = submission._id.toString();
+        const judged = scoreDocs.filter(doc => doc.submissionId === id && judges.includes(doc.judgeEmail));
+        return {
+            submissionId: id,
+            participantEmail: submission.participantEmail,
+            participantName: submission.participantName,
+            score: panelScore(judged),
+            judgeCount: judged.length,
+        };
+    });
+
+    const scored = entries.filter(entry => entry.score !== null).sort((a, b) => b.score - a.score);
+    const ranked = scored.map((entry, index) => ({
+        ...entry,
+        rank: scored.findIndex(other => other.score === entry.score) + 1,
+        tied: scored.some((other, otherIndex) => otherIndex !== index && other.score === entry.score),
+    }));
+    const unscored = entries
+        .filter(entry => entry.score === null)
+        .map(entry => ({ ...entry, rank: null, tied: false }));
+
+    return [...ranked, ...unscored];
+};
+
+module.exports = {
+    criterionKey,
+    buildRubric,
+    checkScores,
+    weightedScore,
+    panelScore,
+    rankSubmissions,
+};
@@ -0,0 +1,202 @@
+// Participant leaderboards, overall and per contest type, for all time and
+// per season (calendar quarter, e.g. '2026-Q4', by when results were declared).
+//
+// Standings are materialized in the leaderboards collection, one row per
+// participant and board:
+//
+//   { season: 'all' | '2026-Q4', contestType: 'all' | <type>, email, name, image,
+//     wins, placements, entries, winRate, points, updatedAt }
+//
+// Only decided contests count: entries are decided contests the participant
+// paid for or entered with a team, wins are top-tier placements, placements
+// any prize tier (team results count for every member). A participant's rows
+// are recomputed from the contests whenever winners are declared in a contest
+// they entered, so reads are a sorted, indexed find.
+const { ObjectId } = require('mongodb');
+const { CONTEST_TYPES } = require('./validation');
+const { activePaymentFilter } = require('./ledger');
+const { acceptedMembers } = require('./teams');
+
+const ALL = 'all';
+
+// Points per place (1st, 2nd, 3rd, then every lower tier) and per decided entry
+const PLACE_POINTS = [100, 60, 40];
+const LOWER_PLACE_POINTS = 20;
+const ENTRY_POINTS = 5;
+
+const LEADERBOARD_SORTS = ['points', 'wins', 'placements', 'winRate'];
+
+// Fewer entries than this make a win rate meaningless; such rows are left off that ranking
+const MIN_RATED_ENTRIES = 3;
+
+const SEASON_PATTERN = /^\d{4}-Q[1-4]$/;
+
+const seasonOf = (date) => {
+    const at = new Date(date);
+    return `${at.getUTCFullYear()}-Q${Math.floor(at.getUTCMonth() / 3) + 1}`;
+};
+
+const pointsFor = (place) => PLACE_POINTS[place - 1] ?? LOWER_PLACE_POINTS;
+
+const placementOf = (contest, email) => contest.winners.find(winner => winner.email === email || winner.members?.includes(email));
+
+/**
+ * A participant's rows on every board they appear on, from the decided
+ * contests they entered or placed in.
+ */
+const standingsFrom = (email, contests) => {
+    const boards = new Map();
+    for (const contest of contests) {
+        const season = seasonOf(contest.winners[0].declaredAt || contest.statusUpdatedAt || new Date());
+        const placement = placementOf(contest, email);
+
+        for (const [boardSeason, contestType] of [[ALL, ALL], [ALL, contest.contestType], [season, ALL], [season, contest.contestType]]) {
+            const key = `${boardSeason}|${contestType}`;
+            if (!boards.has(key)) {
+                boards.set(key, { season: boardSeason, contestType, wins: 0, placements: 0, entries: 0, points: 0 });
+            }
+            const board = boards.get(key);
+            board.entries += 1;
+            board.points += ENTRY_POINTS;
+            if (placement) {
+                board.placements += 1;
+                board.points += pointsFor(placement.place);
+                if (placement.place === 1) board.wins += 1;
+            }
+        }
+    }
+    return [...boards.values()].map(board => ({ ...board, winRate: Math.round((board.wins / board.entries) * 10000) / 10000 }));
+};
+
+const createLeaderboards = ({ leaderboardsCollection, contestsCollection, paymentsCollection, teamsCollection, usersCollection }) => {
+    // Teams whose entry has been paid for, matching `filter`
+    const paidTeams = (filter) => teamsCollection.find({ paid: true, ...filter }).toArray();
+
+    // Recomputes every board row of one participant
+    const refreshParticipant = async (email, now = new Date()) => {
+        const paidFor = await paymentsCollection.distinct('contestId', { email, ...activePaymentFilter });
+        const teams = await paidTeams({ 'members.email': email });
+        const entered = [...paidFor, ...teams.filter(team => acceptedMembers(team).includes(email)).map(team => team.contestId)];
+
+        const contests = await contestsCollection
+            .find({
+                'winners.0': { $exists: true },
+                $or: [
+                    { _id: { $in: entered.filter(id => ObjectId.isValid(id)).map(id => new ObjectId(id)) } },
+                    { 'winners.email': email },
+                    { 'winners.members': email },
+                ],
+            })
+            .project({ contestType: 1, winners: 1, statusUpdatedAt: 1 })
+            .toArray();
+
+        const user = await usersCollection.findOne({ email }, { projection: { name: 1, image: 1 } });
+        for (const row of standingsFrom(email, contests)) {
+            await leaderboardsCollection.updateOne(
+                { season: row.season, contestType: row.contestType, email },
+                { $set: { ...row, name: user?.name || email.split('@')[0], image: user?.image || null, updatedAt: now } },
+                { upsert: true }
+            );
+        }
+        // Boards they no longer appear on (e.g. an entry refunded since)
+        await leaderboardsCollection.deleteMany({ email, updatedAt: { $lt: now } });
+    };
+
+    // Everyone who entered or placed in the contest
+    const participantsOf = async (contest) => {
+        const contestId = contest._id.toString();
+        const payers = await paymentsCollection.distinct('email', { contestId, ...activePaymentFilter });
+        const teams = await paidTeams({ contestId });
+        const placed = (contest.winners || []).flatMap(winner => winner.members || [winner.email]);
+        return [...new Set([...payers, ...teams.flatMap(acceptedMembers), ...placed])];
+    };
+
+    return {
+        refreshParticipant,
+
+        // Winners were declared: re-rank everyone in the contest. Best effort,
+        // like notifications; `npm run rebuild-leaderboards` repairs any gap.
+        contestDecided: async (contest, winners) => {
+            try {
+                for (const email of await participantsOf({ ...contest, winners })) {
+                    await refreshParticipant(email);
+                }
+            } catch (error) {
+                console.error(`Leaderboard Error (contest ${contest._id}):`, error);
+            }
+        },
+
+        // Recomputes every participant's rows from scratch
+        rebuild: async () => {
+            const decided = await contestsCollection.find({ 'winners.0': { $exists: true } }).project({ winners: 1 }).toArray();
+            const emails = new Set();
+            for (const contest of decided) {
+                (await participantsOf(contest)).forEach(email => emails.add(email));
+            }
+            for (const email of emails) {
+                await refreshParticipant(email);
+            }
+            await leaderboardsCollection.deleteMany({ email: { $nin: [...emails] } });
+            return { participants: emails.size };
+        },
+    };
+};
+
+/**
+ * Reads the board and ranking from the query string (season, contestType,
+ * sort). Resolves to { season, contestType, sort } or { errors }.
+ */
+const parseLeaderboardQuery = (query) => {
+    const errors = [];
+    const season = query.season || ALL;
+    const contestType = query.contestType || ALL;
+    const sort = query.sort || 'points';
+
+    if (season !== ALL && !SEASON_PATTERN.test(season)) {
+        errors.push({ field: 'season', message: "season must be 'all' or a quarter like 2026-Q1" });
+    }
+    if (contestType !== ALL && !CONTEST_TYPES.includes(contestType)) {
+        errors.push({ field: 'contestType', message: `contestType must be 'all' or one of: ${CONTEST_TYPES.join(', ')}` });
+    }
+    if (!LEADERBOARD_SORTS.includes(sort)) {
+        errors.push({ field: 'sort', message: `sort must be one of: ${LEADERBOARD_SORTS.join(', ')}` });
+    }
+    return errors.length > 0 ? { errors } : { season, contestType, sort };
+};
+
+// The rows a ranking lists
+const boardFilter = ({ season, contestType, sort }) => ({
+    season,
+    contestType,
+    ...(sort === 'winRate' && { entries: { $gte: MIN_RATED_ENTRIES } }),
+});
+
+/**
+ * Numbers a page of rows sorted by `sort`: tied rows share a rank and the
+ * next distinct value skips ahead (1, 2, 2, 4), counted across the whole board.
+ */
+const rankRows = async (leaderboardsCollection, board, rows) => {
+    const ranked = [];
+    for (const [index, row] of rows.entries()) {
+        const value = row[board.sort];
+        const rank = index > 0 && value === rows[index - 1][board.sort]
+            ? ranked[index - 1].rank
+            : await leaderboardsCollection.countDocuments({ ...boardFilter(board), [board.sort]: { $gt: value } }) + 1;
+        ranked.push({ rank, ...row });
+    }
+    return ranked;
+};
+
+module.exports = {
+    ALL,
+    LEADERBOARD_SORTS,
+    MIN_RATED_ENTRIES,
+    PLACE_POINTS,
+    ENTRY_POINTS,
+    seasonOf,
+    standingsFrom,
+    createLeaderboards,
+    parseLeaderboardQuery,
+    boardFilter,
+    rankRows,
+};
@@ -0,0 +1,249 @@
+// Ledger: what every entry fee, refund, prize and payout means for each party.
+//
+// Entries are append-only and signed from the account's point of view
+// (positive = money owed to or received by the account):
+//
+//   entry-fee     participant paid an entry fee (negative for the participant)
+//   refund        participant got (part of) a fee back
+//   commission    platform's cut of a fee (account 'platform'; reversed on refunds)
+//   creator-share creator's cut of a fee (reversed on refunds)
+//   prize         prize money owed to a winner
+//   payout        money actually sent to a creator or winner (negative)
+//
+// Payouts track settlement of prizes and creator earnings: owed -> processing
+// -> paid (processing may go back to owed when a transfer fails).
+
+const { MAX_LIMIT, parsePageParams, paginate } = require('./pagination');
+
+const PLATFORM_ACCOUNT = 'platform';
+
+const PAYOUT_STATUS = {
+    OWED: 'owed',
+    PROCESSING: 'processing',
+    PAID: 'paid',
+};
+
+const PAYOUT_TRANSITIONS = {
+    [PAYOUT_STATUS.OWED]: [PAYOUT_STATUS.PROCESSING, PAYOUT_STATUS.PAID],
+    [PAYOUT_STATUS.PROCESSING]: [PAYOUT_STATUS.PAID, PAYOUT_STATUS.OWED],
+    [PAYOUT_STATUS.PAID]: [],
+};
+
+// Payments that still grant a place in a contest (legacy records have no status)
+const activePaymentFilter = { status: { $nin: ['failed', 'refunded'] } };
+
+const toCents = (amount) => Math.round(Number(amount) * 100);
+const fromCents = (cents) => cents / 100;
+
+// Platform commission and creator share of an amount, in cents
+const splitCents = (cents, commissionPercent) => {
+    const commission = Math.round((cents * commissionPercent) / 100);
+    return { commission, creatorShare: cents - commission };
+};
+
+// Duplicate entries (webhook redeliveries) are skipped by the unique { sourceId, type, account } index
+const insertEntries = async ({ ledgerEntriesCollection }, entries) => {
+    for (const entry of entries) {
+        try {
+            await ledgerEntriesCollection.insertOne({ ...entry, createdAt: new Date() });
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+        }
+    }
+};
+
+const feeEntries = (payment, contest, cents, sign, sourceId, commissionPercent) => {
+    const { commission, creatorShare } = splitCents(cents, commissionPercent);
+    const base = { contestId: payment.contestId, currency: payment.currency, sourceId, transactionId: payment.transactionId };
+
+    return [
+        { ...base, type: sign > 0 ? 'entry-fee' : 'refund', account: payment.email, amount: fromCents(-sign * cents) },
+        { ...base, type: 'commission', account: PLATFORM_ACCOUNT, amount: fromCents(sign * commission) },
+        { ...base, type: 'creator-share', account: contest?.creator || PLATFORM_ACCOUNT, amount: fromCents(sign * creatorShare) },
+    ];
+};
+
+// A payment went through: fee in, split between platform and creator
+const recordEntryFee = async (collections, payment, contest, config) => {
+    const entries = feeEntries(payment, contest, toCents(payment.price), 1, payment.transactionId, config.platformCommissionPercent);
+    await insertEntries(collections, entries);
+};
+
+// `refundedCents` more of a payment was refunded (cumulative total identifies the step)
+const recordRefundEntries = async (collections, payment, contest, refundedCents, totalRefundedCents, config) => {
+    if (refundedCents <= 0) return;
+    const sourceId = `${payment.transactionId}:refund:${totalRefundedCents}`;
+    const entries = feeEntries(payment, contest, refundedCents, -1, sourceId, config.platformCommissionPercent);
+    await insertEntries(collections, entries);
+};
+
+/**
+ * Records prizes owed to the winners and the creator's earnings for a
+ * completed contest, and opens a payout for each.
+ */
+const openContestPayouts = async (collections, contest, winners) => {
+    const { ledgerEntriesCollection, payoutsCollection } = collections;
+    const contestId = contest._id.toString();
+
+    const shares = await ledgerEntriesCollection.find({ contestId, type: 'creator-share', account: contest.creator }).toArray();
+    const earnedCents = shares.reduce((sum, entry) => sum + toCents(entry.amount), 0);
+    const currency = shares[0]?.currency || contest.currency?.toLowerCase() || null;
+
+    const prizes = winners.filter(winner => winner.amount > 0);
+    await insertEntries(collections, prizes.map(winner => ({
+        type: 'prize',
+        account: winner.email,
+        amount: winner.amount,
+        contestId,
+        currency,
+        sourceId: `${contestId}:prize:${winner.tier}:${winner.email}`,
+        tier: winner.tier,
+    })));
+
+    const payouts = prizes.map(winner => ({
+        type: 'prize',
+        email: winner.email,
+        amount: winner.amount,
+        tier: winner.tier,
+    }));
+    if (earnedCents > 0) {
+        payouts.push({ type: 'creator-earnings', email: contest.creator, amount: fromCents(earnedCents) });
+    }
+
+    const now = new Date();
+    for (const payout of payouts) {
+        await payoutsCollection.updateOne(
+            { contestId, type: payout.type, email: payout.email },
+            {
+                $setOnInsert: {
+                    ...payout,
+                    contestId,
+                    contestName: contest.name,
+                    currency,
+                    status: PAYOUT_STATUS.OWED,
+                    statusHistory: [{ from: null, to: PAYOUT_STATUS.OWED, by: 'system', at: now }],
+                    createdAt: now,
+                },
+            },
+            { upsert: true }
+        );
+    }
+};
+
+/**
+ * Moves a payout along owed -> processing -> paid. Paying it records a
+ * 'payout' ledger entry. Resolves to { payout } or { error: { status, message } }.
+ */
+const updatePayoutStatus = async (collections, payoutId, to, { by, reference, note } = {}) => {
+    const { payoutsCollection } = collections;
+
+    const payout = await payoutsCollection.findOne({ _id: payoutId });
+    if (!payout) {
+        return { error: { status: 404, message: 'Payout not found' } };
+    }
+    if (!(PAYOUT_TRANSITIONS[payout.status] || []).includes(to)) {
+        return { error: { status: 409, message: `Cannot change payout status from '${payout.status}' to '${to}'` } };
+    }
+
+    const now = new Date();
+    const set = { status: to, statusUpdatedAt: now, statusUpdatedBy: by };
+    if (reference) set.reference = reference;
+    if (to === PAYOUT_STATUS.PAID) set.paidAt = now;
+
+    const result = await payoutsCollection.updateOne(
+        { _id: payout._id, status: payout.status },
+        { $set: set, $push: { statusHistory: { from: payout.status, to, by, at: now, note: note || null } } }
+    );
+    if (result.matchedCount === 0) {
+        return { error: { status: 409, message: 'Payout was changed by another request, please retry' } };
+    }
+
+    if (to === PAYOUT_STATUS.PAID) {
+        await insertEntries(collections, [{
+            type: 'payout',
+            account: payout.email,
+            amount: -payout.amount,
+            contestId: payout.contestId,
+            currency: payout.currency,
+            sourceId: `payout:${payout._id}`,
+            payoutId: payout._id,
+            reference: reference || payout.reference || null,
+        }]);
+    }
+
+    return { payout: { ...payout, ...set } };
+};
+
+// Sums of the entries matching `filter` per type, added up in cents so repeated fractions don't drift
+const ledgerTotals = async (ledgerEntriesCollection, filter) => {
+    const sums = await ledgerEntriesCollection.aggregate([
+        { $match: filter },
+        { $group: { _id: '$type', cents: { $sum: { $round: [{ $multiply: ['$amount', 100] }, 0] } } } },
+    ]).toArray();
+    return Object.fromEntries(sums.map(sum => [sum._id, fromCents(sum.cents)]));
+};
+
+// One account's entries, optionally within a createdAt range
+const statementFilter = (account, { from, to } = {}) => {
+    const query = { account };
+    if (from || to) {
+        query.createdAt = {};
+        if (from) query.createdAt.$gte = from;
+        if (to) query.createdAt.$lte = to;
+    }
+    return query;
+};
+
+/**
+ * One account's statement: totals per type and the running balance over the
+ * whole range, one page of its entries (oldest first) and the payouts still
+ * to come (settled ones are in the entries as 'payout').
+ */
+const buildStatement = async ({ ledgerEntriesCollection, payoutsCollection }, account, range, page) => {
+    const query = statementFilter(account, range);
+
+    const totals = await ledgerTotals(ledgerEntriesCollection, query);
+    const balance = fromCents(Object.values(totals).reduce((sum, amount) => sum + toCents(amount), 0));
+    const entries = await paginate(ledgerEntriesCollection, query, page);
+    const payouts = await payoutsCollection
+        .find({ email: account, status: { $ne: PAYOUT_STATUS.PAID } })
+        .sort({ createdAt: -1 })
+        .toArray();
+
+    return { account, entries, payouts, totals, balance };
+};
+
+const CSV_COLUMNS = ['createdAt', 'type', 'contestId', 'amount', 'currency', 'sourceId'];
+
+const csvValue = (value) => {
+    const text = value instanceof Date ? value.toISOString() : String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Writes the statement's entries as CSV a page at a time, so large accounts are never loaded at once
+const writeStatementCsv = async ({ ledgerEntriesCollection }, account, range, write) => {
+    const query = statementFilter(account, range);
+    const pageAfter = (cursor) => parsePageParams({ limit: MAX_LIMIT, total: 'false', cursor }, { createdAt: 1 });
+
+    write(CSV_COLUMNS.join(','));
+    let page = pageAfter(undefined);
+    while (page) {
+        const { items, nextCursor } = await paginate(ledgerEntriesCollection, query, page);
+        items.forEach(entry => write(`\n${CSV_COLUMNS.map(column => csvValue(entry[column])).join(',')}`));
+        page = nextCursor ? pageAfter(nextCursor) : null;
+    }
+};
+
+module.exports = {
+    PLATFORM_ACCOUNT,
+    PAYOUT_STATUS,
+    activePaymentFilter,
+    toCents,
+    recordEntryFee,
+    recordRefundEntries,
+    openContestPayouts,
+    updatePayoutStatus,
+    ledgerTotals,
+    buildStatement,
+    writeStatementCsv,
+};
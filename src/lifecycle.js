@@ -0,0 +1,139 @@
+// Contest lifecycle: the only place that decides which status changes are legal.
+//
+//   Draft -> Pending -> Accepted / Rejected
+//   Accepted -> Open -> Closed -> Completed
+//   (Draft, Pending, Rejected, Accepted, Open, Closed) -> Cancelled
+//
+// Every status change is written with a guard on the previous status and is
+// appended to the contest's `statusHistory` with who made it and when.
+
+const STATUS = {
+    DRAFT: 'Draft',
+    PENDING: 'Pending',
+    ACCEPTED: 'Accepted',
+    REJECTED: 'Rejected',
+    OPEN: 'Open',
+    CLOSED: 'Closed',
+    COMPLETED: 'Completed',
+    CANCELLED: 'Cancelled',
+};
+
+const TRANSITIONS = {
+    [STATUS.DRAFT]: [STATUS.PENDING, STATUS.CANCELLED],
+    [STATUS.PENDING]: [STATUS.ACCEPTED, STATUS.REJECTED, STATUS.DRAFT, STATUS.CANCELLED],
+    [STATUS.REJECTED]: [STATUS.PENDING, STATUS.CANCELLED],
+    [STATUS.ACCEPTED]: [STATUS.OPEN, STATUS.CANCELLED],
+    [STATUS.OPEN]: [STATUS.CLOSED, STATUS.CANCELLED],
+    [STATUS.CLOSED]: [STATUS.COMPLETED, STATUS.CANCELLED],
+    [STATUS.COMPLETED]: [],
+    [STATUS.CANCELLED]: [],
+};
+
+// Contests shown in the public listings
+const LISTED_STATUSES = [STATUS.ACCEPTED, STATUS.OPEN];
+
+// Contests that passed admin review (used for stats and creator rankings)
+const APPROVED_STATUSES = [STATUS.ACCEPTED, STATUS.OPEN, STATUS.CLOSED, STATUS.COMPLETED];
+
+// Contests whose details (price, deadline, ...) the creator may still change
+const EDITABLE_STATUSES = [STATUS.DRAFT, STATUS.PENDING, STATUS.REJECTED];
+
+// Whether a deadline-like date has come (unset or invalid dates never have)
+const isPast = (date, now) => !!date && !Number.isNaN(new Date(date).getTime()) && new Date(date) <= now;
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+const historyEntry = (from, to, by, reason) => ({
+    from: from || null,
+    to,
+    by,
+    at: new Date(),
+    reason: reason || null,
+});
+
+// Fields to store on a brand new contest
+const initialStatusFields = (status, by) => ({
+    status,
+    statusUpdatedAt: new Date(),
+    statusUpdatedBy: by,
+    statusHistory: [historyEntry(null, status, by)],
+});
+
+/**
+ * Moves a contest to `to`, recording the change.
+ *
+ * Options:
+ *   by     - email of whoever made the change ('system' for the scheduler)
+ *   reason - optional free text kept in the history
+ *   set    - extra fields to $set in the same update
+ *   filter - extra conditions the contest must match (e.g. { creator })
+ *
+ * Resolves to { contest, from, to } or { error: { status, message } }.
+ */
+const transitionContest = async (contestsCollection, contestId, to, options = {}) => {
+    const { by, reason, set = {}, filter = {} } = options;
+
+    if (!TRANSITIONS[to]) {
+        return { error: { status: 400, message: `Unknown contest status '${to}'` } };
+    }
+
+    const contest = await contestsCollection.findOne({ _id: contestId, ...filter });
+    if (!contest) {
+        return { error: { status: 404, message: 'Contest not found' } };
+    }
+
+    const from = contest.status;
+    if (!canTransition(from, to)) {
+        return {
+            error: {
+                status: 409,
+                message: `Cannot change contest status from '${from}' to '${to}'`,
+                from,
+                to,
+                allowed: TRANSITIONS[from] || [],
+            }
+        };
+    }
+
+    const now = new Date();
+    const result = await contestsCollection.updateOne(
+        { _id: contest._id, status: from },
+        {
+            $set: { ...set, status: to, statusUpdatedAt: now, statusUpdatedBy: by },
+            $push: { statusHistory: historyEntry(from, to, by, reason) },
+        }
+    );
+
+    // Someone else changed the status between our read and write
+    if (result.matchedCount === 0) {
+        return { error: { status: 409, message: 'Contest status was changed by another request, please retry', from, to } };
+    }
+
+    return { contest: { ...contest, ...set, status: to }, from, to };
+};
+
+// Closes an open contest first so the history reads Open -> Closed -> Completed
+const completeContest = async (contestsCollection, contestId, by, set) => {
+    const contest = await contestsCollection.findOne({ _id: contestId });
+    if (contest?.status === STATUS.OPEN) {
+        const closed = await transitionContest(contestsCollection, contestId, STATUS.CLOSED, {
+            by,
+            reason: 'Winner declared',
+        });
+        if (closed.error) return closed;
+    }
+    return transitionContest(contestsCollection, contestId, STATUS.COMPLETED, { by, set });
+};
+
+module.exports = {
+    STATUS,
+    TRANSITIONS,
+    LISTED_STATUSES,
+    APPROVED_STATUSES,
+    EDITABLE_STATUSES,
+    isPast,
+    canTransition,
+    initialStatusFields,
+    transitionContest,
+    completeContest,
+};
@@ -0,0 +1,91 @@
+// Outgoing email for notifications.
+//
+// Every transport exposes one call:
+//
+//   send({ to, subject, text })   resolves once the message is handed off
+//
+// 'smtp' delivers through any SMTP server (production); 'file' writes each
+// message as JSON under config.mailDir (development and tests); 'console'
+// just logs who it was for, never the body.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const createSmtpTransport = ({ host, port, secure, user, pass, from }) => {
+    // Loaded lazily so development setups don't need an SMTP client
+    const nodemailer = require('nodemailer');
+
+    if (!host) throw new Error('SMTP_HOST is required for the smtp mail transport');
+
+    const transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass } : undefined,
+    });
+
+    return {
+        transport: 'smtp',
+
+        send: async ({ to, subject, text }) => {
+            await transporter.sendMail({ from, to, subject, text });
+        },
+    };
+};
+
+const createFileTransport = ({ dir, from }) => ({
+    transport: 'file',
+    dir,
+
+    send: async ({ to, subject, text }) => {
+        await fs.promises.mkdir(dir, { recursive: true });
+        // Timestamp first so a directory listing reads in sending order
+        const name = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+        const message = { from, to, subject, text, sentAt: new Date() };
+        await fs.promises.writeFile(path.join(dir, name), JSON.stringify(message, null, 2));
+    },
+});
+
+const createConsoleTransport = ({ from }) => ({
+    transport: 'console',
+
+    send: async ({ to, subject, text }) => {
+        console.log(`Mail from ${from} to ${to}: ${subject} (${text.length} characters)`);
+    },
+});
+
+const MAIL_TRANSPORTS = ['smtp', 'file', 'console'];
+
+// Picks the transport named by config.mailTransport. A missing or unknown one
+// falls back to the console so the rest of the API still starts.
+const createMailer = (config) => {
+    const from = config.mailFrom;
+
+    if (!MAIL_TRANSPORTS.includes(config.mailTransport)) {
+        console.warn(`MAIL_TRANSPORT should be one of: ${MAIL_TRANSPORTS.join(', ')}; notification email is only logged`);
+        return createConsoleTransport({ from });
+    }
+
+    if (config.mailTransport === 'smtp') {
+        return createSmtpTransport({
+            host: config.smtpHost,
+            port: config.smtpPort,
+            secure: config.smtpSecure,
+            user: config.smtpUser,
+            pass: config.smtpPass,
+            from,
+        });
+    }
+    if (config.mailTransport === 'file') {
+        return createFileTransport({ dir: config.mailDir, from });
+    }
+    return createConsoleTransport({ from });
+};
+
+module.exports = {
+    MAIL_TRANSPORTS,
+    createSmtpTransport,
+    createFileTransport,
+    createConsoleTransport,
+    createMailer,
+};
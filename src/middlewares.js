@@ -0,0 +1,75 @@
+// Express middlewares shared by the routers
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { readAccessToken, isCookieOnlyWrite } = require('./sessions');
+const { PERMISSIONS, mayAttempt, normalizeRole } = require('./permissions');
+
+// Keep the raw body around so the Stripe webhook can verify its signature
+const jsonBodyParser = express.json({
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+});
+
+// Auth guards: verifyToken authenticates, authorize(permission) applies src/permissions.js
+const createAuthMiddlewares = ({ usersCollection, sessions, config }) => {
+    // 1. JWT Token Verification Middleware (Bearer header, or the access_token cookie for reads)
+    const verifyToken = async (req, res, next) => {
+        const token = readAccessToken(req);
+        if (!token) {
+            return res.status(401).send({ message: 'unauthorized access: No token provided' });
+        }
+        if (isCookieOnlyWrite(req)) {
+            return res.status(403).send({ message: 'forbidden access: Send the access token in the Authorization header' });
+        }
+
+        let decoded;
+        try {
+            decoded = jwt.verify(token, config.jwtSecret);
+        } catch (err) {
+            return res.status(401).send({ message: 'unauthorized access: Invalid token' });
+        }
+
+        // Tokens from a logged-out or revoked session stop working immediately
+        if (!decoded.sid || !(await sessions.isSessionActive(decoded.sid))) {
+            return res.status(401).send({ message: 'unauthorized access: Session has been revoked' });
+        }
+        req.decoded = decoded;
+        next();
+    };
+
+    // 2. Permission check (requires verifyToken first). Loads the user so the
+    // role is always current; ownership is checked by the handler with can().
+    const authorize = (permission) => {
+        // Typos in route declarations fail at startup, not on the first request
+        if (!PERMISSIONS[permission]) throw new Error(`Unknown permission '${permission}'`);
+
+        return async (req, res, next) => {
+            const user = await usersCollection.findOne({ email: req.decoded.email });
+
+            if (!user || !mayAttempt(user, permission)) {
+                return res.status(403).send({ message: `forbidden access: Missing permission '${permission}'` });
+            }
+
+            req.user = { _id: user._id, email: user.email, role: normalizeRole(user.role) };
+            next();
+        };
+    };
+
+    return { verifyToken, authorize };
+};
+
+// Last-resort handler for errors thrown by async route handlers
+const errorHandler = (error, req, res, next) => {
+    console.error(`Unhandled Error (${req.method} ${req.originalUrl}):`, error);
+    if (res.headersSent) {
+        return next(error);
+    }
+    res.status(500).send({ message: 'Internal server error' });
+};
+
+module.exports = {
+    jsonBodyParser,
+    createAuthMiddlewares,
+    errorHandler,
+};
@@ -0,0 +1,205 @@
+// In-app and email notifications for contest events.
+//
+// Every recipient gets their own document in the notifications collection:
+//
+//   { email, type, title, message, contestId, read, readAt, createdAt }
+//
+// Users choose per type whether they are told in the app, by email or both
+// (user.notificationPreferences, both on by default). Sending is best effort:
+// a failed insert or email is logged and never fails the request behind it.
+// In-app notifications are stored before notify() resolves; emails go out in
+// the background afterwards, a few at a time, so a fan-out to every
+// participant never holds up the request.
+const { STATUS } = require('./lifecycle');
+const { ROLES } = require('./permissions');
+const { activePaymentFilter } = require('./ledger');
+const { acceptedMembers } = require('./teams');
+
+// Type -> what it is about, as shown on the preferences screen
+const NOTIFICATION_TYPES = {
+    'contest-status': 'A contest you created was approved, rejected or changed by an admin',
+    'contest-pending': 'A new contest is waiting for review (admins)',
+    payment: 'Your entry fee payments and refunds',
+    submission: 'New entries in contests you created',
+    winners: 'Winners were declared in a contest you entered',
+    deadline: 'A contest you entered closes within 24 hours',
+};
+
+const CHANNELS = ['inApp', 'email'];
+
+// Emails handed to the mailer at once
+const MAIL_CONCURRENCY = 5;
+
+// How an admin's status change reads to the contest's creator
+const STATUS_PHRASES = {
+    [STATUS.ACCEPTED]: 'was approved',
+    [STATUS.REJECTED]: 'was rejected',
+    [STATUS.OPEN]: 'is open for entries',
+    [STATUS.CLOSED]: 'was closed',
+    [STATUS.CANCELLED]: 'was cancelled',
+};
+
+// The user's stored choices over the defaults, for every type
+const preferencesOf = (user) => Object.fromEntries(Object.keys(NOTIFICATION_TYPES).map(type => [
+    type,
+    Object.fromEntries(CHANNELS.map(channel => [channel, user?.notificationPreferences?.[type]?.[channel] ?? true])),
+]));
+
+const formatAmount = (cents, currency = 'usd') => `${(cents / 100).toFixed(2)} ${currency.toUpperCase()}`;
+
+const placeLabel = (winner) => (winner.tierName ? `${winner.tierName} (place ${winner.place})` : `place ${winner.place}`);
+
+const createNotifier = ({ notificationsCollection, usersCollection, paymentsCollection, teamsCollection, mailer }) => {
+    // Emails still to send; each batch starts once the previous one is done
+    let delivery = Promise.resolve();
+
+    const sendInBackground = (type, messages) => {
+        delivery = delivery.then(async () => {
+            for (let i = 0; i < messages.length; i += MAIL_CONCURRENCY) {
+                const batch = messages.slice(i, i + MAIL_CONCURRENCY);
+                const results = await Promise.allSettled(batch.map(async mail => mailer.send(mail)));
+                results.forEach((result, j) => {
+                    if (result.status === 'rejected') {
+                        console.error(`Mail Error (${type} to ${batch[j].to}):`, result.reason?.message);
+                    }
+                });
+            }
+        });
+    };
+
+    // Stores one notification for each recipient and queues their email, as their preferences allow
+    const notify = async (emails, { type, title, message, contestId = null }) => {
+        const recipients = [...new Set(emails.filter(Boolean))];
+        if (recipients.length === 0) return;
+
+        try {
+            const users = await usersCollection
+                .find({ email: { $in: recipients } })
+                .project({ email: 1, notificationPreferences: 1 })
+                .toArray();
+
+            const createdAt = new Date();
+            const inApp = [];
+            const mail = [];
+            for (const user of users) {
+                const wants = preferencesOf(user)[type];
+                if (wants.inApp) {
+                    inApp.push({ email: user.email, type, title, message, contestId, read: false, createdAt });
+                }
+                if (wants.email) {
+                    mail.push({ to: user.email, subject: title, text: message });
+                }
+            }
+            if (inApp.length > 0) await notificationsCollection.insertMany(inApp);
+            if (mail.length > 0) sendInBackground(type, mail);
+        } catch (error) {
+            console.error(`Notification Error (${type}):`, error);
+        }
+    };
+
+    // Recipient lookups fail soft too: nobody is told rather than the request failing
+    const lookup = (load) => load().catch(error => {
+        console.error('Notification Error (recipients):', error);
+        return [];
+    });
+
+    const notifyRole = async (role, notification) => {
+        const users = await lookup(() => usersCollection.find({ role }).project({ email: 1 }).toArray());
+        await notify(users.map(user => user.email), notification);
+    };
+
+    // Everyone entered in a contest: paying participants and the members of paid teams
+    const participantsOf = (contestId) => lookup(async () => {
+        const payments = await paymentsCollection.find({ contestId, ...activePaymentFilter }).project({ email: 1 }).toArray();
+        const teams = await teamsCollection.find({ contestId, paid: true }).toArray();
+        return [...payments.map(payment => payment.email), ...teams.flatMap(acceptedMembers)];
+    });
+
+    return {
+        notify,
+
+        // Resolves once every queued email has been handed off (tests, shutdown)
+        flush: () => delivery,
+
+        // A creator submitted a contest (new or edited after rejection) for review
+        contestPending: (contest) => notifyRole(ROLES.ADMIN, {
+            type: 'contest-pending',
+            title: `New contest to review: ${contest.name}`,
+            message: `${contest.creator} submitted '${contest.name}' for review.`,
+            contestId: contest._id.toString(),
+        }),
+
+        // An admin moved the creator's contest to another status
+        contestStatusChanged: (contest, reason) => notify([contest.creator], {
+            type: 'contest-status',
+            title: `Your contest ${STATUS_PHRASES[contest.status] || `is now ${contest.status}`}: ${contest.name}`,
+            message: `An admin changed the status of '${contest.name}' to ${contest.status}.`
+                + (reason ? ` Reason: ${reason}` : ''),
+            contestId: contest._id.toString(),
+        }),
+
+        paymentReceived: (payment, contest) => notify([payment.email], {
+            type: 'payment',
+            title: `Payment received: ${contest?.name || 'contest entry'}`,
+            message: `We received your payment of ${formatAmount(Math.round(payment.price * 100), payment.currency)}`
+                + ` for '${contest?.name || payment.contestId}'.`,
+            contestId: payment.contestId,
+        }),
+
+        paymentRefunded: (payment, contest, refundedCents) => notify([payment.email], {
+            type: 'payment',
+            title: `Refund issued: ${contest?.name || 'contest entry'}`,
+            message: `${formatAmount(refundedCents, payment.currency)} of your payment for`
+                + ` '${contest?.name || payment.contestId}' has been refunded.`,
+            contestId: payment.contestId,
+        }),
+
+        submissionReceived: (submission, contest) => notify([contest.creator], {
+            type: 'submission',
+            title: `New entry in ${contest.name}`,
+            message: `${submission.teamName || submission.participantName || submission.participantEmail}`
+                + ` submitted an entry to '${contest.name}'.`,
+            contestId: contest._id.toString(),
+        }),
+
+        // Placed participants hear where they placed, everyone else that results are out
+        winnersDeclared: async (contest, winners) => {
+            const contestId = contest._id.toString();
+            const placed = new Map();
+            for (const winner of winners) {
+                for (const email of winner.members || [winner.email]) placed.set(email, winner);
+            }
+
+            await Promise.all([...placed].map(([email, winner]) => notify([email], {
+                type: 'winners',
+                title: `You placed in ${contest.name}!`,
+                message: `Congratulations! You won ${placeLabel(winner)} in '${contest.name}'`
+                    + (winner.amount ? ` with a prize of ${winner.amount}.` : '.'),
+                contestId,
+            })));
+
+            const others = (await participantsOf(contestId)).filter(email => !placed.has(email));
+            await notify(others, {
+                type: 'winners',
+                title: `Winners announced: ${contest.name}`,
+                message: `The winners of '${contest.name}' have been declared. Thanks for taking part!`,
+                contestId,
+            });
+        },
+
+        deadlineApproaching: async (contest) => notify(await participantsOf(contest._id.toString()), {
+            type: 'deadline',
+            title: `Less than 24 hours left: ${contest.name}`,
+            message: `'${contest.name}' closes at ${new Date(contest.deadline).toISOString()}.`
+                + ' Make sure your entry is in.',
+            contestId: contest._id.toString(),
+        }),
+    };
+};
+
+module.exports = {
+    NOTIFICATION_TYPES,
+    CHANNELS,
+    preferencesOf,
+    createNotifier,
+};
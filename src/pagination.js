@@ -0,0 +1,142 @@
+// Cursor pagination shared by every list endpoint.
+//
+// Query parameters:
+//   limit    page size (default 20, at most 100; `size` is accepted as an alias)
+//   cursor   opaque value from the previous page's `nextCursor`
+//   total    'false' skips counting the matching documents
+//
+// Responses use one envelope: { items, nextCursor, total }. nextCursor is
+// null on the last page; total is null when counting was turned off.
+//
+// Cursors are keyset positions: the sort values of the last item plus its
+// _id, so pages stay stable while documents are added and no skip() is needed.
+const { ObjectId } = require('mongodb');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// JSON can't carry Dates or ObjectIds, so they are tagged
+const encodeValue = (value) => {
+    if (value instanceof ObjectId) return { $oid: value.toString() };
+    if (value instanceof Date) return { $date: value.toISOString() };
+    return value ?? null;
+};
+
+const decodeValue = (value) => {
+    if (value && typeof value === 'object') {
+        if (typeof value.$oid === 'string' && ObjectId.isValid(value.$oid)) return new ObjectId(value.$oid);
+        if (typeof value.$date === 'string') return new Date(value.$date);
+        throw new Error('Invalid cursor value');
+    }
+    return value;
+};
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+// Every sort ends on _id so positions are unique
+const withIdTiebreak = (sort) => ('_id' in sort ? sort : { ...sort, _id: -1 });
+
+const encodeCursor = (doc, sort) => Buffer
+    .from(JSON.stringify(Object.keys(sort).map(key => encodeValue(getPath(doc, key)))))
+    .toString('base64url');
+
+const decodeCursor = (cursor, sort) => {
+    const values = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!Array.isArray(values) || values.length !== Object.keys(sort).length) {
+        throw new Error('Cursor does not match this list');
+    }
+    return values.map(decodeValue);
+};
+
+// Documents strictly after `value` on one key. MongoDB sorts missing/null
+// values first, so they come before everything ascending and last descending.
+const beyond = (key, direction, value) => {
+    if (direction > 0) {
+        return value === null ? { [key]: { $ne: null } } : { [key]: { $gt: value } };
+    }
+    return value === null ? null : { $or: [{ [key]: { $lt: value } }, { [key]: null }] };
+};
+
+/**
+ * Filter for the documents after the cursor position: for sort keys k1..kn,
+ * (k1 beyond) or (k1 equal and k2 beyond) or ...
+ */
+const afterCursor = (sort, values) => {
+    const keys = Object.keys(sort);
+    const branches = [];
+    keys.forEach((key, index) => {
+        const next = beyond(key, sort[key], values[index]);
+        if (!next) return;
+        const equal = keys.slice(0, index).map((previous, i) => ({ [previous]: values[i] }));
+        branches.push(equal.length > 0 ? { $and: [...equal, next] } : next);
+    });
+    return branches.length > 0 ? { $or: branches } : { _id: { $exists: false } };
+};
+
+/**
+ * Reads limit / cursor / total from the query string for a list sorted by
+ * `sort`. Resolves to { limit, sort, after, includeTotal } or { error }.
+ */
+const parsePageParams = (query, sort, { defaultLimit = DEFAULT_LIMIT } = {}) => {
+    const fullSort = withIdTiebreak(sort);
+    const rawLimit = query.limit ?? query.size;
+    const limit = rawLimit === undefined ? defaultLimit : parseInt(rawLimit);
+
+    if (!Number.isInteger(limit) || limit < 1) {
+        return { error: 'limit must be a positive whole number' };
+    }
+
+    let after = null;
+    if (query.cursor) {
+        try {
+            after = afterCursor(fullSort, decodeCursor(String(query.cursor), fullSort));
+        } catch {
+            return { error: 'Invalid cursor' };
+        }
+    }
+
+    return { limit: Math.min(limit, MAX_LIMIT), sort: fullSort, after, includeTotal: query.total !== 'false' };
+};
+
+// Combines the list's own filter with the cursor position
+const pageFilter = (filter, page) => (page.after ? { $and: [filter, page.after] } : filter);
+
+// Builds the envelope from up to limit + 1 fetched documents
+const toPage = (docs, page, total = null) => {
+    const items = docs.slice(0, page.limit);
+    const nextCursor = docs.length > page.limit ? encodeCursor(items[items.length - 1], page.sort) : null;
+    return { items, nextCursor, total };
+};
+
+/**
+ * One page of `collection.find(filter)`. Options: projection.
+ * Resolves to { items, nextCursor, total }.
+ */
+const paginate = async (collection, filter, page, { projection } = {}) => {
+    let cursor = collection.find(pageFilter(filter, page)).sort(page.sort).limit(page.limit + 1);
+    if (projection) cursor = cursor.project(projection);
+
+    const docs = await cursor.toArray();
+    const total = page.includeTotal ? await collection.countDocuments(filter) : null;
+    return toPage(docs, page, total);
+};
+
+// Express helper: parses the page params or answers 400. Resolves to the page or null.
+const readPage = (req, res, sort, options) => {
+    const page = parsePageParams(req.query, sort, options);
+    if (page.error) {
+        res.status(400).send({ message: page.error });
+        return null;
+    }
+    return page;
+};
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    parsePageParams,
+    pageFilter,
+    toPage,
+    paginate,
+    readPage,
+};
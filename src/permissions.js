@@ -0,0 +1,231 @@
+// Permission policy: which role may do what, and on whose resources.
+//
+// Every route declares the permission it needs (`authorize(permission)` in
+// src/middlewares.js). A permission grants an action either outright
+// (`roles`) or only on resources the user owns (`own`), in which case the
+// handler loads the resource and checks it with `can()`.
+
+const ROLES = {
+    USER: 'User',
+    CREATOR: 'Creator',
+    ADMIN: 'Admin',
+};
+
+const ROLE_NAMES = Object.values(ROLES);
+
+// Older accounts were stored as 'Participant' (or with no role at all)
+const normalizeRole = (role) => (ROLE_NAMES.includes(role) ? role : ROLES.USER);
+
+// Who counts as the owner of a resource
+const OWNERSHIP_RULES = {
+    contestCreator: (user, contest) => !!contest && contest.creator === user.email,
+    contestJudge: (user, contest) => !!contest && (contest.judging?.judges || []).includes(user.email),
+    submissionOwner: (user, submission) => !!submission
+        && (submission.participantEmail === user.email || (submission.teamMembers || []).includes(user.email)),
+    teamMember: (user, team) => !!team && team.members.some(member => member.email === user.email),
+    teamCaptain: (user, team) => !!team && team.captainEmail === user.email,
+    self: (user, target) => !!target && target.email === user.email,
+};
+
+const PERMISSIONS = {
+    'contests:read': {
+        description: 'View contest details',
+        roles: ROLE_NAMES,
+    },
+    'contests:create': {
+        description: 'Create contests',
+        roles: [ROLES.CREATOR],
+    },
+    'contests:edit': {
+        description: 'Edit a contest before it is approved',
+        own: { rule: 'contestCreator', roles: [ROLES.CREATOR] },
+    },
+    'contests:delete': {
+        description: 'Delete a contest that has no participants',
+        roles: [ROLES.ADMIN],
+        own: { rule: 'contestCreator', roles: [ROLES.CREATOR] },
+    },
+    'contests:change-status': {
+        description: 'Submit, withdraw, close or cancel a contest',
+        own: { rule: 'contestCreator', roles: [ROLES.CREATOR] },
+    },
+    'contests:review': {
+        description: 'Approve, reject, open, close or cancel any contest',
+        roles: [ROLES.ADMIN],
+    },
+    'contests:manage-judging': {
+        description: 'Set the scoring rubric and invite judges',
+        own: { rule: 'contestCreator', roles: [ROLES.CREATOR] },
+    },
+    'contests:declare-winner': {
+        description: 'Declare the winner of a contest',
+        own: { rule: 'contestCreator', roles: [ROLES.CREATOR] },
+    },
+    'submissions:create': {
+        description: 'Submit an entry to a contest',
+        roles: ROLE_NAMES,
+    },
+    'submissions:edit': {
+        description: 'Replace or withdraw your entry before the deadline',
+        own: { rule: 'submissionOwner', roles: ROLE_NAMES },
+    },
+    'submissions:judge': {
+        description: 'Score the entries of contests you judge',
+        own: { rule: 'contestJudge', roles: ROLE_NAMES },
+    },
+    'submissions:review': {
+        description: 'View the entries of a contest',
+        own: { rule: 'contestCreator', roles: [ROLES.CREATOR] },
+    },
+    'submissions:read-files': {
+        description: 'Download the files of an entry (contest creators and judges may too)',
+        roles: [ROLES.ADMIN],
+        own: { rule: 'submissionOwner', roles: ROLE_NAMES },
+    },
+    'teams:create': {
+        description: 'Create a team for a contest and answer team invitations',
+        roles: ROLE_NAMES,
+    },
+    'teams:manage': {
+        description: 'Invite members to your team',
+        own: { rule: 'teamCaptain', roles: ROLE_NAMES },
+    },
+    'teams:read': {
+        description: 'View a team and its members (contest creators may too)',
+        roles: [ROLES.ADMIN],
+        own: { rule: 'teamMember', roles: ROLE_NAMES },
+    },
+    'payments:create': {
+        description: 'Pay a contest entry fee',
+        roles: ROLE_NAMES,
+    },
+    'payments:read': {
+        description: 'View payment history',
+        roles: [ROLES.ADMIN],
+        own: { rule: 'self', roles: ROLE_NAMES },
+    },
+    'payments:refund': {
+        description: 'Refund entry fees',
+        roles: [ROLES.ADMIN],
+        own: { rule: 'contestCreator', roles: [ROLES.CREATOR] },
+    },
+    'ledger:read-statement': {
+        description: 'View and export a ledger statement',
+        roles: [ROLES.ADMIN],
+        own: { rule: 'self', roles: ROLE_NAMES },
+    },
+    'ledger:read-contest': {
+        description: 'View the income and payouts of a contest',
+        roles: [ROLES.ADMIN],
+        own: { rule: 'contestCreator', roles: [ROLES.CREATOR] },
+    },
+    'payouts:manage': {
+        description: 'List payouts and update their status',
+        roles: [ROLES.ADMIN],
+    },
+    'profile:read': {
+        description: 'View account details and statistics',
+        own: { rule: 'self', roles: ROLE_NAMES },
+    },
+    'profile:update': {
+        description: 'Update a profile',
+        own: { rule: 'self', roles: ROLE_NAMES },
+    },
+    'notifications:read': {
+        description: 'View your notifications and notification settings',
+        roles: ROLE_NAMES,
+    },
+    'notifications:update': {
+        description: 'Mark your notifications read and choose how you are notified',
+        roles: ROLE_NAMES,
+    },
+    'events:subscribe': {
+        description: 'Receive real-time updates for your dashboard and the contests you view',
+        roles: ROLE_NAMES,
+    },
+    'sessions:revoke': {
+        description: 'Log out of every session',
+        own: { rule: 'self', roles: ROLE_NAMES },
+    },
+    'creator-applications:submit': {
+        description: 'Apply to become a Creator',
+        roles: [ROLES.USER],
+    },
+    'creator-applications:review': {
+        description: 'Approve or reject creator applications',
+        roles: [ROLES.ADMIN],
+    },
+    'users:read-stats': {
+        description: 'View participation and win counts',
+        roles: ROLE_NAMES,
+    },
+    'users:read': {
+        description: 'List users',
+        roles: [ROLES.ADMIN],
+    },
+    'users:update-role': {
+        description: 'Change user roles',
+        roles: [ROLES.ADMIN],
+    },
+    'dashboard:creator': {
+        description: 'Use the creator dashboard',
+        roles: [ROLES.CREATOR],
+    },
+    'dashboard:admin': {
+        description: 'Use the admin dashboard and statistics',
+        roles: [ROLES.ADMIN],
+    },
+    'analytics:read': {
+        description: 'View revenue, growth and conversion analytics',
+        roles: [ROLES.ADMIN],
+    },
+};
+
+const definitionOf = (permission) => {
+    const definition = PERMISSIONS[permission];
+    if (!definition) throw new Error(`Unknown permission '${permission}'`);
+    return definition;
+};
+
+// Granted regardless of who owns the resource
+const canAny = (user, permission) => (definitionOf(permission).roles || []).includes(normalizeRole(user?.role));
+
+// Granted at least for the user's own resources (what the route guard checks)
+const mayAttempt = (user, permission) => {
+    const { own } = definitionOf(permission);
+    return canAny(user, permission) || (!!own && own.roles.includes(normalizeRole(user?.role)));
+};
+
+// Full check against a loaded resource, ownership included
+const can = (user, permission, resource) => {
+    if (canAny(user, permission)) return true;
+    const { own } = definitionOf(permission);
+    return !!own && own.roles.includes(normalizeRole(user?.role)) && OWNERSHIP_RULES[own.rule](user, resource);
+};
+
+// The policy as the dashboard sees it (GET /roles)
+const describePolicy = () => ({
+    roles: ROLE_NAMES.map(role => ({
+        name: role,
+        permissions: Object.keys(PERMISSIONS)
+            .filter(permission => mayAttempt({ role }, permission))
+            .map(permission => ({ name: permission, ownOnly: !canAny({ role }, permission) })),
+    })),
+    permissions: Object.entries(PERMISSIONS).map(([name, { description, own }]) => ({
+        name,
+        description,
+        ownership: own ? own.rule : null,
+    })),
+});
+
+module.exports = {
+    ROLES,
+    ROLE_NAMES,
+    PERMISSIONS,
+    OWNERSHIP_RULES,
+    normalizeRole,
+    canAny,
+    mayAttempt,
+    can,
+    describePolicy,
+};
@@ -0,0 +1,115 @@
+// Prize tiers and placements.
+//
+// A contest may define ordered prize tiers (1st, 2nd, 3rd, honorable mentions,
+// ...), each with its own amount and number of places. Contests without tiers
+// get a single 'winner' tier worth the whole prizeMoney. Results are stored in
+// one normalized `winners` list on the contest:
+//
+//   { tier, tierName, place, amount, email, name, image, submissionId, declaredAt, declaredBy }
+//
+// where `place` is the tier's position (1 for the top tier). Every way of
+// declaring a winner writes this shape. Team entries add teamId, teamName and
+// `members` (every member's email; `email` is the captain's).
+const { ObjectId } = require('mongodb');
+
+const DEFAULT_TIER_KEY = 'winner';
+
+const tierKey = (name) => name.toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+/**
+ * Normalizes the creator's tiers and checks them against the prize pool.
+ * Resolves to { prizeTiers } or { error }.
+ */
+const normalizePrizeTiers = (tiers, prizeMoney) => {
+    const prizeTiers = tiers.map(({ name, amount, places }) => ({
+        key: tierKey(name),
+        name,
+        amount,
+        places: Math.max(1, Math.floor(places || 1)),
+    }));
+
+    const keys = prizeTiers.map(tier => tier.key);
+    const duplicate = keys.find((key, index) => !key || keys.indexOf(key) !== index);
+    if (duplicate !== undefined) {
+        return { error: `Prize tier names must be distinct (${duplicate || 'empty name'})` };
+    }
+
+    const total = prizeTiers.reduce((sum, tier) => sum + tier.amount * tier.places, 0);
+    if (prizeMoney !== undefined && total > prizeMoney) {
+        return { error: `Prize tiers add up to ${total}, more than the prize money of ${prizeMoney}` };
+    }
+    return { prizeTiers };
+};
+
+const prizeTiersOf = (contest) => (contest.prizeTiers?.length
+    ? contest.prizeTiers
+    : [{ key: DEFAULT_TIER_KEY, name: 'Winner', amount: Number(contest.prizeMoney) || 0, places: 1 }]);
+
+const winnerEntry = (tier, place, submission, by, at) => ({
+    tier: tier.key,
+    tierName: tier.name,
+    place,
+    amount: tier.amount,
+    email: submission.participantEmail,
+    name: submission.participantName || null,
+    image: submission.participantImage || null,
+    submissionId: submission._id ? submission._id.toString() : null,
+    declaredAt: at,
+    declaredBy: by,
+    ...(submission.teamId && { teamId: submission.teamId, teamName: submission.teamName, members: submission.teamMembers }),
+});
+
+/**
+ * Turns [{ tier, submission }] into the contest's `winners` list, checking
+ * that each tier exists, isn't over-filled and nobody places twice.
+ * Resolves to { winners } or { error }.
+ */
+const buildWinners = (contest, placements, { by, at = new Date() }) => {
+    const tiers = prizeTiersOf(contest);
+    const winners = [];
+
+    for (const { tier: key, submission } of placements) {
+        const place = tiers.findIndex(tier => tier.key === key) + 1;
+        if (place === 0) return { error: `Unknown prize tier '${key}'` };
+
+        const tier = tiers[place - 1];
+        if (winners.filter(winner => winner.tier === key).length >= tier.places) {
+            return { error: `Prize tier '${tier.name}' has only ${tier.places} place(s)` };
+        }
+        if (winners.some(winner => winner.email === submission.participantEmail)) {
+            return { error: `${submission.participantEmail} is placed more than once` };
+        }
+        winners.push(winnerEntry(tier, place, submission, by, at));
+    }
+
+    if (!winners.some(winner => winner.place === 1)) {
+        return { error: `The top prize tier '${tiers[0].name}' must be awarded` };
+    }
+    return { winners: winners.sort((a, b) => a.place - b.place) };
+};
+
+// Single-winner declarations (creator, ranking, scheduler) award the top tier
+const topTierWinners = (contest, submission, by, at = new Date()) => [winnerEntry(prizeTiersOf(contest)[0], 1, submission, by, at)];
+
+// Marks placed submissions; the top tier keeps the 'Winner' status the dashboards already show
+const recordPlacements = async (submissionsCollection, winners) => {
+    for (const winner of winners.filter(entry => entry.submissionId)) {
+        await submissionsCollection.updateOne(
+            { _id: new ObjectId(winner.submissionId) },
+            {
+                $set: {
+                    status: winner.place === 1 ? 'Winner' : 'Placed',
+                    placement: { tier: winner.tier, tierName: winner.tierName, place: winner.place, amount: winner.amount },
+                },
+            }
+        );
+    }
+};
+
+module.exports = {
+    normalizePrizeTiers,
+    prizeTiersOf,
+    buildWinners,
+    topTierWinners,
+    recordPlacements,
+};
@@ -0,0 +1,66 @@
+// Role changes: every promotion or demotion goes through changeUserRole, which
+// guards on the previous role and appends the change to the user's `roleHistory`.
+const { ROLE_NAMES, normalizeRole } = require('./permissions');
+
+const APPLICATION_STATUS = {
+    PENDING: 'Pending',
+    APPROVED: 'Approved',
+    REJECTED: 'Rejected',
+};
+
+/**
+ * Sets the role of the user matching `filter` to `to`.
+ *
+ * Options:
+ *   by            - email of whoever made the change
+ *   reason        - optional free text kept in the history
+ *   applicationId - the creator application that led to the change, if any
+ *
+ * Resolves to { user, from, to, changed } or { error: { status, message } }.
+ */
+const changeUserRole = async (usersCollection, filter, to, options = {}) => {
+    const { by, reason, applicationId } = options;
+
+    if (!ROLE_NAMES.includes(to)) {
+        return { error: { status: 400, message: `Unknown role '${to}'` } };
+    }
+
+    const user = await usersCollection.findOne(filter);
+    if (!user) {
+        return { error: { status: 404, message: 'User not found' } };
+    }
+
+    const from = normalizeRole(user.role);
+    if (user.role === to) {
+        return { user, from, to, changed: false };
+    }
+
+    const result = await usersCollection.updateOne(
+        { _id: user._id, role: user.role ?? null },
+        {
+            $set: { role: to, roleUpdatedAt: new Date(), roleUpdatedBy: by },
+            $push: {
+                roleHistory: {
+                    from: user.role || null,
+                    to,
+                    by,
+                    at: new Date(),
+                    reason: reason || null,
+                    applicationId: applicationId || null,
+                },
+            },
+        }
+    );
+
+    // Someone else changed the role between our read and write
+    if (result.matchedCount === 0) {
+        return { error: { status: 409, message: 'User role was changed by another request, please retry' } };
+    }
+
+    return { user: { ...user, role: to }, from, to, changed: true };
+};
+
+module.exports = {
+    APPLICATION_STATUS,
+    changeUserRole,
+};
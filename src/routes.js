@@ -0,0 +1,230 @@
+// Per-domain routers. Paths are kept exactly as the client uses them, so
+// every router is mounted at the root. Every authenticated route declares
+// the permission it needs (see src/permissions.js).
+const express = require('express');
+const { validateBody } = require('./validation');
+const schemas = require('./schemas');
+const { parseUploads } = require('./uploads');
+
+// --- Contest APIs ---
+const createContestsRouter = (contests, { verifyToken, authorize }) => {
+    const router = express.Router();
+
+    // Public
+    router.get('/contests', contests.getContests);
+    router.get('/contests/popular', contests.getPopularContests);
+    router.get('/popular-contests', contests.getTopContests);
+    router.get('/contests/winners', contests.getWinnerContests);
+    router.get('/creators/best', contests.getBestCreators);
+    router.get('/creators/:email/profile', contests.getCreatorProfile);
+
+    // Creator
+    router.post('/contests', verifyToken, authorize('contests:create'), validateBody(schemas.contestCreateSchema), contests.createContest);
+    router.get('/contests/creator', verifyToken, authorize('dashboard:creator'), contests.getCreatorContests);
+    router.get('/creator/analytics', verifyToken, authorize('dashboard:creator'), contests.getCreatorAnalytics);
+    router.patch('/contests/creator/edit/:id', verifyToken, authorize('contests:edit'), validateBody(schemas.contestUpdateSchema, { partial: true }), contests.editCreatorContest);
+    router.patch('/contests/creator/status/:id', verifyToken, authorize('contests:change-status'), validateBody(schemas.contestStatusSchema), contests.updateCreatorContestStatus);
+    router.delete('/contests/creator/:id', verifyToken, authorize('contests:delete'), contests.deleteCreatorContest);
+    router.patch('/contests/update/:id', verifyToken, authorize('contests:edit'), validateBody(schemas.contestUpdateSchema, { partial: true }), contests.updateContest);
+    router.patch('/contests/winner/:contestId', verifyToken, authorize('contests:declare-winner'), validateBody(schemas.contestWinnerSchema), contests.declareContestWinner);
+    router.put('/contests/:id/placements', verifyToken, authorize('contests:declare-winner'), validateBody(schemas.placementsSchema), contests.assignPlacements);
+
+    // Creator (own contests) or Admin
+    router.delete('/contests/:id', verifyToken, authorize('contests:delete'), contests.deleteContest);
+
+    router.get('/contests/single/:id', verifyToken, authorize('contests:read'), contests.getContest);
+
+    return router;
+};
+
+// --- User APIs ---
+const createUsersRouter = (users, { verifyToken, authorize }) => {
+    const router = express.Router();
+
+    router.post('/jwt', validateBody(schemas.tokenRequestSchema), users.issueToken);
+    router.post('/logout', users.logout);
+    router.post('/auth/refresh', users.refreshSession);
+    router.post('/auth/logout', users.logout);
+    router.post('/auth/logout-all', verifyToken, authorize('sessions:revoke'), users.logoutAll);
+
+    // Roles and what each may do, for the dashboard
+    router.get('/roles', users.getRoles);
+
+    router.post('/users', validateBody(schemas.userRegistrationSchema), users.registerUser);
+    router.get('/users/:email', users.getUser);
+    router.get('/users/role/:email', verifyToken, authorize('profile:read'), users.getUserRole);
+    router.get('/users/admin/:email', verifyToken, authorize('dashboard:admin'), users.checkAdmin);
+    router.get('/users/creator/:email', verifyToken, authorize('dashboard:creator'), users.checkCreator);
+    router.patch('/users/profile/:email', verifyToken, authorize('profile:update'), validateBody(schemas.userProfileSchema, { partial: true }), users.updateProfile);
+    router.get('/user-stats/:email', verifyToken, authorize('users:read-stats'), users.getUserStats);
+
+    return router;
+};
+
+// --- Payment APIs ---
+const createPaymentsRouter = (payments, { verifyToken, authorize }) => {
+    const router = express.Router();
+
+    router.post('/create-payment-intent', verifyToken, authorize('payments:create'), validateBody(schemas.paymentIntentSchema), payments.createPaymentIntent);
+    router.post('/webhooks/stripe', payments.handleStripeWebhook);
+    router.post('/payments', verifyToken, authorize('payments:create'), validateBody(schemas.paymentConfirmSchema), payments.confirmPayment);
+
+    // Refunds (Admin or the contest's Creator)
+    router.post('/payments/:id/refund', verifyToken, authorize('payments:refund'), validateBody(schemas.refundSchema), payments.refundSinglePayment);
+    router.post('/contests/:id/refunds', verifyToken, authorize('payments:refund'), validateBody(schemas.refundSchema), payments.refundContestPayments);
+
+    // User dashboard
+    router.get('/participated-contests', verifyToken, authorize('payments:read'), payments.getParticipatedContests);
+    router.get('/my-participated-contests/:email', verifyToken, authorize('payments:read'), payments.getUserPayments);
+    router.get('/my-participated/:email', verifyToken, authorize('payments:read'), payments.getUserPayments);
+
+    return router;
+};
+
+// --- Submission APIs ---
+const createSubmissionsRouter = (submissions, { verifyToken, authorize }) => {
+    const router = express.Router();
+
+    router.post('/submissions', verifyToken, authorize('submissions:create'), parseUploads, validateBody(schemas.submissionSchema), submissions.createSubmission);
+    router.patch('/submissions/:id', verifyToken, authorize('submissions:edit'), parseUploads, validateBody(schemas.submissionUpdateSchema), submissions.updateSubmission);
+    router.delete('/submissions/:id', verifyToken, authorize('submissions:edit'), submissions.withdrawSubmission);
+    router.get('/submissions/:id/versions', verifyToken, authorize('submissions:read-files'), submissions.getSubmissionVersions);
+    router.get('/submissions/:id/files/:fileId', verifyToken, authorize('submissions:read-files'), submissions.downloadSubmissionFile);
+    router.get('/submissions/creator', verifyToken, authorize('dashboard:creator'), submissions.getCreatorSubmissions);
+    router.get('/submissions/contest/:contestId', verifyToken, authorize('submissions:review'), submissions.getContestSubmissions);
+    router.patch('/submissions/declare-winner/:id', verifyToken, authorize('contests:declare-winner'), validateBody(schemas.declareWinnerSchema), submissions.declareSubmissionWinner);
+
+    return router;
+};
+
+// --- Judging Panel APIs ---
+const createJudgingRouter = (judging, { verifyToken, authorize }) => {
+    const router = express.Router();
+
+    // Creator: rubric, judges, ranking and declaring the winner from it
+    router.put('/contests/:id/judging', verifyToken, authorize('contests:manage-judging'), validateBody(schemas.judgingSchema), judging.updateJudging);
+    router.get('/contests/:id/judging', verifyToken, authorize('submissions:judge'), judging.getJudging);
+    router.get('/contests/:id/ranking', verifyToken, authorize('contests:declare-winner'), judging.getRanking);
+    router.post('/contests/:id/ranking/winner', verifyToken, authorize('contests:declare-winner'), validateBody(schemas.rankingWinnerSchema), judging.declareWinnerFromRanking);
+
+    // Judges
+    router.get('/judging/assignments', verifyToken, authorize('submissions:judge'), judging.getAssignments);
+    router.get('/judging/contests/:id/submissions', verifyToken, authorize('submissions:judge'), judging.getJudgeSubmissions);
+    router.put('/judging/submissions/:id/score', verifyToken, authorize('submissions:judge'), validateBody(schemas.judgeScoreSchema), judging.scoreSubmission);
+
+    return router;
+};
+
+// --- Team APIs ---
+const createTeamsRouter = (teams, { verifyToken, authorize }) => {
+    const router = express.Router();
+
+    router.post('/teams', verifyToken, authorize('teams:create'), validateBody(schemas.teamSchema), teams.createTeam);
+    router.get('/teams/mine', verifyToken, authorize('teams:create'), teams.getMyTeams);
+    router.get('/teams/:id', verifyToken, authorize('teams:read'), teams.getTeam);
+    router.post('/teams/:id/invites', verifyToken, authorize('teams:manage'), validateBody(schemas.teamInviteSchema), teams.inviteMembers);
+    router.post('/teams/:id/respond', verifyToken, authorize('teams:create'), validateBody(schemas.teamResponseSchema), teams.respondToInvite);
+
+    return router;
+};
+
+// --- Creator Application APIs ---
+const createCreatorApplicationsRouter = (applications, { verifyToken, authorize }) => {
+    const router = express.Router();
+
+    router.post('/creator-applications', verifyToken, authorize('creator-applications:submit'), validateBody(schemas.creatorApplicationSchema), applications.submitApplication);
+    router.get('/creator-applications/mine', verifyToken, authorize('profile:read'), applications.getMyApplications);
+
+    // Admin review queue
+    router.get('/creator-applications', verifyToken, authorize('creator-applications:review'), applications.getApplications);
+    router.patch('/creator-applications/:id', verifyToken, authorize('creator-applications:review'), validateBody(schemas.creatorApplicationReviewSchema), applications.reviewApplication);
+
+    return router;
+};
+
+// --- Ledger & Payout APIs ---
+const createLedgerRouter = (ledger, { verifyToken, authorize }) => {
+    const router = express.Router();
+
+    router.get('/ledger/contests/:id', verifyToken, authorize('ledger:read-contest'), ledger.getContestLedger);
+    router.get('/ledger/statement/:email', verifyToken, authorize('ledger:read-statement'), ledger.getStatement);
+
+    // Admin payout queue
+    router.get('/payouts', verifyToken, authorize('payouts:manage'), ledger.getPayouts);
+    router.patch('/payouts/:id', verifyToken, authorize('payouts:manage'), validateBody(schemas.payoutStatusSchema), ledger.updatePayout);
+
+    return router;
+};
+
+// --- Notification APIs (always the signed-in user's own) ---
+const createNotificationsRouter = (notifications, { verifyToken, authorize }) => {
+    const router = express.Router();
+
+    router.get('/notifications', verifyToken, authorize('notifications:read'), notifications.getNotifications);
+    router.get('/notifications/unread-count', verifyToken, authorize('notifications:read'), notifications.getUnreadCount);
+    router.get('/notifications/preferences', verifyToken, authorize('notifications:read'), notifications.getPreferences);
+    router.put('/notifications/preferences', verifyToken, authorize('notifications:update'), validateBody(schemas.notificationPreferencesSchema), notifications.updatePreferences);
+    router.post('/notifications/read-all', verifyToken, authorize('notifications:update'), notifications.markAllRead);
+    router.patch('/notifications/:id/read', verifyToken, authorize('notifications:update'), notifications.markRead);
+
+    return router;
+};
+
+// --- Real-time Event APIs (Server-Sent Events) ---
+const createEventsRouter = (events, { verifyToken, authorize }) => {
+    const router = express.Router();
+
+    router.get('/events', verifyToken, authorize('events:subscribe'), events.streamEvents);
+
+    return router;
+};
+
+// --- Leaderboard APIs ---
+const createLeaderboardsRouter = (leaderboards, { verifyToken, authorize }) => {
+    const router = express.Router();
+
+    router.get('/leaderboards', leaderboards.getLeaderboard);
+    router.get('/leaderboards/seasons', leaderboards.getSeasons);
+    router.get('/leaderboards/me', verifyToken, authorize('profile:read'), leaderboards.getMyStandings);
+
+    return router;
+};
+
+// --- Admin APIs ---
+const createAdminRouter = (admin, { verifyToken, authorize }) => {
+    const router = express.Router();
+
+    router.get('/admin-stats', verifyToken, authorize('dashboard:admin'), admin.getStats);
+    router.get('/admin/analytics/timeseries', verifyToken, authorize('analytics:read'), admin.getAnalyticsTimeSeries);
+    router.get('/admin/analytics/breakdown', verifyToken, authorize('analytics:read'), admin.getAnalyticsBreakdown);
+
+    router.get('/contests/admin', verifyToken, authorize('contests:review'), admin.getAllContests);
+    router.get('/all-contests', verifyToken, authorize('contests:review'), admin.getAllContests);
+    router.get('/contests/pending', verifyToken, authorize('contests:review'), admin.getPendingContests);
+    router.patch('/contests/status/:id', verifyToken, authorize('contests:review'), validateBody(schemas.contestStatusSchema), admin.updateContestStatus);
+    router.patch('/contests/:id/status', verifyToken, authorize('contests:review'), validateBody(schemas.contestStatusSchema), admin.updateContestStatus);
+
+    router.get('/users', verifyToken, authorize('users:read'), admin.getUsers);
+    router.patch('/users/role/:id', verifyToken, authorize('users:update-role'), validateBody(schemas.userRoleSchema), admin.updateUserRole);
+    router.get('/users/role-history/:id', verifyToken, authorize('users:read'), admin.getUserRoleHistory);
+
+    // Called by Vercel Cron (authenticated with CRON_SECRET, not a user token)
+    router.get('/cron/contests', admin.runScheduler);
+
+    return router;
+};
+
+module.exports = {
+    createContestsRouter,
+    createUsersRouter,
+    createPaymentsRouter,
+    createSubmissionsRouter,
+    createJudgingRouter,
+    createTeamsRouter,
+    createCreatorApplicationsRouter,
+    createLedgerRouter,
+    createNotificationsRouter,
+    createEventsRouter,
+    createLeaderboardsRouter,
+    createAdminRouter,
+};
@@ -0,0 +1,157 @@
+// Contest scheduler: opens approved contests when registration starts, reminds
+// participants a day before the deadline, closes open contests at their
+// deadline and picks winners for contests that use an automatic winner rule.
+// Runs as an in-process timer and from the cron route (Vercel functions don't
+// live long enough for a timer).
+//
+// Jobs take the collections plus an optional `notifier` (src/notifications.js),
+// `events` bus (src/events.js) and `leaderboards` (src/leaderboards.js).
+const { STATUS, isPast, transitionContest } = require('./lifecycle');
+const { topTierWinners, recordPlacements } = require('./prizes');
+const { openContestPayouts } = require('./ledger');
+const { activeSubmissionFilter } = require('./submissions');
+const { winnersDeclaredEvent } = require('./events');
+
+const SYSTEM = 'system';
+
+const REMINDER_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Winner rules: given a contest's submissions, return the winning one or null
+// to try again on a later run (no scores yet, or a tie a human has to break).
+const WINNER_RULES = {
+    'highest-judge-score': (submissions) => {
+        const scored = submissions
+            .filter(submission => typeof submission.judgeScore === 'number')
+            .sort((a, b) => b.judgeScore - a.judgeScore);
+
+        if (scored.length === 0) return null;
+        if (scored.length > 1 && scored[0].judgeScore === scored[1].judgeScore) return null;
+        return scored[0];
+    },
+};
+
+// Accepted contests whose registrationOpensAt has come
+const openScheduledContests = async ({ contestsCollection }, now) => {
+    const contests = await contestsCollection
+        .find({ status: STATUS.ACCEPTED, registrationOpensAt: { $exists: true } })
+        .project({ _id: 1, registrationOpensAt: 1 })
+        .toArray();
+
+    const opened = [];
+    for (const contest of contests.filter(c => isPast(c.registrationOpensAt, now))) {
+        const result = await transitionContest(contestsCollection, contest._id, STATUS.OPEN, {
+            by: SYSTEM,
+            reason: 'Registration opened',
+        });
+        if (!result.error) opened.push(contest._id);
+    }
+    return opened;
+};
+
+// Open contests whose deadline is less than a day away, reminded once
+const remindUpcomingDeadlines = async ({ contestsCollection, notifier }, now) => {
+    if (!notifier) return [];
+
+    const contests = await contestsCollection
+        .find({ status: STATUS.OPEN, deadline: { $exists: true }, deadlineReminderAt: { $exists: false } })
+        .project({ _id: 1, name: 1, deadline: 1 })
+        .toArray();
+    const soon = new Date(now.getTime() + REMINDER_WINDOW_MS);
+
+    const reminded = [];
+    for (const contest of contests.filter(c => isPast(c.deadline, soon) && !isPast(c.deadline, now))) {
+        // Claim the reminder first so concurrent runs don't send it twice
+        const claimed = await contestsCollection.updateOne(
+            { _id: contest._id, deadlineReminderAt: { $exists: false } },
+            { $set: { deadlineReminderAt: now } }
+        );
+        if (claimed.modifiedCount !== 1) continue;
+
+        await notifier.deadlineApproaching(contest);
+        reminded.push(contest._id);
+    }
+    return reminded;
+};
+
+// Open contests whose deadline has passed
+const closeExpiredContests = async ({ contestsCollection }, now) => {
+    const contests = await contestsCollection
+        .find({ status: STATUS.OPEN, deadline: { $exists: true } })
+        .project({ _id: 1, deadline: 1 })
+        .toArray();
+
+    const closed = [];
+    for (const contest of contests.filter(c => isPast(c.deadline, now))) {
+        const result = await transitionContest(contestsCollection, contest._id, STATUS.CLOSED, {
+            by: SYSTEM,
+            reason: 'Deadline passed',
+        });
+        if (!result.error) closed.push(contest._id);
+    }
+    return closed;
+};
+
+// Closed contests with a winner rule and no winner yet
+const selectAutomaticWinners = async (collections, now) => {
+    const { contestsCollection, submissionsCollection } = collections;
+    const contests = await contestsCollection
+        .find({
+            status: STATUS.CLOSED,
+            winnerRule: { $in: Object.keys(WINNER_RULES) },
+            'winners.0': { $exists: false },
+        })
+        .toArray();
+
+    const winners = [];
+    for (const contest of contests) {
+        // Give judges until judgingEndsAt (when set) before deciding
+        if (contest.judgingEndsAt && !isPast(contest.judgingEndsAt, now)) continue;
+
+        const submissions = await submissionsCollection.find({ contestId: contest._id.toString(), ...activeSubmissionFilter }).toArray();
+        const winning = WINNER_RULES[contest.winnerRule](submissions);
+        if (!winning) continue;
+
+        const placed = topTierWinners(contest, winning, SYSTEM, now);
+
+        const result = await transitionContest(contestsCollection, contest._id, STATUS.COMPLETED, {
+            by: SYSTEM,
+            reason: `Winner selected by rule '${contest.winnerRule}'`,
+            set: { winners: placed },
+        });
+        if (result.error) continue;
+
+        await recordPlacements(submissionsCollection, placed);
+        await openContestPayouts(collections, contest, placed);
+        await collections.notifier?.winnersDeclared(contest, placed);
+        await collections.events?.publish(winnersDeclaredEvent(contest, placed));
+        await collections.leaderboards?.contestDecided(contest, placed);
+        winners.push({ contestId: contest._id, submissionId: winning._id });
+    }
+    return winners;
+};
+
+// One pass over every job; safe to call concurrently since transitions are guarded
+const runScheduledJobs = async (collections, now = new Date()) => {
+    const opened = await openScheduledContests(collections, now);
+    const reminded = await remindUpcomingDeadlines(collections, now);
+    const closed = await closeExpiredContests(collections, now);
+    const winners = await selectAutomaticWinners(collections, now);
+    return { opened, reminded, closed, winners, ranAt: now };
+};
+
+const startScheduler = (collections, intervalMs) => {
+    const tick = () => runScheduledJobs(collections).catch(error => {
+        console.error('Scheduler Error:', error);
+    });
+    const timer = setInterval(tick, intervalMs);
+    timer.unref(); // Don't keep the process alive just for the scheduler
+    tick();
+    return timer;
+};
+
+module.exports = {
+    WINNER_RULES,
+    isPast,
+    runScheduledJobs,
+    startScheduler,
+};
@@ -0,0 +1,250 @@
+// Body schemas for the write routes (see src/validation.js for the rule format)
+const { CONTEST_TYPES } = require('./validation');
+const { WINNER_RULES } = require('./scheduler');
+const { ROLE_NAMES } = require('./permissions');
+const { APPLICATION_STATUS } = require('./roles');
+const { PAYOUT_STATUS } = require('./ledger');
+const { TEAM_PAYMENT_MODES } = require('./teams');
+const { NOTIFICATION_TYPES, CHANNELS } = require('./notifications');
+
+const contestFields = {
+    name: { type: 'string', required: true, minLength: 3, maxLength: 120 },
+    image: { type: 'url', required: true, maxLength: 2048 },
+    description: { type: 'string', required: true, minLength: 10, maxLength: 5000 },
+    taskInstruction: { type: 'string', maxLength: 5000 },
+    price: { type: 'number', required: true, min: 0, max: 100000 },
+    prizeMoney: { type: 'number', required: true, min: 0, max: 10000000 },
+    contestType: { type: 'string', required: true, enum: CONTEST_TYPES },
+    deadline: { type: 'date', required: true, future: true },
+    // Entry cap (paid participants); uncapped when left out
+    maxParticipants: { type: 'number', integer: true, min: 1, max: 100000 },
+    currency: { type: 'string', pattern: /^[a-z]{3}$/i },
+    winnerRule: { type: 'string', enum: Object.keys(WINNER_RULES) },
+    registrationOpensAt: { type: 'date' },
+    judgingEndsAt: { type: 'date' },
+    tags: { type: 'array', maxItems: 10, items: { type: 'string', minLength: 1, maxLength: 30 } },
+    // Ordered best first, e.g. 1st / 2nd / 3rd / Honorable mention (places: 3)
+    prizeTiers: {
+        type: 'array',
+        minItems: 1,
+        maxItems: 10,
+        items: {
+            type: 'object',
+            fields: {
+                name: { type: 'string', required: true, minLength: 1, maxLength: 40 },
+                amount: { type: 'number', required: true, min: 0, max: 10000000 },
+                places: { type: 'number', min: 1, max: 20 },
+            },
+        },
+    },
+    // Accept team entries: one payment per team ('single') or a share per member ('split')
+    teamPolicy: {
+        type: 'object',
+        fields: {
+            maxSize: { type: 'number', required: true, min: 2, max: 20 },
+            paymentMode: { type: 'string', required: true, enum: Object.values(TEAM_PAYMENT_MODES) },
+        },
+    },
+};
+
+const contestCreateSchema = {
+    ...contestFields,
+    draft: { type: 'boolean' },
+};
+
+// Used with { partial: true }
+const contestUpdateSchema = contestFields;
+
+const contestStatusSchema = {
+    status: { type: 'string', required: true, maxLength: 20 },
+    reason: { type: 'string', maxLength: 500 },
+};
+
+const contestWinnerSchema = {
+    winnerEmail: { type: 'email', required: true },
+    winnerName: { type: 'string', maxLength: 80 },
+    winnerImage: { type: 'url', maxLength: 2048 },
+};
+
+const userRegistrationSchema = {
+    name: { type: 'string', maxLength: 80 },
+    email: { type: 'email', required: true, maxLength: 254 },
+    image: { type: 'url', maxLength: 2048 },
+    password: { type: 'string', minLength: 8, maxLength: 200 },
+};
+
+// Either idToken (identity provider) or email + password
+const tokenRequestSchema = {
+    idToken: { type: 'string', maxLength: 4096 },
+    email: { type: 'email', maxLength: 254 },
+    password: { type: 'string', maxLength: 200 },
+};
+
+// Used with { partial: true }
+const userProfileSchema = {
+    name: { type: 'string', minLength: 1, maxLength: 80 },
+    image: { type: 'url', maxLength: 2048 },
+    bio: { type: 'string', maxLength: 500 },
+    address: { type: 'string', maxLength: 200 },
+};
+
+const userRoleSchema = {
+    role: { type: 'string', required: true, enum: ROLE_NAMES },
+    reason: { type: 'string', maxLength: 500 },
+};
+
+const creatorApplicationSchema = {
+    portfolioUrl: { type: 'url', required: true, maxLength: 2048 },
+    pitch: { type: 'string', required: true, minLength: 20, maxLength: 1000 },
+};
+
+const creatorApplicationReviewSchema = {
+    status: { type: 'string', required: true, enum: [APPLICATION_STATUS.APPROVED, APPLICATION_STATUS.REJECTED] },
+    reason: { type: 'string', maxLength: 500 },
+};
+
+const paymentIntentSchema = {
+    contestId: { type: 'objectId', required: true },
+};
+
+const paymentConfirmSchema = {
+    transactionId: { type: 'string', required: true, maxLength: 255 },
+};
+
+const refundSchema = {
+    amount: { type: 'number', min: 0.01 },
+    reason: { type: 'string', maxLength: 500 },
+};
+
+const submissionSchema = {
+    contestId: { type: 'objectId', required: true },
+    contestName: { type: 'string', maxLength: 120 },
+    task: { type: 'string', maxLength: 2000 },
+    submissionLink: { type: 'url', maxLength: 2048 },
+    participantName: { type: 'string', maxLength: 80 },
+    participantImage: { type: 'url', maxLength: 2048 },
+};
+
+// Replacing an entry: the contest can't change, every field is optional
+const submissionUpdateSchema = {
+    task: { type: 'string', maxLength: 2000 },
+    submissionLink: { type: 'url', maxLength: 2048 },
+    participantName: { type: 'string', maxLength: 80 },
+    participantImage: { type: 'url', maxLength: 2048 },
+};
+
+const declareWinnerSchema = {
+    contestId: { type: 'objectId', required: true },
+    participantName: { type: 'string', maxLength: 80 },
+    participantImage: { type: 'url', maxLength: 2048 },
+};
+
+const judgingSchema = {
+    criteria: {
+        type: 'array',
+        required: true,
+        minItems: 1,
+        maxItems: 10,
+        items: {
+            type: 'object',
+            fields: {
+                name: { type: 'string', required: true, minLength: 1, maxLength: 60 },
+                weight: { type: 'number', required: true, min: 0.01, max: 100 },
+                maxScore: { type: 'number', min: 1, max: 100 },
+            },
+        },
+    },
+    judges: { type: 'array', required: true, minItems: 1, maxItems: 20, items: { type: 'email', maxLength: 254 } },
+};
+
+const judgeScoreSchema = {
+    scores: {
+        type: 'array',
+        required: true,
+        minItems: 1,
+        maxItems: 10,
+        items: {
+            type: 'object',
+            fields: {
+                criterion: { type: 'string', required: true, maxLength: 60 },
+                score: { type: 'number', required: true, min: 0, max: 100 },
+            },
+        },
+    },
+    comment: { type: 'string', maxLength: 1000 },
+};
+
+const placementsSchema = {
+    placements: {
+        type: 'array',
+        required: true,
+        minItems: 1,
+        maxItems: 50,
+        items: {
+            type: 'object',
+            fields: {
+                tier: { type: 'string', required: true, maxLength: 60 },
+                submissionId: { type: 'objectId', required: true },
+            },
+        },
+    },
+};
+
+// Only needed to break a tie at the top of the ranking
+const rankingWinnerSchema = {
+    submissionId: { type: 'objectId' },
+};
+
+const teamSchema = {
+    contestId: { type: 'objectId', required: true },
+    name: { type: 'string', required: true, minLength: 2, maxLength: 60 },
+    invites: { type: 'array', maxItems: 19, items: { type: 'email', maxLength: 254 } },
+};
+
+const teamInviteSchema = {
+    emails: { type: 'array', required: true, minItems: 1, maxItems: 19, items: { type: 'email', maxLength: 254 } },
+};
+
+const teamResponseSchema = {
+    accept: { type: 'boolean', required: true },
+};
+
+const payoutStatusSchema = {
+    status: { type: 'string', required: true, enum: Object.values(PAYOUT_STATUS) },
+    reference: { type: 'string', maxLength: 200 },
+    note: { type: 'string', maxLength: 500 },
+};
+
+// { <type>: { inApp, email } } for any of the notification types
+const notificationPreferencesSchema = Object.fromEntries(Object.keys(NOTIFICATION_TYPES).map(type => [type, {
+    type: 'object',
+    fields: Object.fromEntries(CHANNELS.map(channel => [channel, { type: 'boolean' }])),
+}]));
+
+module.exports = {
+    contestCreateSchema,
+    contestUpdateSchema,
+    contestStatusSchema,
+    contestWinnerSchema,
+    userRegistrationSchema,
+    tokenRequestSchema,
+    userProfileSchema,
+    userRoleSchema,
+    creatorApplicationSchema,
+    creatorApplicationReviewSchema,
+    paymentIntentSchema,
+    paymentConfirmSchema,
+    refundSchema,
+    submissionSchema,
+    submissionUpdateSchema,
+    declareWinnerSchema,
+    placementsSchema,
+    judgingSchema,
+    judgeScoreSchema,
+    rankingWinnerSchema,
+    teamSchema,
+    teamInviteSchema,
+    teamResponseSchema,
+    payoutStatusSchema,
+    notificationPreferencesSchema,
+};
@@ -0,0 +1,164 @@
+// Public contest search (GET /contests): full-text search over name,
+// description and tags (the contests text index, see src/db.js), filters,
+// sort options and facet counts.
+//
+// Query parameters:
+//   search                      text search (words, "quoted phrases", -excluded)
+//   type                        contest type
+//   minPrice, maxPrice          entry fee range
+//   minPrize, maxPrize          prize money range
+//   deadlineFrom, deadlineTo    deadline window (dates)
+//   creator                     creator's email
+//   free                        'true' = free entry only, 'false' = paid only
+//   sort                        newest (default) | ending-soon | popular | prize
+//   limit, cursor, total        paging (see src/pagination.js)
+//
+// Facets ignore their own filter, so the client can show how many contests
+// each other type / price bucket would give.
+const { LISTED_STATUSES } = require('./lifecycle');
+const { toPage } = require('./pagination');
+
+const SORTS = {
+    newest: { createdAt: -1, _id: -1 },
+    'ending-soon': { deadline: 1, _id: 1 },
+    popular: { participationCount: -1, _id: -1 },
+    prize: { prizeMoney: -1, _id: -1 },
+};
+
+// Entry fee buckets: [min, max) with the label the client shows
+const PRICE_BUCKETS = [
+    { min: 0, max: 0.01, label: 'Free' },
+    { min: 0.01, max: 10, label: 'Under 10' },
+    { min: 10, max: 25, label: '10 - 25' },
+    { min: 25, max: 50, label: '25 - 50' },
+    { min: 50, max: 100, label: '50 - 100' },
+];
+const PRICE_OVERFLOW = { min: 100, label: '100 and up' };
+
+const parseNumber = (value, field, errors) => {
+    if (value === undefined || value === '') return undefined;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) {
+        errors.push({ field, message: `${field} must be a non-negative number` });
+        return undefined;
+    }
+    return number;
+};
+
+const parseDate = (value, field, errors) => {
+    if (value === undefined || value === '') return undefined;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        errors.push({ field, message: `${field} must be a date` });
+        return undefined;
+    }
+    return date;
+};
+
+const range = (min, max) => {
+    const condition = {};
+    if (min !== undefined) condition.$gte = min;
+    if (max !== undefined) condition.$lte = max;
+    return Object.keys(condition).length > 0 ? condition : undefined;
+};
+
+/**
+ * Turns the query string into the aggregation's pieces:
+ * { match, typeMatch, priceMatch, sort } or { errors }.
+ */
+const parseContestSearch = (query) => {
+    const errors = [];
+    const minPrice = parseNumber(query.minPrice, 'minPrice', errors);
+    const maxPrice = parseNumber(query.maxPrice, 'maxPrice', errors);
+    const minPrize = parseNumber(query.minPrize, 'minPrize', errors);
+    const maxPrize = parseNumber(query.maxPrize, 'maxPrize', errors);
+    const deadlineFrom = parseDate(query.deadlineFrom, 'deadlineFrom', errors);
+    const deadlineTo = parseDate(query.deadlineTo, 'deadlineTo', errors);
+
+    const sortKey = query.sort || 'newest';
+    if (!SORTS[sortKey]) {
+        errors.push({ field: 'sort', message: `sort must be one of: ${Object.keys(SORTS).join(', ')}` });
+    }
+    if (query.free !== undefined && !['true', 'false'].includes(query.free)) {
+        errors.push({ field: 'free', message: "free must be 'true' or 'false'" });
+    }
+    if (errors.length > 0) return { errors };
+
+    // Base query: only show approved contests
+    const match = { status: { $in: LISTED_STATUSES } };
+    const search = typeof query.search === 'string' ? query.search.trim() : '';
+    if (search) match.$text = { $search: search.slice(0, 200) };
+
+    const prize = range(minPrize, maxPrize);
+    if (prize) match.prizeMoney = prize;
+    const deadline = range(deadlineFrom, deadlineTo);
+    if (deadline) match.deadline = deadline;
+    if (typeof query.creator === 'string' && query.creator) match.creator = query.creator;
+
+    const typeMatch = typeof query.type === 'string' && query.type ? { contestType: query.type } : {};
+
+    const priceConditions = [];
+    const price = range(minPrice, maxPrice);
+    if (price) priceConditions.push({ price });
+    if (query.free === 'true') priceConditions.push({ price: { $lte: 0 } });
+    if (query.free === 'false') priceConditions.push({ price: { $gt: 0 } });
+    const priceMatch = priceConditions.length > 0 ? { $and: priceConditions } : {};
+
+    return { match, typeMatch, priceMatch, sort: SORTS[sortKey] };
+};
+
+// One aggregation: the page of results (`page` from parsePageParams), the total and both facets
+const contestSearchPipeline = ({ match, typeMatch, priceMatch }, page) => [
+    { $match: match },
+    {
+        $facet: {
+            contests: [
+                { $match: { ...typeMatch, ...priceMatch } },
+                ...(page.after ? [{ $match: page.after }] : []),
+                { $sort: page.sort },
+                { $limit: page.limit + 1 },
+            ],
+            total: page.includeTotal ? [{ $match: { ...typeMatch, ...priceMatch } }, { $count: 'count' }] : [{ $limit: 0 }],
+            types: [{ $match: priceMatch }, { $group: { _id: '$contestType', count: { $sum: 1 } } }, { $sort: { count: -1, _id: 1 } }],
+            prices: [
+                { $match: typeMatch },
+                {
+                    $bucket: {
+                        groupBy: '$price',
+                        boundaries: [...PRICE_BUCKETS.map(bucket => bucket.min), PRICE_OVERFLOW.min],
+                        default: 'overflow',
+                        output: { count: { $sum: 1 } },
+                    },
+                },
+            ],
+        },
+    },
+];
+
+// Shapes the $facet output into the list envelope; empty price buckets are listed with 0
+const formatSearchResult = ([result], page) => {
+    const buckets = [...PRICE_BUCKETS, PRICE_OVERFLOW];
+    const counts = new Map(result.prices.map(bucket => [bucket._id, bucket.count]));
+
+    return {
+        ...toPage(result.contests, page, page.includeTotal ? result.total[0]?.count || 0 : null),
+        facets: {
+            types: result.types.map(type => ({ type: type._id, count: type.count })),
+            prices: buckets.map(bucket => ({
+                label: bucket.label,
+                min: bucket.min,
+                max: bucket.max ?? null,
+                // Prices at or above the last boundary (and missing prices) land in 'overflow'
+                count: counts.get(bucket === PRICE_OVERFLOW ? 'overflow' : bucket.min) || 0,
+            })),
+        },
+    };
+};
+
+module.exports = {
+    SORTS,
+    PRICE_BUCKETS,
+    parseContestSearch,
+    contestSearchPipeline,
+    formatSearchResult,
+};
@@ -0,0 +1,199 @@
+// Sessions: short-lived access tokens plus rotating refresh tokens.
+//
+// Every sign-in starts a session, which is one refresh-token family. Each
+// /auth/refresh spends the presented refresh token and issues the next one in
+// the same family. A token that is presented a second time has leaked, so the
+// whole family is revoked. Access tokens carry the session id (`sid`), so
+// revoking a session (logout, log out everywhere, reuse) invalidates them
+// straight away instead of when they expire.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { ObjectId } = require('mongodb');
+const { tokenPayload } = require('./auth');
+
+const ACCESS_COOKIE = 'access_token';
+const REFRESH_COOKIE = 'refresh_token';
+
+// Only hashes are stored, so a database leak doesn't hand out live refresh tokens
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Requests a cross-site page can't use to change anything
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const bearerToken = (req) => {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    return scheme === 'Bearer' && token ? token : null;
+};
+
+// Bearer header first (API clients), then the httpOnly cookie (browsers)
+const readAccessToken = (req) => bearerToken(req) || req.cookies?.[ACCESS_COOKIE] || null;
+
+// Cookies ride along on cross-site form posts (production cookies are
+// SameSite=None), so the access cookie only authenticates safe requests;
+// anything that changes state needs the Authorization header (CSRF)
+const isCookieOnlyWrite = (req) => !bearerToken(req) && !SAFE_METHODS.includes(req.method);
+
+// The refresh cookie is only sent to /auth/refresh and /auth/logout
+const REFRESH_COOKIE_PATH = '/auth';
+
+const cookieOptions = (config, path = '/') => ({
+    httpOnly: true,
+    secure: config.cookieSecure,
+    sameSite: config.cookieSameSite,
+    path,
+});
+
+const setSessionCookies = (res, { accessToken, refreshToken }, config) => {
+    res.cookie(ACCESS_COOKIE, accessToken, { ...cookieOptions(config), maxAge: config.accessTokenTtlSeconds * 1000 });
+    res.cookie(REFRESH_COOKIE, refreshToken, { ...cookieOptions(config, REFRESH_COOKIE_PATH), maxAge: config.refreshTokenTtlSeconds * 1000 });
+};
+
+const clearSessionCookies = (res, config) => {
+    res.clearCookie(ACCESS_COOKIE, cookieOptions(config));
+    // Refresh cookies set before it was scoped to /auth live on path '/'
+    res.clearCookie(REFRESH_COOKIE, cookieOptions(config));
+    res.clearCookie(REFRESH_COOKIE, cookieOptions(config, REFRESH_COOKIE_PATH));
+};
+
+const createSessions = ({ sessionsCollection, refreshTokensCollection, usersCollection, config }) => {
+    const refreshExpiry = (now) => new Date(now.getTime() + config.refreshTokenTtlSeconds * 1000);
+
+    const signAccessToken = (user, sessionId) => jwt.sign(
+        { ...tokenPayload(user), sid: sessionId.toString() },
+        config.jwtSecret,
+        { expiresIn: config.accessTokenTtlSeconds }
+    );
+
+    const issueRefreshToken = async (sessionId, now) => {
+        const token = crypto.randomBytes(32).toString('base64url');
+        await refreshTokensCollection.insertOne({
+            _id: hashToken(token),
+            sessionId,
+            createdAt: now,
+            expiresAt: refreshExpiry(now),
+            usedAt: null,
+        });
+        return token;
+    };
+
+    const revokeSession = async (sessionId, reason) => {
+        const result = await sessionsCollection.updateOne(
+            { _id: sessionId, revokedAt: null },
+            { $set: { revokedAt: new Date(), revokedReason: reason } }
+        );
+        return result.modifiedCount > 0;
+    };
+
+    const revokeUserSessions = async (email, reason) => {
+        const result = await sessionsCollection.updateMany(
+            { email: email, revokedAt: null },
+            { $set: { revokedAt: new Date(), revokedReason: reason } }
+        );
+        return result.modifiedCount;
+    };
+
+    // Resolves to { accessToken, refreshToken, session }
+    const startSession = async (user, { userAgent, ip } = {}) => {
+        const now = new Date();
+        const session = {
+            _id: new ObjectId(),
+            userId: user._id,
+            email: user.email,
+            createdAt: now,
+            lastUsedAt: now,
+            expiresAt: refreshExpiry(now),
+            revokedAt: null,
+            userAgent: userAgent || null,
+            ip: ip || null,
+        };
+        await sessionsCollection.insertOne(session);
+
+        const refreshToken = await issueRefreshToken(session._id, now);
+        return { accessToken: signAccessToken(user, session._id), refreshToken, session };
+    };
+
+    /**
+     * Spends `refreshToken` and issues the next pair in the same session.
+     * Resolves to { accessToken, refreshToken, session } or { error: { status, message } }.
+     */
+    const rotateSession = async (refreshToken) => {
+        if (!refreshToken) {
+            return { error: { status: 401, message: 'unauthorized access: No refresh token provided' } };
+        }
+
+        const now = new Date();
+        const tokenHash = hashToken(refreshToken);
+        const record = await refreshTokensCollection.findOneAndUpdate(
+            { _id: tokenHash, usedAt: null },
+            { $set: { usedAt: now } }
+        );
+
+        if (!record) {
+            const spent = await refreshTokensCollection.findOne({ _id: tokenHash });
+            if (spent) {
+                await revokeSession(spent.sessionId, 'refresh-token-reuse');
+                return { error: { status: 401, message: 'unauthorized access: Refresh token reuse detected, session revoked' } };
+            }
+            return { error: { status: 401, message: 'unauthorized access: Invalid refresh token' } };
+        }
+        if (record.expiresAt <= now) {
+            return { error: { status: 401, message: 'unauthorized access: Refresh token expired' } };
+        }
+
+        const session = await sessionsCollection.findOne({ _id: record.sessionId, revokedAt: null });
+        if (!session) {
+            return { error: { status: 401, message: 'unauthorized access: Session has been revoked' } };
+        }
+
+        // Re-read the user so role changes reach the next access token
+        const user = await usersCollection.findOne({ email: session.email });
+        if (!user) {
+            await revokeSession(session._id, 'user-removed');
+            return { error: { status: 401, message: 'unauthorized access: Session has been revoked' } };
+        }
+
+        const nextRefreshToken = await issueRefreshToken(session._id, now);
+        await refreshTokensCollection.updateOne({ _id: tokenHash }, { $set: { replacedBy: hashToken(nextRefreshToken) } });
+        await sessionsCollection.updateOne(
+            { _id: session._id },
+            { $set: { lastUsedAt: now, expiresAt: refreshExpiry(now) } }
+        );
+
+        return { accessToken: signAccessToken(user, session._id), refreshToken: nextRefreshToken, session };
+    };
+
+    // Logout with only a refresh token at hand
+    const revokeByRefreshToken = async (refreshToken, reason) => {
+        const record = await refreshTokensCollection.findOne({ _id: hashToken(refreshToken) });
+        return record ? revokeSession(record.sessionId, reason) : false;
+    };
+
+    const isSessionActive = async (sessionId) => {
+        if (!ObjectId.isValid(sessionId)) return false;
+        const session = await sessionsCollection.findOne({
+            _id: new ObjectId(sessionId),
+            revokedAt: null,
+            expiresAt: { $gt: new Date() },
+        });
+        return !!session;
+    };
+
+    return {
+        startSession,
+        rotateSession,
+        revokeSession,
+        revokeUserSessions,
+        revokeByRefreshToken,
+        isSessionActive,
+    };
+};
+
+module.exports = {
+    ACCESS_COOKIE,
+    REFRESH_COOKIE,
+    readAccessToken,
+    isCookieOnlyWrite,
+    setSessionCookies,
+    clearSessionCookies,
+    createSessions,
+};
@@ -0,0 +1,97 @@
+// File storage for uploaded submission files.
+//
+// Every backend exposes the same three calls, keyed by a relative path:
+//
+//   save(key, buffer, { contentType })  stores the bytes
+//   read(key)                           resolves to a readable stream, or null when missing
+//   remove(key)                         deletes (missing keys are ignored)
+//
+// 'local' writes under config.uploadDir (development and tests); 's3' talks to
+// any S3-compatible service (AWS, R2, MinIO) for production.
+const fs = require('fs');
+const path = require('path');
+
+const createLocalStorage = ({ root }) => {
+    // Keys are generated by the API, but never let one escape the upload directory
+    const resolve = (key) => {
+        const fullPath = path.resolve(root, key);
+        if (!fullPath.startsWith(path.resolve(root) + path.sep)) {
+            throw new Error(`Invalid storage key '${key}'`);
+        }
+        return fullPath;
+    };
+
+    return {
+        driver: 'local',
+
+        save: async (key, buffer) => {
+            const fullPath = resolve(key);
+            await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+            await fs.promises.writeFile(fullPath, buffer);
+        },
+
+        read: async (key) => {
+            const fullPath = resolve(key);
+            try {
+                await fs.promises.access(fullPath);
+            } catch {
+                return null;
+            }
+            return fs.createReadStream(fullPath);
+        },
+
+        remove: async (key) => {
+            await fs.promises.rm(resolve(key), { force: true });
+        },
+    };
+};
+
+const createS3Storage = ({ bucket, region, endpoint, forcePathStyle }) => {
+    // Loaded lazily so development setups don't pay for the SDK
+    const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+    if (!bucket) throw new Error('S3_BUCKET is required for the s3 storage driver');
+
+    // Credentials come from the usual AWS environment variables / instance role
+    const client = new S3Client({ region, endpoint, forcePathStyle });
+
+    return {
+        driver: 's3',
+
+        save: async (key, buffer, { contentType } = {}) => {
+            await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: buffer, ContentType: contentType }));
+        },
+
+        read: async (key) => {
+            try {
+                const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+                return object.Body;
+            } catch (error) {
+                if (error.name === 'NoSuchKey') return null;
+                throw error;
+            }
+        },
+
+        remove: async (key) => {
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+        },
+    };
+};
+
+const createStorage = (config) => {
+    if (config.storageDriver === 's3') {
+        return createS3Storage({
+            bucket: config.s3Bucket,
+            region: config.s3Region,
+            endpoint: config.s3Endpoint,
+            forcePathStyle: config.s3ForcePathStyle,
+        });
+    }
+    return createLocalStorage({ root: config.uploadDir });
+};
+
+module.exports = {
+    createLocalStorage,
+    createS3Storage,
+    createStorage,
+};
@@ -0,0 +1,107 @@
+// Submission revisions: participants may replace or withdraw their entry while
+// the contest is open and before its deadline. Each replacement bumps
+// `version` and keeps the previous content in the entry's `history`:
+//
+//   { version, task, submissionLink, participantName, participantImage, files, submittedAt, replacedAt }
+//
+// Withdrawn entries stay in the collection (status 'Withdrawn') but are left
+// out of everything that lists, judges or ranks entries.
+const { STATUS, isPast } = require('./lifecycle');
+
+const WITHDRAWN = 'Withdrawn';
+
+// Entries that still take part in their contest (legacy entries have no status)
+const activeSubmissionFilter = { status: { $ne: WITHDRAWN } };
+
+// What a participant can change; everything else (contest, owner, scores) is fixed
+const REVISABLE_FIELDS = ['task', 'submissionLink', 'participantName', 'participantImage', 'files'];
+
+const versionOf = (submission) => submission.version || 1;
+
+const snapshotOf = (submission, replacedAt) => {
+    const snapshot = { version: versionOf(submission) };
+    for (const field of REVISABLE_FIELDS) {
+        if (submission[field] !== undefined) snapshot[field] = submission[field];
+    }
+    snapshot.submittedAt = submission.updatedAt || submission.submissionDate || null;
+    snapshot.replacedAt = replacedAt;
+    return snapshot;
+};
+
+/**
+ * Whether the entry can still be changed. Resolves to null or
+ * { error: { status, message } }.
+ */
+const checkRevisable = (contest, submission, now = new Date()) => {
+    if (submission.status === WITHDRAWN) {
+        return { error: { status: 409, message: 'This entry has been withdrawn' } };
+    }
+    if (contest?.winners?.length || ['Winner', 'Placed'].includes(submission.status)) {
+        return { error: { status: 409, message: 'Winners have already been declared for this contest' } };
+    }
+    if (!contest || contest.status !== STATUS.OPEN || isPast(contest.deadline, now)) {
+        return { error: { status: 403, message: 'Forbidden: The deadline for this contest has passed.' } };
+    }
+    return null;
+};
+
+// Filter that only matches the entry as it was read (legacy entries have no version)
+const unchanged = (submission) => ({ _id: submission._id, version: submission.version ?? null, ...activeSubmissionFilter });
+
+/**
+ * Replaces the revisable fields given in `changes`, keeping the old content in
+ * history. Resolves to { submission } or { error: { status, message } }.
+ */
+const reviseSubmission = async (submissionsCollection, submission, changes) => {
+    const now = new Date();
+    const set = { version: versionOf(submission) + 1, updatedAt: now };
+    for (const field of REVISABLE_FIELDS) {
+        if (changes[field] !== undefined) set[field] = changes[field];
+    }
+
+    const updated = await submissionsCollection.findOneAndUpdate(
+        unchanged(submission),
+        { $set: set, $push: { history: snapshotOf(submission, now) } },
+        { returnDocument: 'after' }
+    );
+    if (!updated) {
+        return { error: { status: 409, message: 'This entry was changed by another request, please retry' } };
+    }
+    return { submission: updated };
+};
+
+// Resolves to { submission } or { error: { status, message } }
+const markWithdrawn = async (submissionsCollection, submission) => {
+    const updated = await submissionsCollection.findOneAndUpdate(
+        unchanged(submission),
+        { $set: { status: WITHDRAWN, withdrawnAt: new Date() } },
+        { returnDocument: 'after' }
+    );
+    if (!updated) {
+        return { error: { status: 409, message: 'This entry was changed by another request, please retry' } };
+    }
+    return { submission: updated };
+};
+
+// The latest version for listings: history is summarized as a count
+const latestVersion = ({ history, ...submission }) => ({
+    ...submission,
+    version: versionOf(submission),
+    versionCount: (history?.length || 0) + 1,
+});
+
+// Files of every version, so earlier uploads stay downloadable
+const allFilesOf = (submission) => [
+    ...(submission.files || []),
+    ...(submission.history || []).flatMap(version => version.files || []),
+];
+
+module.exports = {
+    WITHDRAWN,
+    activeSubmissionFilter,
+    checkRevisable,
+    reviseSubmission,
+    markWithdrawn,
+    latestVersion,
+    allFilesOf,
+};
@@ -0,0 +1,99 @@
+// Team entries. A contest opts in with a `teamPolicy`:
+//
+//   { maxSize, paymentMode: 'single' | 'split' }
+//
+// A participant creates a team for the contest (becoming its captain) and
+// invites members by email; invitees accept or decline. In 'single' mode the
+// captain's one payment covers the whole team, in 'split' mode every member
+// pays an equal share of the entry fee. The roster is locked by the first
+// successful payment (in 'split' mode already when the first member checks
+// out, which fixes the number of shares), and the team enters once it is
+// fully paid.
+//
+// A team has one submission (participantEmail is the captain's, teamMembers
+// lists everyone) and its placements count for every member.
+
+const TEAM_PAYMENT_MODES = {
+    SINGLE: 'single',
+    SPLIT: 'split',
+};
+
+const MEMBER_STATUS = {
+    INVITED: 'invited',
+    ACCEPTED: 'accepted',
+    DECLINED: 'declined',
+};
+
+const teamPolicyOf = (contest) => contest?.teamPolicy || null;
+
+const acceptedMembers = (team) => team.members
+    .filter(member => member.status === MEMBER_STATUS.ACCEPTED)
+    .map(member => member.email);
+
+// Invited and accepted members both hold a place until they decline
+const seatsTaken = (team) => team.members.filter(member => member.status !== MEMBER_STATUS.DECLINED).length;
+
+// The accepted team the user belongs to for a contest, if any
+const findTeamOf = (teamsCollection, contestId, email) => teamsCollection.findOne({
+    contestId,
+    members: { $elemMatch: { email, status: MEMBER_STATUS.ACCEPTED } },
+});
+
+/**
+ * Locks a split team's roster as its first member checks out and records how
+ * many shares the fee is split into, so members who pay later are charged the
+ * same. Resolves to the team as locked (unchanged if it already was).
+ */
+const lockTeamShares = async (teamsCollection, contest, team, now = new Date()) => {
+    if (teamPolicyOf(contest)?.paymentMode !== TEAM_PAYMENT_MODES.SPLIT || team.shareCount) return team;
+
+    const locked = await teamsCollection.findOneAndUpdate(
+        { _id: team._id, shareCount: { $exists: false } },
+        { $set: { shareCount: acceptedMembers(team).length, lockedAt: team.lockedAt || now } },
+        { returnDocument: 'after' }
+    );
+    // Another member locked it first
+    return locked || teamsCollection.findOne({ _id: team._id });
+};
+
+/**
+ * What `email` owes for the team, in cents. Resolves to { amount } or
+ * { error } when this member isn't the one paying.
+ */
+const teamShareFor = (contest, team, email) => {
+    const priceCents = Math.round(Number(contest.price) * 100);
+    const { paymentMode } = teamPolicyOf(contest) || {};
+
+    if (paymentMode === TEAM_PAYMENT_MODES.SPLIT) {
+        // Equal shares of the fee as split at lock time; the captain also pays
+        // the cents left over, so the shares add up to exactly the fee
+        const shareCount = team.shareCount || acceptedMembers(team).length;
+        const share = Math.floor(priceCents / shareCount);
+        return { amount: team.captainEmail === email ? share + (priceCents % shareCount) : share };
+    }
+    if (team.captainEmail !== email) {
+        return { error: 'Only the team captain pays the entry fee for this contest.' };
+    }
+    return { amount: priceCents };
+};
+
+// Given the team's active payments: single mode needs one, split mode one per accepted member
+const isTeamPaid = (contest, team, payments) => {
+    const payers = new Set(payments.map(payment => payment.email));
+    if (teamPolicyOf(contest)?.paymentMode === TEAM_PAYMENT_MODES.SPLIT) {
+        return acceptedMembers(team).every(email => payers.has(email));
+    }
+    return payers.has(team.captainEmail);
+};
+
+module.exports = {
+    TEAM_PAYMENT_MODES,
+    MEMBER_STATUS,
+    teamPolicyOf,
+    acceptedMembers,
+    seatsTaken,
+    findTeamOf,
+    lockTeamShares,
+    teamShareFor,
+    isTeamPaid,
+};
@@ -0,0 +1,115 @@
+// Submission file uploads: multipart parsing and the per-contest-type limits.
+//
+// Files are held in memory while the request is checked (contest open, fee
+// paid, type allowed) and only then written to storage (src/storage.js).
+// The declared MIME type must match the file's signature, so a renamed
+// executable can't pass as a PDF.
+const crypto = require('crypto');
+const path = require('path');
+const multer = require('multer');
+
+const MB = 1024 * 1024;
+
+const IMAGES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+const DOCUMENTS = ['application/pdf'];
+const ARCHIVES = ['application/zip'];
+
+const MAX_FILES = 5;
+
+// What each contest type accepts (types not listed get DEFAULT_UPLOAD_RULE)
+const UPLOAD_RULES = {
+    'Image Design': { maxBytes: 10 * MB, mimeTypes: [...IMAGES, ...DOCUMENTS] },
+    'Digital Advertisement': { maxBytes: 20 * MB, mimeTypes: [...IMAGES, ...DOCUMENTS, ...ARCHIVES] },
+    'Article Writing': { maxBytes: 5 * MB, mimeTypes: [...DOCUMENTS] },
+    'Book Review': { maxBytes: 5 * MB, mimeTypes: [...DOCUMENTS] },
+    'Movie Review': { maxBytes: 5 * MB, mimeTypes: [...DOCUMENTS] },
+    'Gaming Review': { maxBytes: 10 * MB, mimeTypes: [...IMAGES, ...DOCUMENTS] },
+    'Marketing Strategy': { maxBytes: 20 * MB, mimeTypes: [...IMAGES, ...DOCUMENTS, ...ARCHIVES] },
+    'Business Idea': { maxBytes: 20 * MB, mimeTypes: [...IMAGES, ...DOCUMENTS, ...ARCHIVES] },
+};
+
+const DEFAULT_UPLOAD_RULE = { maxBytes: 10 * MB, mimeTypes: [...IMAGES, ...DOCUMENTS, ...ARCHIVES] };
+
+const uploadRuleFor = (contestType) => UPLOAD_RULES[contestType] || DEFAULT_UPLOAD_RULE;
+
+// Largest file any contest type accepts; multer rejects anything bigger before buffering it all
+const MAX_UPLOAD_BYTES = Math.max(DEFAULT_UPLOAD_RULE.maxBytes, ...Object.values(UPLOAD_RULES).map(rule => rule.maxBytes));
+
+// Leading bytes of each accepted format
+const SIGNATURES = {
+    'image/png': [[0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]],
+    'image/jpeg': [[0xff, 0xd8, 0xff]],
+    'image/gif': [[0x47, 0x49, 0x46, 0x38]],
+    'image/webp': [[0x52, 0x49, 0x46, 0x46]],
+    'application/pdf': [[0x25, 0x50, 0x44, 0x46]],
+    'application/zip': [[0x50, 0x4b, 0x03, 0x04], [0x50, 0x4b, 0x05, 0x06]],
+};
+
+const matchesSignature = (mimeType, buffer) => (SIGNATURES[mimeType] || [])
+    .some(signature => signature.every((byte, index) => buffer[index] === byte));
+
+// Browsers send zips under a few different names
+const normalizeMimeType = (mimeType) => (['application/x-zip-compressed', 'application/x-zip'].includes(mimeType)
+    ? 'application/zip'
+    : mimeType);
+
+/**
+ * Checks uploaded files against the contest type's rule.
+ * Resolves to { files } (with normalized MIME types) or { error }.
+ */
+const checkUploads = (contestType, files) => {
+    const rule = uploadRuleFor(contestType);
+    const checked = [];
+
+    for (const file of files) {
+        const mimeType = normalizeMimeType(file.mimetype);
+        if (!rule.mimeTypes.includes(mimeType)) {
+            return { error: `${file.originalname}: ${contestType} contests accept ${rule.mimeTypes.join(', ')}` };
+        }
+        if (file.size > rule.maxBytes) {
+            return { error: `${file.originalname}: files for ${contestType} contests may be at most ${rule.maxBytes / MB} MB` };
+        }
+        if (!matchesSignature(mimeType, file.buffer)) {
+            return { error: `${file.originalname}: contents do not match ${mimeType}` };
+        }
+        checked.push({ ...file, mimetype: mimeType });
+    }
+    return { files: checked };
+};
+
+// Keeps the client's file name readable without letting it shape the storage path
+const safeFileName = (name) => path.basename(name || 'file').replace(/[^a-zA-Z0-9._-]+/g, '_').slice(-100) || 'file';
+
+const storageKeyFor = (contestId, fileId, name) => `submissions/${contestId}/${fileId}-${safeFileName(name)}`;
+
+const newFileId = () => crypto.randomBytes(12).toString('hex');
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_UPLOAD_BYTES, files: MAX_FILES },
+}).array('files', MAX_FILES);
+
+// Parses multipart bodies (JSON requests pass straight through)
+const parseUploads = (req, res, next) => {
+    if (!req.is('multipart/form-data')) return next();
+
+    upload(req, res, (error) => {
+        if (!error) return next();
+        if (error instanceof multer.MulterError) {
+            const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+            return res.status(status).send({ message: `Upload rejected: ${error.message}` });
+        }
+        next(error);
+    });
+};
+
+module.exports = {
+    UPLOAD_RULES,
+    MAX_FILES,
+    uploadRuleFor,
+    checkUploads,
+    storageKeyFor,
+    safeFileName,
+    newFileId,
+    parseUploads,
+};
@@ -0,0 +1,145 @@
+// Request body validation for the write routes.
+//
+// A schema maps each allowed field to its rules; anything not in the schema
+// is dropped before the handler sees req.body, so clients can't write fields
+// like `status`, `creator`, `participationCount` or `role` by sending them.
+//
+// Rules: type ('string' | 'number' | 'boolean' | 'date' | 'email' | 'url' |
+// 'objectId' | 'array' | 'object'), required, min, max, integer, minLength, maxLength,
+// enum, pattern, future (dates), items / minItems / maxItems (arrays),
+// fields (objects, a nested schema that is whitelisted the same way).
+const { ObjectId } = require('mongodb');
+
+const CONTEST_TYPES = process.env.CONTEST_TYPES
+    ? process.env.CONTEST_TYPES.split(',').map(type => type.trim()).filter(Boolean)
+    : [
+        'Image Design',
+        'Article Writing',
+        'Marketing Strategy',
+        'Digital Advertisement',
+        'Gaming Review',
+        'Book Review',
+        'Business Idea',
+        'Movie Review',
+    ];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const URL_PATTERN = /^https?:\/\/\S+$/i;
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+// Checks one value against its rules; returns [error message or null, cleaned value]
+const checkValue = (value, rules) => {
+    switch (rules.type) {
+        case 'number': {
+            const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+            if (typeof number !== 'number' || !Number.isFinite(number)) return ['must be a number'];
+            if (rules.integer && !Number.isInteger(number)) return ['must be a whole number'];
+            if (rules.min !== undefined && number < rules.min) return [`must be at least ${rules.min}`];
+            if (rules.max !== undefined && number > rules.max) return [`must be at most ${rules.max}`];
+            return [null, number];
+        }
+        case 'boolean':
+            if (typeof value !== 'boolean') return ['must be true or false'];
+            return [null, value];
+        case 'date': {
+            const date = new Date(value);
+            if ((typeof value !== 'string' && !(value instanceof Date)) || Number.isNaN(date.getTime())) {
+                return ['must be a valid date'];
+            }
+            if (rules.future && date <= new Date()) return ['must be in the future'];
+            // Stored as a Date so range queries and sorts compare instants, not strings
+            return [null, date];
+        }
+        case 'objectId':
+            if (typeof value !== 'string' || !ObjectId.isValid(value)) return ['must be a valid id'];
+            return [null, value];
+        case 'array': {
+            if (!Array.isArray(value)) return ['must be a list'];
+            if (rules.minItems !== undefined && value.length < rules.minItems) {
+                return [`must have at least ${rules.minItems} items`];
+            }
+            if (rules.maxItems !== undefined && value.length > rules.maxItems) {
+                return [`must have at most ${rules.maxItems} items`];
+            }
+            const cleaned = [];
+            for (const item of value) {
+                const [error, cleanedItem] = checkValue(item, rules.items || { type: 'string' });
+                if (error) return [rules.items?.type === 'object' ? `has an item whose ${error}` : `has an item that ${error}`];
+                cleaned.push(cleanedItem);
+            }
+            return [null, cleaned];
+        }
+        case 'object': {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) return ['must be an object'];
+            const { value: cleaned, errors } = validate(rules.fields || {}, value);
+            if (errors.length > 0) return [`${errors[0].field} ${errors[0].message}`];
+            return [null, cleaned];
+        }
+        default: {
+            // string, email and url
+            if (typeof value !== 'string') return ['must be a string'];
+            const text = value.trim();
+            if (rules.minLength !== undefined && text.length < rules.minLength) {
+                return [`must be at least ${rules.minLength} characters`];
+            }
+            if (rules.maxLength !== undefined && text.length > rules.maxLength) {
+                return [`must be at most ${rules.maxLength} characters`];
+            }
+            if (rules.type === 'email' && !EMAIL_PATTERN.test(text)) return ['must be a valid email'];
+            if (rules.type === 'url' && !URL_PATTERN.test(text)) return ['must be a valid http(s) URL'];
+            if (rules.pattern && !rules.pattern.test(text)) return ['has an invalid format'];
+            if (rules.enum && !rules.enum.includes(text)) return [`must be one of: ${rules.enum.join(', ')}`];
+            return [null, text];
+        }
+    }
+};
+
+/**
+ * Validates `body` against `schema`. With `partial`, required fields may be
+ * left out (PATCH routes). Returns { value, errors }.
+ */
+const validate = (schema, body, { partial = false } = {}) => {
+    const source = body && typeof body === 'object' && !Array.isArray(body) ? body : {};
+    const value = {};
+    const errors = [];
+
+    for (const [field, rules] of Object.entries(schema)) {
+        const raw = source[field];
+
+        if (isEmpty(raw)) {
+            if (rules.required && !partial) errors.push({ field, message: 'is required' });
+            continue;
+        }
+
+        const [error, cleaned] = checkValue(raw, rules);
+        if (error) {
+            errors.push({ field, message: error });
+        } else {
+            value[field] = cleaned;
+        }
+    }
+
+    return { value, errors };
+};
+
+// Express middleware: replaces req.body with the whitelisted, validated body
+const validateBody = (schema, options) => (req, res, next) => {
+    const { value, errors } = validate(schema, req.body, options);
+
+    if (errors.length > 0) {
+        return res.status(400).send({ message: 'Validation failed', errors });
+    }
+    if (options?.partial && Object.keys(value).length === 0) {
+        return res.status(400).send({ message: 'Validation failed', errors: [{ field: null, message: 'No updatable fields provided' }] });
+    }
+
+    req.body = value;
+    next();
+};
+
+module.exports = {
+    CONTEST_TYPES,
+    validate,
+    validateBody,
+};
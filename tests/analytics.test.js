@@ -0,0 +1,186 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContext, contestBody, succeededIntent } = require('./helpers/harness');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Two open contests of different types; two players pay into the first, one is partly refunded
+const setup = async () => {
+    const ctx = await createTestContext();
+    const creator = await ctx.createUser('creator@example.com', 'Creator');
+    const admin = await ctx.createUser('admin@example.com', 'Admin');
+    const players = [await ctx.createUser('p1@example.com'), await ctx.createUser('p2@example.com')];
+
+    const open = async (body) => {
+        const created = await ctx.api.post('/contests').set('Authorization', `Bearer ${creator}`).send(body);
+        await ctx.api.patch(`/contests/status/${created.body.insertedId}`).set('Authorization', `Bearer ${admin}`).send({ status: 'Accepted' });
+        return created.body.insertedId;
+    };
+    const designId = await open(contestBody({ maxParticipants: 2 }));
+    const articleId = await open(contestBody({ name: 'Short Story', contestType: 'Article Writing' }));
+
+    // Page views: three from players, the creator's own view is not counted
+    const view = (token, id) => ctx.api.get(`/contests/single/${id}`).set('Authorization', `Bearer ${token}`);
+    await view(players[0], designId);
+    await view(players[0], designId);
+    await view(players[1], designId);
+    await view(creator, designId);
+    await view(players[1], articleId);
+
+    for (const [i, player] of players.entries()) {
+        await ctx.api.post('/create-payment-intent').set('Authorization', `Bearer ${player}`).send({ contestId: designId });
+        await ctx.sendStripeEvent('payment_intent.succeeded', succeededIntent(ctx.stripe.created.paymentIntents[i]));
+    }
+    const refunded = await ctx.collections.paymentsCollection.findOne({ email: 'p1@example.com' });
+    await ctx.sendStripeEvent('charge.refunded', {
+        id: 'ch_test_1',
+        object: 'charge',
+        payment_intent: refunded.transactionId,
+        amount_refunded: 400,
+        refunded: false,
+    });
+
+    // A legacy client-confirmed record is not revenue
+    await ctx.collections.paymentsCollection.insertOne({ email: 'p2@example.com', contestId: articleId, price: 999, date: new Date() });
+
+    return { ctx, admin, creator, players, designId, articleId };
+};
+
+test('time series count verified revenue, sign-ups, contests and views per bucket', async () => {
+    const { ctx, admin, creator } = await setup();
+
+    const denied = await ctx.api.get('/admin/analytics/timeseries').set('Authorization', `Bearer ${creator}`);
+    assert.equal(denied.status, 403);
+
+    const now = Date.now();
+    const res = await ctx.api.get('/admin/analytics/timeseries')
+        .query({ from: new Date(now - 6 * DAY_MS).toISOString(), to: new Date(now + DAY_MS).toISOString() })
+        .set('Authorization', `Bearer ${admin}`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.interval, 'day');
+    assert.equal(res.body.series.length, 8);
+    assert.deepEqual(res.body.totals, {
+        revenue: 16,
+        grossRevenue: 20,
+        refunds: 4,
+        participations: 2,
+        newUsers: 4,
+        newContests: 2,
+        views: 4,
+        conversionRate: 0.5,
+    });
+
+    // Everything happened today; the other buckets are there as zeros
+    const today = new Date(now);
+    today.setUTCHours(0, 0, 0, 0);
+    const bucket = res.body.series.find(b => b.period === today.toISOString());
+    assert.equal(bucket.revenue, 16);
+    assert.equal(res.body.series.filter(b => b.participations === 0 && b.newUsers === 0).length, 7);
+
+    const monthly = await ctx.api.get('/admin/analytics/timeseries').query({ interval: 'month' }).set('Authorization', `Bearer ${admin}`);
+    assert.equal(monthly.status, 200);
+    assert.ok(monthly.body.series.every(b => new Date(b.period).getUTCDate() === 1));
+    assert.equal(monthly.body.totals.revenue, 16);
+
+    const stats = await ctx.api.get('/admin-stats').set('Authorization', `Bearer ${admin}`);
+    assert.equal(stats.body.totalRevenue, 16);
+});
+
+test('breakdowns group by contest type or creator with view-to-entry conversion', async () => {
+    const { ctx, admin } = await setup();
+
+    const byType = await ctx.api.get('/admin/analytics/breakdown').set('Authorization', `Bearer ${admin}`);
+    assert.equal(byType.status, 200);
+    assert.equal(byType.body.by, 'contestType');
+    assert.deepEqual(byType.body.items, [
+        { key: 'Image Design', revenue: 16, participations: 2, views: 3, newContests: 1, conversionRate: 0.6667 },
+        { key: 'Article Writing', revenue: 0, participations: 0, views: 1, newContests: 1, conversionRate: 0 },
+    ]);
+
+    const byCreator = await ctx.api.get('/admin/analytics/breakdown').query({ by: 'creator', limit: 1 }).set('Authorization', `Bearer ${admin}`);
+    assert.deepEqual(byCreator.body.items.map(row => [row.key, row.revenue, row.views, row.newContests]), [['creator@example.com', 16, 4, 2]]);
+});
+
+test('creators compare their contests and follow entries, earnings and submissions over time', async () => {
+    const { ctx, creator, players, designId, articleId } = await setup();
+    await ctx.api.post('/submissions').set('Authorization', `Bearer ${players[0]}`)
+        .send({ contestId: designId, task: 'https://example.com/my-logo', participantName: 'p1' });
+
+    const denied = await ctx.api.get('/creator/analytics').set('Authorization', `Bearer ${players[0]}`);
+    assert.equal(denied.status, 403);
+
+    const res = await ctx.api.get('/creator/analytics').set('Authorization', `Bearer ${creator}`);
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.contests.map(row => row.contestId), [articleId, designId]);
+
+    const design = res.body.contests[1];
+    assert.deepEqual(
+        [design.participants, design.entries, design.submissions, design.submissionRate, design.fillRate, design.views, design.conversionRate],
+        [2, 2, 1, 0.5, 1, 3, 0.6667]
+    );
+    // The creator keeps 90% of the fees, less 90% of the refunded 4
+    assert.equal(design.revenue, 16);
+    assert.equal(design.earnings, 14.4);
+    assert.equal(res.body.contests[0].fillRate, null);
+
+    // The legacy record still holds a place in the article contest, it just isn't revenue
+    assert.deepEqual(res.body.totals, {
+        contests: 2,
+        participants: 3,
+        entries: 3,
+        submissions: 1,
+        submissionRate: 0.3333,
+        views: 4,
+        conversionRate: 0.75,
+        revenue: 16,
+        earnings: 14.4,
+        averageEntryFee: 10,
+        averageFillRate: 1,
+    });
+
+    const today = res.body.series.at(-1);
+    assert.deepEqual([today.participations, today.revenue, today.earnings, today.submissions], [2, 16, 14.4, 1]);
+
+    // The cap is enforced on new entries
+    const late = await ctx.createUser('p3@example.com');
+    const full = await ctx.api.post('/create-payment-intent').set('Authorization', `Bearer ${late}`).send({ contestId: designId });
+    assert.equal(full.status, 400);
+    assert.match(full.body.error, /full/);
+});
+
+test('public creator profiles list reviewed contests, participants and winners', async () => {
+    const { ctx, creator, players, designId } = await setup();
+    await ctx.api.post('/submissions').set('Authorization', `Bearer ${players[0]}`)
+        .send({ contestId: designId, task: 'https://example.com/my-logo', participantName: 'p1' });
+    await ctx.api.patch(`/contests/winner/${designId}`).set('Authorization', `Bearer ${creator}`)
+        .send({ winnerEmail: 'p1@example.com', winnerName: 'p1' });
+
+    const res = await ctx.api.get('/creators/creator@example.com/profile').query({ limit: 1 });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.creator.name, 'creator');
+    assert.deepEqual(res.body.stats, { contestsCount: 2, totalParticipants: 2, winnersCount: 1 });
+    assert.equal(res.body.contests.items.length, 1);
+    assert.ok(res.body.contests.nextCursor);
+
+    assert.equal(res.body.showcase.length, 1);
+    assert.equal(res.body.showcase[0].contestId, designId);
+    assert.equal(res.body.showcase[0].place, 1);
+    assert.equal(res.body.showcase[0].email, undefined);
+
+    assert.equal((await ctx.api.get('/creators/admin@example.com/profile')).status, 404);
+    assert.equal((await ctx.api.get('/creators/nobody@example.com/profile')).status, 404);
+});
+
+test('analytics queries are validated', async () => {
+    const ctx = await createTestContext();
+    const admin = await ctx.createUser('admin@example.com', 'Admin');
+    const get = (query) => ctx.api.get('/admin/analytics/timeseries').query(query).set('Authorization', `Bearer ${admin}`);
+
+    const invalid = await get({ interval: 'hour', from: 'yesterday' });
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(invalid.body.errors.map(e => e.field).sort(), ['from', 'interval']);
+
+    assert.equal((await get({ from: '2026-02-01', to: '2026-01-01' })).status, 400);
+    assert.equal((await get({ from: '2020-01-01', to: '2026-01-01' })).status, 400);
+    assert.equal((await get({ from: '2020-01-01', to: '2026-01-01', interval: 'month' })).status, 200);
+});
@@ -0,0 +1,96 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContext } = require('./helpers/harness');
+
+const application = {
+    portfolioUrl: 'https://example.com/portfolio',
+    pitch: 'I have run design contests for five years.',
+};
+
+test('approving a creator application promotes the user and records who did it', async () => {
+    const ctx = await createTestContext();
+    const admin = await ctx.createUser('admin@example.com', 'Admin');
+    const player = await ctx.createUser('player@example.com');
+
+    const submitted = await ctx.api.post('/creator-applications').set('Authorization', `Bearer ${player}`).send(application);
+    assert.equal(submitted.status, 200);
+
+    const again = await ctx.api.post('/creator-applications').set('Authorization', `Bearer ${player}`).send(application);
+    assert.equal(again.status, 409);
+
+    const queue = await ctx.api.get('/creator-applications').set('Authorization', `Bearer ${admin}`);
+    assert.equal(queue.status, 200);
+    assert.equal(queue.body.total, 1);
+
+    const approved = await ctx.api.patch(`/creator-applications/${submitted.body.insertedId}`)
+        .set('Authorization', `Bearer ${admin}`)
+        .send({ status: 'Approved' });
+    assert.equal(approved.status, 200);
+    assert.equal(approved.body.role, 'Creator');
+
+    const reviewedTwice = await ctx.api.patch(`/creator-applications/${submitted.body.insertedId}`)
+        .set('Authorization', `Bearer ${admin}`)
+        .send({ status: 'Rejected', reason: 'Changed my mind' });
+    assert.equal(reviewedTwice.status, 409);
+
+    const user = await ctx.collections.usersCollection.findOne({ email: 'player@example.com' });
+    assert.equal(user.role, 'Creator');
+
+    const history = await ctx.api.get(`/users/role-history/${user._id}`).set('Authorization', `Bearer ${admin}`);
+    assert.equal(history.status, 200);
+    assert.equal(history.body.history.length, 1);
+    assert.equal(history.body.history[0].from, 'User');
+    assert.equal(history.body.history[0].to, 'Creator');
+    assert.equal(history.body.history[0].by, 'admin@example.com');
+    assert.equal(history.body.history[0].applicationId, submitted.body.insertedId);
+
+    // Now a Creator, the same token can create contests
+    const mine = await ctx.api.get('/contests/creator').set('Authorization', `Bearer ${player}`);
+    assert.equal(mine.status, 200);
+});
+
+test('rejections need a reason and leave the role alone', async () => {
+    const ctx = await createTestContext();
+    const admin = await ctx.createUser('admin@example.com', 'Admin');
+    const player = await ctx.createUser('player@example.com');
+
+    const submitted = await ctx.api.post('/creator-applications').set('Authorization', `Bearer ${player}`).send(application);
+
+    const noReason = await ctx.api.patch(`/creator-applications/${submitted.body.insertedId}`)
+        .set('Authorization', `Bearer ${admin}`)
+        .send({ status: 'Rejected' });
+    assert.equal(noReason.status, 400);
+
+    const rejected = await ctx.api.patch(`/creator-applications/${submitted.body.insertedId}`)
+        .set('Authorization', `Bearer ${admin}`)
+        .send({ status: 'Rejected', reason: 'Portfolio link is empty' });
+    assert.equal(rejected.status, 200);
+
+    const mine = await ctx.api.get('/creator-applications/mine').set('Authorization', `Bearer ${player}`);
+    assert.equal(mine.body.items[0].status, 'Rejected');
+    assert.equal(mine.body.items[0].reason, 'Portfolio link is empty');
+    assert.equal((await ctx.collections.usersCollection.findOne({ email: 'player@example.com' })).role, 'User');
+
+    // A rejected applicant may apply again
+    const retry = await ctx.api.post('/creator-applications').set('Authorization', `Bearer ${player}`).send(application);
+    assert.equal(retry.status, 200);
+});
+
+test('role changes by an admin are kept in the history', async () => {
+    const ctx = await createTestContext();
+    const admin = await ctx.createUser('admin@example.com', 'Admin');
+    await ctx.createUser('creator@example.com', 'Creator');
+    const target = await ctx.collections.usersCollection.findOne({ email: 'creator@example.com' });
+
+    const demoted = await ctx.api.patch(`/users/role/${target._id}`)
+        .set('Authorization', `Bearer ${admin}`)
+        .send({ role: 'User', reason: 'Inactive for a year' });
+    assert.equal(demoted.status, 200);
+
+    const user = await ctx.collections.usersCollection.findOne({ _id: target._id });
+    assert.equal(user.role, 'User');
+    assert.deepEqual(
+        user.roleHistory.map(({ from, to, by, reason }) => ({ from, to, by, reason })),
+        [{ from: 'Creator', to: 'User', by: 'admin@example.com', reason: 'Inactive for a year' }]
+    );
+});
@@ -0,0 +1,169 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { createTestContext } = require('./helpers/harness');
+
+// A stand-in identity provider with its own RSA signing key
+const issuer = 'https://securetoken.google.com/contest-hub-test';
+const audience = 'contest-hub-test';
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+});
+const idpConfig = { idpPublicKeys: { 'key-1': publicKey }, idpIssuer: issuer, idpAudience: audience };
+
+const idTokenFor = (claims, { key = privateKey, kid = 'key-1' } = {}) => jwt.sign(
+    { email_verified: true, ...claims },
+    key,
+    { algorithm: 'RS256', keyid: kid, issuer, audience, subject: claims.sub || 'uid-1', expiresIn: '1h' }
+);
+
+test('/jwt refuses to sign arbitrary bodies', async () => {
+    const { api } = await createTestContext(idpConfig);
+
+    const res = await api.post('/jwt').send({ email: 'someone@example.com', role: 'Admin' });
+    assert.equal(res.status, 400);
+});
+
+test('/jwt accepts a valid identity-provider token and registers the user', async () => {
+    const { api, collections, config } = await createTestContext(idpConfig);
+
+    const res = await api.post('/jwt').send({ idToken: idTokenFor({ email: 'new@example.com', name: 'New Person' }) });
+    assert.equal(res.status, 200);
+
+    const payload = jwt.verify(res.body.token, config.jwtSecret);
+    assert.deepEqual(Object.keys(payload).sort(), ['email', 'exp', 'iat', 'id', 'role', 'sid']);
+    assert.equal(payload.email, 'new@example.com');
+    assert.equal(payload.role, 'User');
+
+    const user = await collections.usersCollection.findOne({ email: 'new@example.com' });
+    assert.equal(user.name, 'New Person');
+    assert.equal(user._id.toString(), payload.id);
+});
+
+test('parallel first sign-ins and registrations create one account', async () => {
+    const { api, collections } = await createTestContext(idpConfig);
+
+    const idToken = idTokenFor({ email: 'race@example.com' });
+    const signIns = await Promise.all([api.post('/jwt').send({ idToken }), api.post('/jwt').send({ idToken })]);
+    assert.deepEqual(signIns.map(res => res.status), [200, 200]);
+    const ids = signIns.map(res => jwt.decode(res.body.token).id);
+    assert.equal(ids[0], ids[1]);
+    assert.equal(await collections.usersCollection.countDocuments({ email: 'race@example.com' }), 1);
+
+    const body = { email: 'twice@example.com', password: 'long enough secret' };
+    const registrations = await Promise.all([api.post('/users').send(body), api.post('/users').send(body)]);
+    assert.deepEqual(registrations.map(res => res.status), [200, 200]);
+    assert.equal(registrations.filter(res => res.body.insertedId).length, 1);
+    assert.equal(await collections.usersCollection.countDocuments({ email: 'twice@example.com' }), 1);
+});
+
+test('a provider-verified sign-in takes over a password account registered in advance', async () => {
+    const { api, collections } = await createTestContext(idpConfig);
+
+    // Someone registers the victim's email before the victim ever signs up
+    await api.post('/users').send({ email: 'victim@example.com', password: 'attacker password' });
+    const planted = await api.post('/jwt').send({ email: 'victim@example.com', password: 'attacker password' });
+    assert.equal(planted.status, 200);
+
+    const unverified = await api.post('/jwt').send({ idToken: idTokenFor({ email: 'victim@example.com', email_verified: false }) });
+    assert.equal(unverified.status, 409);
+
+    const victim = await api.post('/jwt').send({ idToken: idTokenFor({ email: 'victim@example.com' }) });
+    assert.equal(victim.status, 200);
+
+    const stored = await collections.usersCollection.findOne({ email: 'victim@example.com' });
+    assert.equal(stored.passwordHash, undefined);
+    assert.equal(stored.emailVerified, true);
+
+    const password = await api.post('/jwt').send({ email: 'victim@example.com', password: 'attacker password' });
+    assert.equal(password.status, 401);
+    const oldSession = await api.get('/notifications').set('Authorization', `Bearer ${planted.body.token}`);
+    assert.equal(oldSession.status, 401);
+    const ownSession = await api.get('/notifications').set('Authorization', `Bearer ${victim.body.token}`);
+    assert.equal(ownSession.status, 200);
+});
+
+test('an unverified provider email never signs into an existing account', async () => {
+    const { api, collections, createUser } = await createTestContext({ ...idpConfig, idpRequireVerifiedEmail: false });
+    await createUser('admin@example.com', 'Admin');
+
+    const admin = await api.post('/jwt').send({ idToken: idTokenFor({ email: 'admin@example.com', email_verified: false }) });
+    assert.equal(admin.status, 401);
+
+    // New accounts may still be opened with one when the deployment allows it...
+    const fresh = await api.post('/jwt').send({ idToken: idTokenFor({ email: 'fresh@example.com', email_verified: false }) });
+    assert.equal(fresh.status, 200);
+    assert.equal((await collections.usersCollection.findOne({ email: 'fresh@example.com' })).emailVerified, false);
+    const again = await api.post('/jwt').send({ idToken: idTokenFor({ email: 'fresh@example.com', email_verified: false }) });
+    assert.equal(again.status, 200);
+
+    // ...until the address is verified, which ends the unverified sessions
+    const verified = await api.post('/jwt').send({ idToken: idTokenFor({ email: 'fresh@example.com' }) });
+    assert.equal(verified.status, 200);
+    assert.equal((await api.get('/notifications').set('Authorization', `Bearer ${again.body.token}`)).status, 401);
+    const after = await api.post('/jwt').send({ idToken: idTokenFor({ email: 'fresh@example.com', email_verified: false }) });
+    assert.equal(after.status, 401);
+
+    // Deployments don't allow it unless configured to
+    const strict = await createTestContext({ ...idpConfig, idpRequireVerifiedEmail: true });
+    const refused = await strict.api.post('/jwt').send({ idToken: idTokenFor({ email: 'new@example.com', email_verified: false }) });
+    assert.equal(refused.status, 401);
+});
+
+test('/jwt rejects forged and foreign identity tokens', async () => {
+    const { api } = await createTestContext(idpConfig);
+    const { privateKey: attackerKey } = crypto.generateKeyPairSync('rsa', {
+        modulusLength: 2048,
+        privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+        publicKeyEncoding: { type: 'spki', format: 'pem' },
+    });
+
+    const forged = await api.post('/jwt').send({ idToken: idTokenFor({ email: 'admin@example.com' }, { key: attackerKey }) });
+    assert.equal(forged.status, 401);
+
+    const unknownKey = await api.post('/jwt').send({ idToken: idTokenFor({ email: 'admin@example.com' }, { kid: 'other' }) });
+    assert.equal(unknownKey.status, 401);
+
+    const otherProject = jwt.sign(
+        { email: 'admin@example.com', email_verified: true },
+        privateKey,
+        { algorithm: 'RS256', keyid: 'key-1', issuer, audience: 'another-project', subject: 'uid-1', expiresIn: '1h' }
+    );
+    const wrongAudience = await api.post('/jwt').send({ idToken: otherProject });
+    assert.equal(wrongAudience.status, 401);
+
+    const unsigned = jwt.sign({ email: 'admin@example.com' }, 'guessed-secret');
+    const hmac = await api.post('/jwt').send({ idToken: unsigned });
+    assert.equal(hmac.status, 401);
+});
+
+test('/jwt accepts no identity tokens until the issuer and audience are configured', async () => {
+    const { api } = await createTestContext({ idpPublicKeys: idpConfig.idpPublicKeys });
+
+    const res = await api.post('/jwt').send({ idToken: idTokenFor({ email: 'new@example.com' }) });
+    assert.equal(res.status, 401);
+});
+
+test('/jwt checks passwords and never exposes the hash', async () => {
+    const { api, collections } = await createTestContext(idpConfig);
+
+    const registered = await api.post('/users').send({ email: 'pw@example.com', password: 'long enough secret' });
+    assert.equal(registered.status, 200);
+
+    const stored = await collections.usersCollection.findOne({ email: 'pw@example.com' });
+    assert.equal(stored.password, undefined);
+    assert.match(stored.passwordHash, /^scrypt\$/);
+
+    const wrong = await api.post('/jwt').send({ email: 'pw@example.com', password: 'not the secret' });
+    assert.equal(wrong.status, 401);
+
+    const right = await api.post('/jwt').send({ email: 'pw@example.com', password: 'long enough secret' });
+    assert.equal(right.status, 200);
+    assert.ok(right.body.token);
+
+    const profile = await api.get('/users/pw@example.com');
+    assert.deepEqual(Object.keys(profile.body).sort(), ['_id', 'createdAt', 'role']);
+});
@@ -0,0 +1,107 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createTestContext, contestBody, succeededIntent } = require('./helpers/harness');
+
+// Opens GET /events on a listening server and collects the parsed events
+const openStream = (server, token, query = '') => new Promise((resolve, reject) => {
+    const headers = token ? { Authorization: `Bearer ${token}` } : {};
+    const req = http.get({ port: server.address().port, path: `/events${query}`, headers }, (res) => {
+        const received = [];
+        const waiters = [];
+        let buffer = '';
+
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+            buffer += chunk;
+            let end;
+            while ((end = buffer.indexOf('\n\n')) !== -1) {
+                const lines = buffer.slice(0, end).split('\n');
+                buffer = buffer.slice(end + 2);
+                const type = lines.find(line => line.startsWith('event: '))?.slice(7);
+                const data = lines.find(line => line.startsWith('data: '))?.slice(6);
+                if (!type) continue;
+                received.push({ type, data: JSON.parse(data) });
+                waiters.forEach(check => check());
+            }
+        });
+
+        // Resolves with the first event of `type`, waiting for it if needed
+        const next = (type) => new Promise((found, fail) => {
+            const timer = setTimeout(() => fail(new Error(`No '${type}' event`)), 2000);
+            const check = () => {
+                const event = received.find(e => e.type === type);
+                if (event) {
+                    clearTimeout(timer);
+                    found(event);
+                }
+            };
+            waiters.push(check);
+            check();
+        });
+
+        resolve({ status: res.statusCode, headers: res.headers, received, next, close: () => req.destroy() });
+    });
+    req.on('error', reject);
+});
+
+test('streams reach admins, creators and contest viewers with only their events', async () => {
+    const ctx = await createTestContext();
+    const server = ctx.app.listen(0);
+    const streams = [];
+    const open = async (...args) => {
+        const stream = await openStream(server, ...args);
+        streams.push(stream);
+        return stream;
+    };
+
+    try {
+        const creator = await ctx.createUser('creator@example.com', 'Creator');
+        const admin = await ctx.createUser('admin@example.com', 'Admin');
+        const player = await ctx.createUser('player@example.com');
+
+        const anonymous = await open(null);
+        assert.equal(anonymous.status, 401);
+
+        const adminStream = await open(admin);
+        assert.equal(adminStream.status, 200);
+        assert.match(adminStream.headers['content-type'], /text\/event-stream/);
+        const creatorStream = await open(creator);
+
+        const created = await ctx.api.post('/contests').set('Authorization', `Bearer ${creator}`).send(contestBody());
+        const contestId = created.body.insertedId;
+        const pending = await adminStream.next('contest.pending');
+        assert.equal(pending.data.contestId, contestId);
+
+        await ctx.api.patch(`/contests/status/${contestId}`).set('Authorization', `Bearer ${admin}`).send({ status: 'Accepted' });
+
+        // A participant watching the contest page
+        const viewer = await open(player, `?contests=${contestId},not-an-id`);
+        assert.deepEqual((await viewer.next('ready')).data.contests, [contestId]);
+
+        await ctx.api.post('/create-payment-intent').set('Authorization', `Bearer ${player}`).send({ contestId });
+        await ctx.sendStripeEvent('payment_intent.succeeded', succeededIntent(ctx.stripe.created.paymentIntents[0]));
+        const participation = await viewer.next('contest.participation');
+        assert.equal(participation.data.participationCount, 1);
+
+        await ctx.api.post('/submissions').set('Authorization', `Bearer ${player}`)
+            .send({ contestId, task: 'https://example.com/my-logo', participantName: 'player' });
+        const submitted = await creatorStream.next('submission.created');
+        assert.equal(submitted.data.contestId, contestId);
+        assert.equal(submitted.data.participantName, 'player');
+
+        await ctx.api.patch(`/contests/winner/${contestId}`).set('Authorization', `Bearer ${creator}`)
+            .send({ winnerEmail: 'player@example.com', winnerName: 'player' });
+        const winners = await viewer.next('contest.winners');
+        assert.equal(winners.data.winners[0].name, 'player');
+        assert.equal(winners.data.winners[0].place, 1);
+        assert.equal(winners.data.winners[0].email, undefined);
+
+        // Events on one stream arrive in order, so these were never sent
+        assert.equal(creatorStream.received.some(e => e.type === 'contest.pending'), false);
+        assert.equal(viewer.received.some(e => e.type === 'submission.created'), false);
+    } finally {
+        streams.forEach(stream => stream.close());
+        await new Promise(resolve => server.close(resolve));
+    }
+});
@@ -0,0 +1,141 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContext, contestBody, succeededIntent } = require('./helpers/harness');
+
+test('full contest flow: register, create, approve, pay, submit, declare winner', async () => {
+    const ctx = await createTestContext();
+    const { api, collections } = ctx;
+
+    // Register everyone through the API, then promote the creator and admin
+    for (const email of ['creator@example.com', 'admin@example.com', 'player@example.com']) {
+        const res = await api.post('/users').send({ name: email.split('@')[0], email, image: 'https://example.com/me.png', password: 'correct horse' });
+        assert.equal(res.status, 200);
+        assert.ok(res.body.insertedId);
+    }
+    await collections.usersCollection.updateOne({ email: 'creator@example.com' }, { $set: { role: 'Creator' } });
+    await collections.usersCollection.updateOne({ email: 'admin@example.com' }, { $set: { role: 'Admin' } });
+
+    const tokenOf = async (email) => {
+        const res = await api.post('/jwt').send({ email, password: 'correct horse' });
+        assert.equal(res.status, 200);
+        return res.body.token;
+    };
+    const creator = await tokenOf('creator@example.com');
+    const admin = await tokenOf('admin@example.com');
+    const player = await tokenOf('player@example.com');
+
+    // Creator adds a contest; it waits for review
+    const created = await api.post('/contests').set('Authorization', `Bearer ${creator}`).send(contestBody());
+    assert.equal(created.status, 200);
+    const contestId = created.body.insertedId;
+
+    let contest = await api.get(`/contests/single/${contestId}`).set('Authorization', `Bearer ${creator}`);
+    assert.equal(contest.body.status, 'Pending');
+
+    // Admin approves; approval opens registration
+    const approved = await api.patch(`/contests/status/${contestId}`)
+        .set('Authorization', `Bearer ${admin}`)
+        .send({ status: 'Accepted' });
+    assert.equal(approved.status, 200);
+    assert.equal(approved.body.status, 'Open');
+
+    const listing = await api.get('/contests');
+    assert.equal(listing.body.total, 1);
+
+    // Participant pays; the server prices the intent and the webhook records it
+    const intentRes = await api.post('/create-payment-intent')
+        .set('Authorization', `Bearer ${player}`)
+        .send({ contestId });
+    assert.equal(intentRes.status, 200);
+    assert.equal(intentRes.body.amount, 10);
+
+    const [intent] = ctx.stripe.created.paymentIntents;
+    assert.equal(intent.amount, 1000);
+    assert.equal(intent.metadata.email, 'player@example.com');
+
+    const webhook = await ctx.sendStripeEvent('payment_intent.succeeded', succeededIntent(intent));
+    assert.equal(webhook.status, 200);
+
+    const confirmed = await api.post('/payments').set('Authorization', `Bearer ${player}`).send({ transactionId: intent.id });
+    assert.equal(confirmed.body.recorded, true);
+
+    contest = await api.get(`/contests/single/${contestId}`).set('Authorization', `Bearer ${player}`);
+    assert.equal(contest.body.participationCount, 1);
+
+    // Participant submits, once
+    const submission = { contestId, task: 'https://example.com/my-logo', participantName: 'player' };
+    const submitted = await api.post('/submissions').set('Authorization', `Bearer ${player}`).send(submission);
+    assert.equal(submitted.status, 200);
+
+    const again = await api.post('/submissions').set('Authorization', `Bearer ${player}`).send(submission);
+    assert.equal(again.status, 400);
+
+    const entries = await api.get(`/submissions/contest/${contestId}`).set('Authorization', `Bearer ${creator}`);
+    assert.equal(entries.body.items.length, 1);
+
+    // Only someone with an entry can win (a prize payout is opened for them)
+    const stranger = await api.patch(`/contests/winner/${contestId}`)
+        .set('Authorization', `Bearer ${creator}`)
+        .send({ winnerEmail: 'friend@example.com', winnerName: 'friend' });
+    assert.equal(stranger.status, 400);
+    assert.equal(await collections.payoutsCollection.countDocuments({ email: 'friend@example.com' }), 0);
+
+    // Creator declares the winner, which completes the contest
+    const declared = await api.patch(`/contests/winner/${contestId}`)
+        .set('Authorization', `Bearer ${creator}`)
+        .send({ winnerEmail: 'player@example.com', winnerName: 'player' });
+    assert.equal(declared.status, 200);
+
+    const winners = await api.get('/contests/winners');
+    assert.equal(winners.status, 200);
+    assert.equal(winners.body.items.length, 1);
+    assert.equal(winners.body.items[0].winners[0].name, 'player');
+    // The public list leaves out emails and history
+    for (const field of ['creator', 'statusHistory', 'declaredBy']) {
+        assert.equal(winners.body.items[0][field], undefined);
+    }
+    assert.equal(winners.body.items[0].winners[0].email, undefined);
+
+    const stored = await collections.contestsCollection.findOne({});
+    assert.deepEqual(stored.statusHistory.map(entry => entry.to), ['Pending', 'Accepted', 'Open', 'Closed', 'Completed']);
+});
+
+test('paying twice for the same contest is refused', async () => {
+    const ctx = await createTestContext();
+    const creator = await ctx.createUser('creator@example.com', 'Creator');
+    const admin = await ctx.createUser('admin@example.com', 'Admin');
+    const player = await ctx.createUser('player@example.com');
+
+    const created = await ctx.api.post('/contests').set('Authorization', `Bearer ${creator}`).send(contestBody());
+    const contestId = created.body.insertedId;
+    await ctx.api.patch(`/contests/status/${contestId}`).set('Authorization', `Bearer ${admin}`).send({ status: 'Accepted' });
+
+    await ctx.api.post('/create-payment-intent').set('Authorization', `Bearer ${player}`).send({ contestId });
+    await ctx.sendStripeEvent('payment_intent.succeeded', succeededIntent(ctx.stripe.created.paymentIntents[0]));
+
+    const second = await ctx.api.post('/create-payment-intent').set('Authorization', `Bearer ${player}`).send({ contestId });
+    assert.equal(second.status, 400);
+});
+
+test('a cancelled contest is only deleted once every fee is refunded', async () => {
+    const ctx = await createTestContext();
+    const creator = await ctx.createUser('creator@example.com', 'Creator');
+    const admin = await ctx.createUser('admin@example.com', 'Admin');
+    const player = await ctx.createUser('player@example.com');
+
+    const created = await ctx.api.post('/contests').set('Authorization', `Bearer ${creator}`).send(contestBody());
+    const contestId = created.body.insertedId;
+    await ctx.api.patch(`/contests/status/${contestId}`).set('Authorization', `Bearer ${admin}`).send({ status: 'Accepted' });
+    await ctx.api.post('/create-payment-intent').set('Authorization', `Bearer ${player}`).send({ contestId });
+    await ctx.sendStripeEvent('payment_intent.succeeded', succeededIntent(ctx.stripe.created.paymentIntents[0]));
+    await ctx.api.patch(`/contests/status/${contestId}`).set('Authorization', `Bearer ${admin}`).send({ status: 'Cancelled' });
+
+    const early = await ctx.api.delete(`/contests/${contestId}`).set('Authorization', `Bearer ${admin}`);
+    assert.equal(early.status, 409);
+
+    const refunds = await ctx.api.post(`/contests/${contestId}/refunds`).set('Authorization', `Bearer ${admin}`).send({});
+    assert.equal(refunds.status, 200);
+    const removed = await ctx.api.delete(`/contests/${contestId}`).set('Authorization', `Bearer ${admin}`);
+    assert.equal(removed.status, 200);
+    assert.equal(removed.body.deletedCount, 1);
+});
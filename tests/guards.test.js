@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContext, contestBody } = require('./helpers/harness');
+
+test('routes behind verifyToken reject missing and invalid tokens', async () => {
+    const { api } = await createTestContext();
+
+    const missing = await api.get('/participated-contests');
+    assert.equal(missing.status, 401);
+
+    const invalid = await api.get('/participated-contests').set('Authorization', 'Bearer not-a-token');
+    assert.equal(invalid.status, 401);
+});
+
+test('admin-only permissions reject creators and participants', async () => {
+    const ctx = await createTestContext();
+    const creator = await ctx.createUser('creator@example.com', 'Creator');
+    const player = await ctx.createUser('player@example.com');
+
+    for (const token of [creator, player]) {
+        for (const [method, path] of [
+            ['get', '/admin-stats'],
+            ['get', '/contests/pending'],
+            ['get', '/contests/admin'],
+            ['get', '/users'],
+        ]) {
+            const res = await ctx.api[method](path).set('Authorization', `Bearer ${token}`);
+            assert.equal(res.status, 403, `${method.toUpperCase()} ${path}`);
+        }
+    }
+
+    const target = await ctx.collections.usersCollection.findOne({ email: 'player@example.com' });
+    const promote = await ctx.api.patch(`/users/role/${target._id}`)
+        .set('Authorization', `Bearer ${player}`)
+        .send({ role: 'Admin' });
+    assert.equal(promote.status, 403);
+    assert.equal((await ctx.collections.usersCollection.findOne({ email: 'player@example.com' })).role, 'User');
+});
+
+test('creator-only permissions reject participants and admins', async () => {
+    const ctx = await createTestContext();
+    const admin = await ctx.createUser('admin@example.com', 'Admin');
+    const player = await ctx.createUser('player@example.com');
+
+    for (const token of [admin, player]) {
+        const create = await ctx.api.post('/contests').set('Authorization', `Bearer ${token}`).send(contestBody());
+        assert.equal(create.status, 403);
+
+        const mine = await ctx.api.get('/contests/creator').set('Authorization', `Bearer ${token}`);
+        assert.equal(mine.status, 403);
+    }
+    assert.equal(await ctx.collections.contestsCollection.countDocuments(), 0);
+});
+
+test('illegal lifecycle transitions are rejected with 409', async () => {
+    const ctx = await createTestContext();
+    const creator = await ctx.createUser('creator@example.com', 'Creator');
+    const admin = await ctx.createUser('admin@example.com', 'Admin');
+
+    const created = await ctx.api.post('/contests').set('Authorization', `Bearer ${creator}`).send(contestBody());
+    const res = await ctx.api.patch(`/contests/status/${created.body.insertedId}`)
+        .set('Authorization', `Bearer ${admin}`)
+        .send({ status: 'Closed' });
+
+    assert.equal(res.status, 409);
+    assert.equal(res.body.from, 'Pending');
+});
+
+test('write routes return each invalid field', async () => {
+    const ctx = await createTestContext();
+    const creator = await ctx.createUser('creator@example.com', 'Creator');
+
+    const res = await ctx.api.post('/contests')
+        .set('Authorization', `Bearer ${creator}`)
+        .send(contestBody({ price: -5, contestType: 'Cooking', deadline: '2000-01-01' }));
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.errors.map(error => error.field).sort(), ['contestType', 'deadline', 'price']);
+});
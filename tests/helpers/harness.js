@@ -0,0 +1,143 @@
+// Boots the app against the in-memory database and a fake Stripe client.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const Stripe = require('stripe');
+const { createApp } = require('../../src/app');
+const { getCollections, ensureIndexes } = require('../../src/db');
+const { createSessions } = require('../../src/sessions');
+const { createLocalStorage } = require('../../src/storage');
+const { createFileTransport } = require('../../src/mailer');
+const { createNotifier } = require('../../src/notifications');
+const { MemoryDb } = require('./memoryDb');
+
+const testConfig = {
+    port: 0,
+    corsOrigins: ['http://localhost:5173'],
+    jwtSecret: 'test-jwt-secret',
+    accessTokenTtlSeconds: 15 * 60,
+    refreshTokenTtlSeconds: 24 * 60 * 60,
+    cookieSecure: false,
+    cookieSameSite: 'lax',
+    stripeWebhookSecret: 'whsec_test_secret',
+    defaultCurrency: 'usd',
+    platformCommissionPercent: 10,
+    cronSecret: 'test-cron-secret',
+    runScheduler: false,
+};
+
+// Records what the API asked Stripe to do; signatures are checked with Stripe's real helper
+const createFakeStripe = () => {
+    let sequence = 0;
+    const paymentIntents = [];
+    const refunds = [];
+
+    return {
+        paymentIntents: {
+            create: async (params) => {
+                sequence += 1;
+                const intent = { id: `pi_test_${sequence}`, client_secret: `pi_test_${sequence}_secret`, ...params };
+                paymentIntents.push(intent);
+                return intent;
+            },
+            cancel: async (id) => {
+                const intent = paymentIntents.find(candidate => candidate.id === id);
+                intent.status = 'canceled';
+                return intent;
+            },
+        },
+        refunds: {
+            create: async (params) => {
+                sequence += 1;
+                const refund = { id: `re_test_${sequence}`, status: 'succeeded', ...params };
+                refunds.push(refund);
+                return refund;
+            },
+        },
+        webhooks: Stripe.webhooks,
+        created: { paymentIntents, refunds },
+    };
+};
+
+const createTestContext = async (configOverrides = {}) => {
+    const config = { ...testConfig, ...configOverrides };
+    const db = new MemoryDb();
+    const collections = getCollections(db);
+    await ensureIndexes(collections);
+
+    const stripe = createFakeStripe();
+    // Uploads go to a fresh temporary directory per context
+    const storage = createLocalStorage({ root: fs.mkdtempSync(path.join(os.tmpdir(), 'contesthub-uploads-')) });
+    // So do emails, one JSON file per message
+    const mailer = createFileTransport({ dir: fs.mkdtempSync(path.join(os.tmpdir(), 'contesthub-mail-')), from: 'test@contesthub.app' });
+    const notifier = createNotifier({ ...collections, mailer });
+    const app = createApp({ collections, stripe, storage, notifier, config });
+    const api = request(app);
+
+    // Signs an event the way Stripe does and posts it to the webhook
+    let eventSequence = 0;
+    const sendStripeEvent = (type, object, id) => {
+        eventSequence += 1;
+        const payload = JSON.stringify({
+            id: id || `evt_test_${eventSequence}`,
+            object: 'event',
+            type,
+            data: { object },
+        });
+        const signature = Stripe.webhooks.generateTestHeaderString({ payload, secret: config.stripeWebhookSecret });
+        return api.post('/webhooks/stripe')
+            .set('Content-Type', 'application/json')
+            .set('Stripe-Signature', signature)
+            .send(payload);
+    };
+
+    // Access tokens for users created directly in the database, backed by a real session
+    const sessions = createSessions({ ...collections, config });
+    const tokenFor = async (email) => {
+        const user = await collections.usersCollection.findOne({ email });
+        const { accessToken } = await sessions.startSession(user);
+        return accessToken;
+    };
+
+    const createUser = async (email, role = 'User') => {
+        await collections.usersCollection.insertOne({ name: email.split('@')[0], email, role, createdAt: new Date() });
+        return tokenFor(email);
+    };
+
+    // Emails sent so far, oldest first (once the background sends are done)
+    const sentMail = async () => {
+        await notifier.flush();
+        return fs.readdirSync(mailer.dir)
+            .sort()
+            .map(name => JSON.parse(fs.readFileSync(path.join(mailer.dir, name), 'utf8')));
+    };
+
+    return { app, api, db, collections, stripe, storage, mailer, notifier, config, sendStripeEvent, tokenFor, createUser, sentMail };
+};
+
+// A contest body that passes contestCreateSchema
+const contestBody = (overrides = {}) => ({
+    name: 'Logo Design Challenge',
+    image: 'https://example.com/logo.png',
+    description: 'Design a new logo for our community.',
+    taskInstruction: 'Submit a link to your design.',
+    price: 10,
+    prizeMoney: 100,
+    contestType: 'Image Design',
+    deadline: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(),
+    ...overrides,
+});
+
+// A succeeded PaymentIntent as Stripe would send it for an intent the API created
+const succeededIntent = (intent) => ({
+    id: intent.id,
+    object: 'payment_intent',
+    amount: intent.amount,
+    amount_received: intent.amount,
+    currency: intent.currency,
+    status: 'succeeded',
+    metadata: intent.metadata,
+});
+
+module.exports = { createTestContext, contestBody, succeededIntent };
@@ -0,0 +1,264 @@
+// In-memory stand-in for the parts of the MongoDB driver the API uses.
+// Queries, updates and aggregation pipelines are evaluated by mingo.
+const mingo = require('mingo');
+const { ObjectId } = require('mongodb');
+
+// Deep copy that keeps ObjectId and Date instances intact
+const clone = (value) => {
+    if (value instanceof ObjectId) return value;
+    if (value instanceof Date) return new Date(value.getTime());
+    if (Array.isArray(value)) return value.map(clone);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+    }
+    return value;
+};
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+const sameValue = (a, b) => {
+    if (a instanceof ObjectId && b instanceof ObjectId) return a.equals(b);
+    if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+    return (a ?? null) === (b ?? null);
+};
+
+const duplicateKeyError = (collectionName, keys) => {
+    const error = new Error(`E11000 duplicate key error collection: ${collectionName} index: ${Object.keys(keys).join('_')}`);
+    error.code = 11000;
+    return error;
+};
+
+// Fields a filter pins to a single value, used to seed upserted documents
+const equalityFields = (filter) => {
+    const fields = {};
+    for (const [key, value] of Object.entries(filter || {})) {
+        if (key.startsWith('$')) continue;
+        const isOperator = value && typeof value === 'object' && !(value instanceof ObjectId) && !(value instanceof Date)
+            && !Array.isArray(value) && Object.keys(value).some(k => k.startsWith('$'));
+        if (!isOperator) fields[key] = clone(value);
+    }
+    return fields;
+};
+
+// $text support: a document matches when any search term (or quoted phrase)
+// appears in its text-indexed fields and no '-negated' term does. Words are
+// compared case-insensitively with a trailing 's' dropped, a rough stand-in
+// for MongoDB's stemming.
+const stem = (word) => word.toLowerCase().replace(/s$/, '');
+const wordsOf = (text) => (text.match(/[\p{L}\p{N}]+/gu) || []).map(stem);
+
+const textMatcher = (search, fields) => {
+    const phrases = [...search.matchAll(/"([^"]+)"/g)].map(match => match[1].toLowerCase());
+    const terms = search.replace(/"[^"]*"/g, ' ').split(/\s+/).filter(Boolean);
+    const wanted = terms.filter(term => !term.startsWith('-')).flatMap(wordsOf);
+    const unwanted = terms.filter(term => term.startsWith('-')).flatMap(term => wordsOf(term.slice(1)));
+
+    return (doc) => {
+        const text = fields.flatMap(field => [].concat(getPath(doc, field) ?? [])).join(' ');
+        const words = new Set(wordsOf(text));
+        if (unwanted.some(word => words.has(word))) return false;
+        if (phrases.length > 0) return phrases.every(phrase => text.toLowerCase().includes(phrase));
+        return wanted.some(word => words.has(word));
+    };
+};
+
+class MemoryCursor {
+    constructor(load) {
+        this.load = load;
+        this.sortSpec = null;
+        this.skipCount = 0;
+        this.limitCount = 0;
+        this.projection = null;
+    }
+
+    sort(spec) { this.sortSpec = spec; return this; }
+    skip(count) { this.skipCount = count; return this; }
+    limit(count) { this.limitCount = count; return this; }
+    project(projection) { this.projection = projection; return this; }
+
+    async toArray() {
+        let cursor = mingo.find(this.load(), {}, this.projection || undefined);
+        if (this.sortSpec) cursor = cursor.sort(this.sortSpec);
+        if (this.skipCount) cursor = cursor.skip(this.skipCount);
+        if (this.limitCount) cursor = cursor.limit(this.limitCount);
+        return cursor.all().map(clone);
+    }
+}
+
+class MemoryCollection {
+    constructor(name, db) {
+        this.collectionName = name;
+        this.db = db;
+        this.docs = [];
+        this.uniqueIndexes = [];
+        this.textFields = null;
+    }
+
+    // Applies $text (which mingo doesn't know) before handing the rest of the filter to mingo
+    textSearch(filter = {}) {
+        const { $text, ...rest } = filter;
+        if (!$text) return { docs: this.docs, filter };
+        if (!this.textFields) throw new Error(`text index required for $text query on ${this.collectionName}`);
+        return { docs: this.docs.filter(textMatcher($text.$search, this.textFields)), filter: rest };
+    }
+
+    matching(filter = {}) {
+        const search = this.textSearch(filter);
+        return mingo.find(search.docs, search.filter).all();
+    }
+
+    assertUnique(candidate, ignore) {
+        for (const { keys, partialFilterExpression } of this.uniqueIndexes) {
+            const covers = (doc) => !partialFilterExpression || new mingo.Query(partialFilterExpression).test(doc);
+            if (!covers(candidate)) continue;
+
+            const clash = this.docs.find(doc => doc !== ignore && covers(doc)
+                && Object.keys(keys).every(key => sameValue(getPath(doc, key), getPath(candidate, key))));
+            if (clash) throw duplicateKeyError(this.collectionName, keys);
+        }
+    }
+
+    async createIndex(keys, options = {}) {
+        const textFields = Object.keys(keys).filter(key => keys[key] === 'text');
+        if (textFields.length > 0) {
+            this.textFields = textFields;
+        }
+        if (options.unique) {
+            this.uniqueIndexes.push({ keys, partialFilterExpression: options.partialFilterExpression });
+        }
+        return Object.keys(keys).join('_');
+    }
+
+    async insertOne(doc) {
+        const stored = clone(doc);
+        if (stored._id === undefined) stored._id = new ObjectId();
+        if (this.docs.some(existing => sameValue(existing._id, stored._id))) {
+            throw duplicateKeyError(this.collectionName, { _id: 1 });
+        }
+        this.assertUnique(stored);
+        this.docs.push(stored);
+        doc._id = stored._id;
+        return { acknowledged: true, insertedId: stored._id };
+    }
+
+    async insertMany(docs) {
+        const insertedIds = {};
+        for (const [index, doc] of docs.entries()) {
+            insertedIds[index] = (await this.insertOne(doc)).insertedId;
+        }
+        return { acknowledged: true, insertedCount: docs.length, insertedIds };
+    }
+
+    find(filter = {}) {
+        return new MemoryCursor(() => this.matching(filter));
+    }
+
+    async findOne(filter = {}, options = {}) {
+        const [doc] = await this.find(filter).project(options.projection || null).limit(1).toArray();
+        return doc || null;
+    }
+
+    // Applies an update to a copy, checks unique indexes, then swaps it in
+    applyUpdate(doc, update, filter) {
+        const { $setOnInsert, ...modifier } = update;
+        const updated = clone(doc);
+        const changed = mingo.update(updated, modifier, undefined, filter);
+        if (changed.length === 0) return false;
+        this.assertUnique(updated, doc);
+        this.docs[this.docs.indexOf(doc)] = updated;
+        return updated;
+    }
+
+    async upsert(filter, update) {
+        const { $setOnInsert, ...modifier } = update;
+        const doc = { ...equalityFields(filter), _id: new ObjectId() };
+        mingo.update(doc, { ...modifier, $set: { ...modifier.$set, ...$setOnInsert } });
+        await this.insertOne(doc);
+        return doc;
+    }
+
+    async updateOne(filter, update, options = {}) {
+        const [doc] = this.matching(filter);
+        if (!doc) {
+            if (!options.upsert) return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedId: null };
+            const inserted = await this.upsert(filter, update);
+            return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: inserted._id };
+        }
+        const updated = this.applyUpdate(doc, update, filter);
+        return { acknowledged: true, matchedCount: 1, modifiedCount: updated ? 1 : 0, upsertedCount: 0, upsertedId: null };
+    }
+
+    async updateMany(filter, update) {
+        const docs = this.matching(filter);
+        let modifiedCount = 0;
+        for (const doc of docs) {
+            if (this.applyUpdate(doc, update, filter)) modifiedCount += 1;
+        }
+        return { acknowledged: true, matchedCount: docs.length, modifiedCount };
+    }
+
+    async findOneAndUpdate(filter, update, options = {}) {
+        const [doc] = this.matching(filter);
+        if (!doc) {
+            if (!options.upsert) return null;
+            const inserted = await this.upsert(filter, update);
+            return options.returnDocument === 'after' ? clone(inserted) : null;
+        }
+        const updated = this.applyUpdate(doc, update, filter) || doc;
+        return clone(options.returnDocument === 'after' ? updated : doc);
+    }
+
+    async deleteOne(filter = {}) {
+        const [doc] = this.matching(filter);
+        if (!doc) return { acknowledged: true, deletedCount: 0 };
+        this.docs.splice(this.docs.indexOf(doc), 1);
+        return { acknowledged: true, deletedCount: 1 };
+    }
+
+    async deleteMany(filter = {}) {
+        const docs = this.matching(filter);
+        this.docs = this.docs.filter(doc => !docs.includes(doc));
+        return { acknowledged: true, deletedCount: docs.length };
+    }
+
+    async countDocuments(filter = {}) {
+        return this.matching(filter).length;
+    }
+
+    async estimatedDocumentCount() {
+        return this.docs.length;
+    }
+
+    async distinct(field, filter = {}) {
+        const values = this.matching(filter).map(doc => getPath(doc, field)).filter(value => value !== undefined);
+        return values.filter((value, index) => values.findIndex(other => sameValue(other, value)) === index).map(clone);
+    }
+
+    aggregate(pipeline) {
+        // $text is only allowed in a leading $match, as in MongoDB
+        const [first, ...rest] = pipeline;
+        const search = first?.$match ? this.textSearch(first.$match) : { docs: this.docs };
+        const stages = first?.$match ? [{ $match: search.filter }, ...rest] : pipeline;
+
+        return {
+            toArray: async () => mingo.aggregate(search.docs, stages, {
+                collectionResolver: (name) => this.db.collection(name).docs,
+            }).map(clone),
+        };
+    }
+}
+
+class MemoryDb {
+    constructor() {
+        this.collections = new Map();
+    }
+
+    collection(name) {
+        if (!this.collections.has(name)) {
+            this.collections.set(name, new MemoryCollection(name, this));
+        }
+        return this.collections.get(name);
+    }
+}
+
+module.exports = { MemoryDb, MemoryCollection };
@@ -0,0 +1,155 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContext, contestBody } = require('./helpers/harness');
+
+const rubric = {
+    criteria: [
+        { name: 'Creativity', weight: 3, maxScore: 10 },
+        { name: 'Execution', weight: 1, maxScore: 10 },
+    ],
+    judges: ['judge1@example.com', 'judge2@example.com'],
+};
+
+const score = (creativity, execution) => ({
+    scores: [{ criterion: 'creativity', score: creativity }, { criterion: 'Execution', score: execution }],
+});
+
+// An open contest with a rubric, two judges and three entries
+const setup = async () => {
+    const ctx = await createTestContext();
+    const creator = await ctx.createUser('creator@example.com', 'Creator');
+    const admin = await ctx.createUser('admin@example.com', 'Admin');
+    const judge1 = await ctx.createUser('judge1@example.com');
+    const judge2 = await ctx.createUser('judge2@example.com');
+    const outsider = await ctx.createUser('outsider@example.com');
+
+    const created = await ctx.api.post('/contests').set('Authorization', `Bearer ${creator}`).send(contestBody());
+    const contestId = created.body.insertedId;
+    await ctx.api.patch(`/contests/status/${contestId}`).set('Authorization', `Bearer ${admin}`).send({ status: 'Accepted' });
+
+    const judging = await ctx.api.put(`/contests/${contestId}/judging`).set('Authorization', `Bearer ${creator}`).send(rubric);
+    assert.equal(judging.status, 200);
+
+    const entries = {};
+    for (const name of ['ana', 'ben', 'cy']) {
+        const result = await ctx.collections.submissionsCollection.insertOne({
+            contestId,
+            participantEmail: `${name}@example.com`,
+            participantName: name,
+            submissionLink: `https://example.com/${name}`,
+        });
+        entries[name] = result.insertedId.toString();
+    }
+
+    const scoreAs = (token, name, body) => ctx.api.put(`/judging/submissions/${entries[name]}/score`)
+        .set('Authorization', `Bearer ${token}`)
+        .send(body);
+
+    return { ...ctx, creator, judge1, judge2, outsider, contestId, entries, scoreAs };
+};
+
+test('judges score against the rubric and only see their own scores', async () => {
+    const ctx = await setup();
+
+    const outsider = await ctx.scoreAs(ctx.outsider, 'ana', score(5, 5));
+    assert.equal(outsider.status, 403);
+
+    const incomplete = await ctx.scoreAs(ctx.judge1, 'ana', { scores: [{ criterion: 'creativity', score: 5 }] });
+    assert.equal(incomplete.status, 400);
+    const tooHigh = await ctx.scoreAs(ctx.judge1, 'ana', score(11, 5));
+    assert.equal(tooHigh.status, 400);
+
+    const first = await ctx.scoreAs(ctx.judge1, 'ana', score(10, 6));
+    assert.equal(first.status, 200);
+    assert.equal(first.body.weightedScore, 90);
+    await ctx.scoreAs(ctx.judge2, 'ana', score(2, 2));
+
+    const view = await ctx.api.get(`/judging/contests/${ctx.contestId}/submissions`).set('Authorization', `Bearer ${ctx.judge1}`);
+    assert.equal(view.status, 200);
+    const ana = view.body.items.find(entry => entry._id === ctx.entries.ana);
+    assert.equal(ana.myScore.weightedScore, 90);
+    assert.equal(ana.judgeScore, undefined);
+    assert.equal(JSON.stringify(view.body).includes('judge2@example.com'), false);
+
+    // The panel score (average of both judges) backs the automatic winner rule
+    const stored = await ctx.collections.submissionsCollection.findOne({ participantEmail: 'ana@example.com' });
+    assert.equal(stored.judgeScore, 55);
+    assert.equal(stored.judgeCount, 2);
+
+    const assignments = await ctx.api.get('/judging/assignments').set('Authorization', `Bearer ${ctx.judge2}`);
+    assert.deepEqual(assignments.body.items[0].progress, { scored: 1, submissions: 3 });
+});
+
+test('the ranking is weighted, flags ties and the winner can be declared from it', async () => {
+    const ctx = await setup();
+
+    for (const judge of [ctx.judge1, ctx.judge2]) {
+        await ctx.scoreAs(judge, 'ana', score(8, 4));
+        await ctx.scoreAs(judge, 'ben', score(8, 4));
+        await ctx.scoreAs(judge, 'cy', score(4, 8));
+    }
+
+    const locked = await ctx.api.put(`/contests/${ctx.contestId}/judging`)
+        .set('Authorization', `Bearer ${ctx.creator}`)
+        .send({ ...rubric, criteria: [{ name: 'Creativity', weight: 1 }] });
+    assert.equal(locked.status, 409);
+
+    const judgeView = await ctx.api.get(`/contests/${ctx.contestId}/ranking`).set('Authorization', `Bearer ${ctx.judge1}`);
+    assert.equal(judgeView.status, 403);
+
+    const ranking = await ctx.api.get(`/contests/${ctx.contestId}/ranking`).set('Authorization', `Bearer ${ctx.creator}`);
+    assert.equal(ranking.status, 200);
+    assert.equal(ranking.body.complete, true);
+    assert.equal(ranking.body.topTied, true);
+    assert.deepEqual(
+        ranking.body.ranking.map(({ participantName, score, rank, tied }) => ({ participantName, score, rank, tied })),
+        [
+            { participantName: 'ana', score: 70, rank: 1, tied: true },
+            { participantName: 'ben', score: 70, rank: 1, tied: true },
+            { participantName: 'cy', score: 50, rank: 3, tied: false },
+        ]
+    );
+
+    const ambiguous = await ctx.api.post(`/contests/${ctx.contestId}/ranking/winner`).set('Authorization', `Bearer ${ctx.creator}`).send({});
+    assert.equal(ambiguous.status, 409);
+    assert.equal(ambiguous.body.tied.length, 2);
+
+    const notTied = await ctx.api.post(`/contests/${ctx.contestId}/ranking/winner`)
+        .set('Authorization', `Bearer ${ctx.creator}`)
+        .send({ submissionId: ctx.entries.cy });
+    assert.equal(notTied.status, 409);
+
+    const declared = await ctx.api.post(`/contests/${ctx.contestId}/ranking/winner`)
+        .set('Authorization', `Bearer ${ctx.creator}`)
+        .send({ submissionId: ctx.entries.ben });
+    assert.equal(declared.status, 200);
+    assert.equal(declared.body.tieBroken, true);
+
+    const contest = await ctx.api.get(`/contests/single/${ctx.contestId}`).set('Authorization', `Bearer ${ctx.creator}`);
+    assert.equal(contest.body.status, 'Completed');
+    assert.equal(contest.body.winners[0].email, 'ben@example.com');
+
+    const late = await ctx.scoreAs(ctx.judge1, 'cy', score(10, 10));
+    assert.equal(late.status, 409);
+});
+
+test('judges cannot score their own team entry and entrants cannot be made judges', async () => {
+    const ctx = await setup();
+    const team = await ctx.collections.submissionsCollection.insertOne({
+        contestId: ctx.contestId,
+        participantEmail: 'captain@example.com',
+        teamName: 'Pixel Pushers',
+        teamMembers: ['captain@example.com', 'judge1@example.com'],
+    });
+
+    const own = await ctx.api.put(`/judging/submissions/${team.insertedId}/score`)
+        .set('Authorization', `Bearer ${ctx.judge1}`)
+        .send(score(10, 10));
+    assert.equal(own.status, 403);
+
+    const invited = await ctx.api.put(`/contests/${ctx.contestId}/judging`)
+        .set('Authorization', `Bearer ${ctx.creator}`)
+        .send({ ...rubric, judges: ['judge2@example.com', 'ana@example.com', 'captain@example.com'] });
+    assert.equal(invited.status, 400);
+    assert.match(invited.body.message, /ana@example\.com, captain@example\.com/);
+});
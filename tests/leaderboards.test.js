@@ -0,0 +1,116 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContext, contestBody, succeededIntent } = require('./helpers/harness');
+const { seasonOf, createLeaderboards } = require('../src/leaderboards');
+
+// p1 wins one contest through PATCH /contests/winner; p3 and p2 take 1st and
+// 2nd in another through placements
+const setup = async () => {
+    const ctx = await createTestContext();
+    const creator = await ctx.createUser('creator@example.com', 'Creator');
+    const admin = await ctx.createUser('admin@example.com', 'Admin');
+    const players = {};
+    for (const n of [1, 2, 3]) players[`p${n}`] = await ctx.createUser(`p${n}@example.com`);
+
+    const open = async (body) => {
+        const created = await ctx.api.post('/contests').set('Authorization', `Bearer ${creator}`).send(body);
+        await ctx.api.patch(`/contests/status/${created.body.insertedId}`).set('Authorization', `Bearer ${admin}`).send({ status: 'Accepted' });
+        return created.body.insertedId;
+    };
+    const enter = async (player, contestId) => {
+        await ctx.api.post('/create-payment-intent').set('Authorization', `Bearer ${players[player]}`).send({ contestId });
+        await ctx.sendStripeEvent('payment_intent.succeeded', succeededIntent(ctx.stripe.created.paymentIntents.at(-1)));
+        const submitted = await ctx.api.post('/submissions').set('Authorization', `Bearer ${players[player]}`)
+            .send({ contestId, task: 'https://example.com/my-entry', participantName: player });
+        return submitted.body.insertedId;
+    };
+
+    const first = await open(contestBody());
+    await enter('p1', first);
+    await enter('p2', first);
+    await ctx.api.patch(`/contests/winner/${first}`).set('Authorization', `Bearer ${creator}`)
+        .send({ winnerEmail: 'p1@example.com', winnerName: 'p1' });
+
+    const second = await open(contestBody({ prizeTiers: [{ name: 'First', amount: 60 }, { name: 'Second', amount: 40 }] }));
+    const p2Entry = await enter('p2', second);
+    const p3Entry = await enter('p3', second);
+    await ctx.api.put(`/contests/${second}/placements`).set('Authorization', `Bearer ${creator}`)
+        .send({ placements: [{ tier: 'first', submissionId: p3Entry }, { tier: 'second', submissionId: p2Entry }] });
+
+    return { ctx, players };
+};
+
+const board = async (ctx, query = {}) => {
+    const res = await ctx.api.get('/leaderboards').query(query);
+    assert.equal(res.status, 200);
+    return res.body;
+};
+
+const rows = (page) => page.items.map(row => [row.rank, row.name, row.points, row.wins, row.placements, row.entries]);
+
+test('winners from every declaration route are ranked by points, wins and placements', async () => {
+    const { ctx } = await setup();
+
+    const overall = await board(ctx);
+    assert.equal(overall.season, 'all');
+    assert.equal(overall.contestType, 'all');
+    // 1st = 100, 2nd = 60, 5 per entry; ties share a rank
+    assert.deepEqual(rows(overall).sort(), [
+        [1, 'p1', 105, 1, 1, 1],
+        [1, 'p3', 105, 1, 1, 1],
+        [3, 'p2', 70, 0, 1, 2],
+    ]);
+    assert.equal(overall.items[0].email, undefined);
+
+    const byPlacements = await board(ctx, { sort: 'placements' });
+    assert.deepEqual(byPlacements.items.map(row => row.rank), [1, 1, 1]);
+
+    const season = await board(ctx, { season: seasonOf(new Date()), contestType: 'Image Design' });
+    assert.deepEqual(rows(season).sort(), rows(overall).sort());
+    assert.equal((await board(ctx, { season: '2020-Q1' })).items.length, 0);
+    assert.equal((await board(ctx, { contestType: 'Article Writing' })).items.length, 0);
+
+    // Nobody has enough entries for a meaningful win rate yet
+    assert.equal((await board(ctx, { sort: 'winRate' })).items.length, 0);
+
+    const paged = await board(ctx, { limit: 2 });
+    assert.equal(paged.items.length, 2);
+    const rest = await board(ctx, { limit: 2, cursor: paged.nextCursor });
+    assert.deepEqual(rows(rest), [[3, 'p2', 70, 0, 1, 2]]);
+
+    const invalid = await ctx.api.get('/leaderboards').query({ season: 'summer', sort: 'name' });
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(invalid.body.errors.map(e => e.field), ['season', 'sort']);
+
+    const seasons = await ctx.api.get('/leaderboards/seasons');
+    assert.deepEqual(seasons.body.seasons, [seasonOf(new Date())]);
+
+    const stats = await ctx.api.get('/user-stats/p1@example.com').set('Authorization', `Bearer ${await ctx.tokenFor('p1@example.com')}`);
+    assert.equal(stats.body.wins, 1);
+});
+
+test('participants see their own standing on every board', async () => {
+    const { ctx, players } = await setup();
+
+    const mine = await ctx.api.get('/leaderboards/me').set('Authorization', `Bearer ${players.p2}`);
+    assert.equal(mine.status, 200);
+    assert.deepEqual(mine.body.map(row => [row.season, row.contestType, row.rank]).sort(), [
+        [seasonOf(new Date()), 'Image Design', 3],
+        [seasonOf(new Date()), 'all', 3],
+        ['all', 'Image Design', 3],
+        ['all', 'all', 3],
+    ]);
+    assert.equal((await ctx.api.get('/leaderboards/me')).status, 401);
+});
+
+test('a rebuild recomputes the materialized boards from the contests', async () => {
+    const { ctx } = await setup();
+    const before = rows(await board(ctx)).sort();
+
+    await ctx.collections.leaderboardsCollection.deleteMany({});
+    await ctx.collections.leaderboardsCollection.insertOne({ season: 'all', contestType: 'all', email: 'gone@example.com', points: 999 });
+    const result = await createLeaderboards(ctx.collections).rebuild();
+
+    assert.equal(result.participants, 3);
+    assert.deepEqual(rows(await board(ctx)).sort(), before);
+});
@@ -0,0 +1,108 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContext, contestBody, succeededIntent } = require('./helpers/harness');
+
+// An open contest with two paid entries (fee 10, prize 100)
+const setup = async () => {
+    const ctx = await createTestContext();
+    const creator = await ctx.createUser('creator@example.com', 'Creator');
+    const admin = await ctx.createUser('admin@example.com', 'Admin');
+    const players = [await ctx.createUser('p1@example.com'), await ctx.createUser('p2@example.com')];
+
+    const created = await ctx.api.post('/contests').set('Authorization', `Bearer ${creator}`).send(contestBody());
+    const contestId = created.body.insertedId;
+    await ctx.api.patch(`/contests/status/${contestId}`).set('Authorization', `Bearer ${admin}`).send({ status: 'Accepted' });
+
+    for (const player of players) {
+        await ctx.api.post('/create-payment-intent').set('Authorization', `Bearer ${player}`).send({ contestId });
+    }
+    for (const intent of ctx.stripe.created.paymentIntents) {
+        await ctx.sendStripeEvent('payment_intent.succeeded', succeededIntent(intent));
+    }
+    return { ...ctx, creator, admin, players, contestId };
+};
+
+test('entry fees are split between the platform and the creator, refunds reverse it', async () => {
+    const ctx = await setup();
+    // A redelivered event must not be booked twice
+    await ctx.sendStripeEvent('payment_intent.succeeded', succeededIntent(ctx.stripe.created.paymentIntents[0]));
+
+    const payment = await ctx.collections.paymentsCollection.findOne({ email: 'p1@example.com' });
+    await ctx.api.post(`/payments/${payment._id}/refund`).set('Authorization', `Bearer ${ctx.admin}`).send({ amount: 4 });
+    await ctx.sendStripeEvent('charge.refunded', {
+        id: 'ch_test_1',
+        object: 'charge',
+        payment_intent: payment.transactionId,
+        amount_refunded: 400,
+        refunded: false,
+    });
+
+    const ledger = await ctx.api.get(`/ledger/contests/${ctx.contestId}`).set('Authorization', `Bearer ${ctx.creator}`);
+    assert.equal(ledger.status, 200);
+    assert.deepEqual(ledger.body.totals, { entryFees: 20, refunds: 4, commission: 1.6, creatorShare: 14.4, prizes: 0 });
+
+    // Entries come a page at a time; the totals above cover all of them
+    const firstPage = await ctx.api.get(`/ledger/contests/${ctx.contestId}`).query({ limit: 4 }).set('Authorization', `Bearer ${ctx.creator}`);
+    assert.equal(firstPage.body.entries.items.length, 4);
+    assert.equal(firstPage.body.entries.total, 9);
+    assert.deepEqual(firstPage.body.totals, ledger.body.totals);
+    const nextPage = await ctx.api.get(`/ledger/contests/${ctx.contestId}`)
+        .query({ limit: 10, cursor: firstPage.body.entries.nextCursor })
+        .set('Authorization', `Bearer ${ctx.creator}`);
+    assert.equal(nextPage.body.entries.items.length, 5);
+    assert.equal(nextPage.body.entries.nextCursor, null);
+
+    const stranger = await ctx.createUser('other@example.com', 'Creator');
+    const denied = await ctx.api.get(`/ledger/contests/${ctx.contestId}`).set('Authorization', `Bearer ${stranger}`);
+    assert.equal(denied.status, 403);
+});
+
+test('declaring winners opens payouts that admins settle', async () => {
+    const ctx = await setup();
+    const submission = await ctx.collections.submissionsCollection.insertOne({ contestId: ctx.contestId, participantEmail: 'p1@example.com' });
+    const declared = await ctx.api.put(`/contests/${ctx.contestId}/placements`)
+        .set('Authorization', `Bearer ${ctx.creator}`)
+        .send({ placements: [{ tier: 'winner', submissionId: submission.insertedId.toString() }] });
+    assert.equal(declared.status, 200);
+
+    const owed = await ctx.api.get('/payouts').set('Authorization', `Bearer ${ctx.admin}`);
+    assert.deepEqual(
+        owed.body.items.map(({ type, email, amount }) => [type, email, amount]).sort(),
+        [['creator-earnings', 'creator@example.com', 18], ['prize', 'p1@example.com', 100]]
+    );
+
+    const forbidden = await ctx.api.get('/payouts').set('Authorization', `Bearer ${ctx.creator}`);
+    assert.equal(forbidden.status, 403);
+
+    const prize = owed.body.items.find(payout => payout.type === 'prize');
+    const skip = await ctx.api.patch(`/payouts/${prize._id}`).set('Authorization', `Bearer ${ctx.admin}`).send({ status: 'owed' });
+    assert.equal(skip.status, 409);
+
+    await ctx.api.patch(`/payouts/${prize._id}`).set('Authorization', `Bearer ${ctx.admin}`).send({ status: 'processing' });
+    const paid = await ctx.api.patch(`/payouts/${prize._id}`)
+        .set('Authorization', `Bearer ${ctx.admin}`)
+        .send({ status: 'paid', reference: 'tr_123' });
+    assert.equal(paid.status, 200);
+    assert.equal(paid.body.payout.status, 'paid');
+
+    // The winner's statement: fee paid, prize owed, prize paid out
+    const statement = await ctx.api.get('/ledger/statement/p1@example.com').set('Authorization', `Bearer ${ctx.players[0]}`);
+    assert.equal(statement.status, 200);
+    assert.deepEqual(statement.body.totals, { 'entry-fee': -10, prize: 100, payout: -100 });
+    assert.equal(statement.body.balance, -10);
+    assert.equal(statement.body.entries.total, 3);
+    // The prize is in the entries once paid out, only open payouts are listed
+    assert.deepEqual(statement.body.payouts, []);
+
+    const paged = await ctx.api.get('/ledger/statement/p1@example.com').query({ limit: 1 }).set('Authorization', `Bearer ${ctx.players[0]}`);
+    assert.deepEqual(paged.body.entries.items.map(entry => entry.type), ['entry-fee']);
+    assert.deepEqual(paged.body.totals, statement.body.totals);
+
+    const csv = await ctx.api.get('/ledger/statement/p1@example.com?format=csv').set('Authorization', `Bearer ${ctx.players[0]}`);
+    assert.match(csv.headers['content-type'], /text\/csv/);
+    assert.match(csv.headers['content-disposition'], /attachment/);
+    assert.equal(csv.text.split('\n').length, 4);
+
+    const others = await ctx.api.get('/ledger/statement/p1@example.com').set('Authorization', `Bearer ${ctx.players[1]}`);
+    assert.equal(others.status, 403);
+});
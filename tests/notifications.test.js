@@ -0,0 +1,162 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { createTestContext, contestBody, succeededIntent } = require('./helpers/harness');
+const { createMailer } = require('../src/mailer');
+
+// A creator's contest, reviewed by an admin, with one paid participant
+const setup = async () => {
+    const ctx = await createTestContext();
+    const creator = await ctx.createUser('creator@example.com', 'Creator');
+    const admin = await ctx.createUser('admin@example.com', 'Admin');
+    const player = await ctx.createUser('player@example.com');
+
+    const created = await ctx.api.post('/contests').set('Authorization', `Bearer ${creator}`).send(contestBody());
+    const contestId = created.body.insertedId;
+    await ctx.api.patch(`/contests/status/${contestId}`).set('Authorization', `Bearer ${admin}`).send({ status: 'Accepted' });
+
+    const pay = async () => {
+        await ctx.api.post('/create-payment-intent').set('Authorization', `Bearer ${player}`).send({ contestId });
+        const [intent] = ctx.stripe.created.paymentIntents;
+        await ctx.sendStripeEvent('payment_intent.succeeded', succeededIntent(intent));
+    };
+
+    return { ctx, creator, admin, player, contestId, pay };
+};
+
+const inbox = async (ctx, token, query = {}) => {
+    const res = await ctx.api.get('/notifications').query(query).set('Authorization', `Bearer ${token}`);
+    assert.equal(res.status, 200);
+    return res.body;
+};
+
+const typesOf = (page) => page.items.map(notification => notification.type).sort();
+
+test('contest events notify admins, creators and participants in the app and by email', async () => {
+    const { ctx, creator, admin, player, contestId, pay } = await setup();
+
+    // Submitted for review -> admins; approved -> the creator
+    const adminInbox = await inbox(ctx, admin);
+    assert.deepEqual(typesOf(adminInbox), ['contest-pending']);
+    assert.equal(adminInbox.items[0].contestId, contestId);
+    const creatorInbox = await inbox(ctx, creator);
+    assert.deepEqual(typesOf(creatorInbox), ['contest-status']);
+    assert.match(creatorInbox.items[0].title, /open for entries/);
+
+    await pay();
+    await ctx.api.post('/submissions').set('Authorization', `Bearer ${player}`)
+        .send({ contestId, task: 'https://example.com/my-logo', participantName: 'player' });
+    await ctx.api.patch(`/contests/winner/${contestId}`).set('Authorization', `Bearer ${creator}`)
+        .send({ winnerEmail: 'player@example.com', winnerName: 'player' });
+
+    assert.deepEqual(typesOf(await inbox(ctx, creator)), ['contest-status', 'submission']);
+    const playerInbox = await inbox(ctx, player);
+    assert.deepEqual(typesOf(playerInbox), ['payment', 'winners']);
+    assert.match(playerInbox.items.find(n => n.type === 'winners').title, /You placed/);
+
+    const mail = await ctx.sentMail();
+    assert.deepEqual(mail.filter(m => m.to === 'player@example.com').map(m => m.subject).sort(), playerInbox.items.map(n => n.title).sort());
+    assert.equal(mail.filter(m => m.to === 'admin@example.com').length, 1);
+
+    // Unread count and marking read
+    const unread = () => ctx.api.get('/notifications/unread-count').set('Authorization', `Bearer ${player}`);
+    assert.equal((await unread()).body.count, 2);
+
+    const [first] = playerInbox.items;
+    const marked = await ctx.api.patch(`/notifications/${first._id}/read`).set('Authorization', `Bearer ${player}`);
+    assert.equal(marked.status, 200);
+    assert.equal((await unread()).body.count, 1);
+    assert.equal((await inbox(ctx, player, { unread: 'true' })).items.length, 1);
+
+    const notMine = await ctx.api.patch(`/notifications/${first._id}/read`).set('Authorization', `Bearer ${creator}`);
+    assert.equal(notMine.status, 404);
+
+    const all = await ctx.api.post('/notifications/read-all').set('Authorization', `Bearer ${player}`);
+    assert.equal(all.body.modifiedCount, 1);
+    assert.equal((await unread()).body.count, 0);
+});
+
+test('preferences turn single channels off per type', async () => {
+    const { ctx, player, pay } = await setup();
+
+    const defaults = await ctx.api.get('/notifications/preferences').set('Authorization', `Bearer ${player}`);
+    assert.equal(defaults.status, 200);
+    assert.deepEqual(defaults.body.preferences.payment, { inApp: true, email: true });
+    assert.ok(defaults.body.types.deadline);
+
+    const invalid = await ctx.api.put('/notifications/preferences').set('Authorization', `Bearer ${player}`)
+        .send({ payment: { email: 'no' } });
+    assert.equal(invalid.status, 400);
+
+    const updated = await ctx.api.put('/notifications/preferences').set('Authorization', `Bearer ${player}`)
+        .send({ payment: { email: false }, unknown: { email: false } });
+    assert.equal(updated.status, 200);
+    assert.deepEqual(updated.body.preferences.payment, { inApp: true, email: false });
+    assert.equal(updated.body.preferences.unknown, undefined);
+
+    await pay();
+    assert.deepEqual(typesOf(await inbox(ctx, player)), ['payment']);
+    assert.equal((await ctx.sentMail()).some(m => m.to === 'player@example.com'), false);
+});
+
+test('the scheduler reminds participants once when a deadline is a day away', async () => {
+    const { ctx, player, contestId, pay } = await setup();
+    await pay();
+
+    await ctx.collections.contestsCollection.updateOne(
+        { _id: new ObjectId(contestId) },
+        { $set: { deadline: new Date(Date.now() + 12 * 60 * 60 * 1000) } }
+    );
+
+    const runCron = () => ctx.api.get('/cron/contests').set('Authorization', `Bearer ${ctx.config.cronSecret}`);
+    const first = await runCron();
+    assert.equal(first.status, 200);
+    assert.deepEqual(first.body.reminded, [contestId]);
+    assert.deepEqual((await runCron()).body.reminded, []);
+
+    const reminders = (await inbox(ctx, player)).items.filter(n => n.type === 'deadline');
+    assert.equal(reminders.length, 1);
+    assert.match(reminders[0].title, /24 hours/);
+});
+
+test('emails are sent after the response and a failing mail server loses only the email', async () => {
+    const { ctx, player, pay } = await setup();
+
+    await ctx.notifier.flush();
+    const before = (await ctx.sentMail()).length;
+
+    // Hold every email until released; the player's fails
+    let release;
+    const held = new Promise(resolve => { release = resolve; });
+    const send = ctx.mailer.send;
+    const attempts = [];
+    ctx.mailer.send = async (mail) => {
+        attempts.push(mail.to);
+        await held;
+        if (mail.to === 'player@example.com') throw new Error('connection refused');
+        return send(mail);
+    };
+
+    await pay();
+    assert.deepEqual(typesOf(await inbox(ctx, player)), ['payment']);
+
+    release();
+    assert.deepEqual(attempts, ['player@example.com']);
+    assert.equal((await ctx.sentMail()).length, before);
+});
+
+test('the mailer falls back to the console without a transport and keeps message bodies out of the logs', async (t) => {
+    // Production config leaves mailTransport unset unless MAIL_TRANSPORT is given
+    const warn = t.mock.method(console, 'warn', () => {});
+    assert.equal(createMailer({ mailTransport: undefined }).transport, 'console');
+    assert.equal(createMailer({ mailTransport: 'smpt' }).transport, 'console');
+    assert.equal(warn.mock.callCount(), 2);
+    assert.match(warn.mock.calls[0].arguments[0], /MAIL_TRANSPORT/);
+
+    const log = t.mock.method(console, 'log', () => {});
+    await createMailer({ mailTransport: 'console', mailFrom: 'test@contesthub.app' })
+        .send({ to: 'player@example.com', subject: 'Refund issued', text: 'Your reset code is 123456' });
+    assert.equal(log.mock.callCount(), 1);
+    assert.match(log.mock.calls[0].arguments[0], /player@example\.com: Refund issued/);
+    assert.doesNotMatch(log.mock.calls[0].arguments[0], /123456/);
+});
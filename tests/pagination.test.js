@@ -0,0 +1,99 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContext } = require('./helpers/harness');
+
+const seedContests = async (ctx, count, fields = () => ({})) => {
+    const createdAt = new Date('2026-01-01T00:00:00Z');
+    await ctx.collections.contestsCollection.insertMany(Array.from({ length: count }, (_, i) => ({
+        name: `Contest ${i}`,
+        description: 'A community contest.',
+        status: 'Open',
+        contestType: 'Image Design',
+        price: 10,
+        prizeMoney: 100,
+        participationCount: 0,
+        creator: 'creator@example.com',
+        // Shared timestamps, so pages have to break ties on _id
+        createdAt,
+        deadline: new Date(Date.now() + 24 * 60 * 60 * 1000),
+        ...fields(i),
+    })));
+};
+
+// Follows nextCursor until the last page; returns every item and each page's size
+const readAll = async (request, query) => {
+    const items = [];
+    const sizes = [];
+    let cursor;
+    do {
+        const res = await request().query({ ...query, ...(cursor ? { cursor } : {}) });
+        assert.equal(res.status, 200);
+        items.push(...res.body.items);
+        sizes.push(res.body.items.length);
+        cursor = res.body.nextCursor;
+    } while (cursor);
+    return { items, sizes };
+};
+
+test('cursors walk a list once without gaps or repeats', async () => {
+    const ctx = await createTestContext();
+    await seedContests(ctx, 25);
+
+    const first = await ctx.api.get('/contests').query({ limit: 10 });
+    assert.equal(first.body.items.length, 10);
+    assert.equal(first.body.total, 25);
+    assert.equal(typeof first.body.nextCursor, 'string');
+    assert.ok(first.body.facets);
+
+    const { items, sizes } = await readAll(() => ctx.api.get('/contests'), { limit: 10 });
+    assert.deepEqual(sizes, [10, 10, 5]);
+    assert.equal(new Set(items.map(contest => contest._id)).size, 25);
+
+    // Contests added after the first page don't shift the next one
+    const second = await ctx.api.get('/contests').query({ limit: 10, cursor: first.body.nextCursor });
+    await seedContests(ctx, 3, i => ({ name: `Late ${i}`, createdAt: new Date() }));
+    const secondAgain = await ctx.api.get('/contests').query({ limit: 10, cursor: first.body.nextCursor });
+    assert.deepEqual(secondAgain.body.items.map(contest => contest._id), second.body.items.map(contest => contest._id));
+});
+
+test('page size is capped, total can be turned off and bad input is rejected', async () => {
+    const ctx = await createTestContext();
+    await seedContests(ctx, 105);
+
+    const capped = await ctx.api.get('/contests').query({ limit: 500 });
+    assert.equal(capped.body.items.length, 100);
+    assert.notEqual(capped.body.nextCursor, null);
+
+    const defaults = await ctx.api.get('/contests').query({ total: 'false' });
+    assert.equal(defaults.body.items.length, 20);
+    assert.equal(defaults.body.total, null);
+
+    assert.equal((await ctx.api.get('/contests').query({ limit: 0 })).status, 400);
+    assert.equal((await ctx.api.get('/contests').query({ cursor: 'not-a-cursor' })).status, 400);
+
+    // A cursor for another list's sort order (one value instead of two)
+    const wrongList = await ctx.api.get('/contests/winners').query({ cursor: 'WyJ4Il0' });
+    assert.equal(wrongList.status, 400);
+});
+
+test('admin lists page through documents that lack the sort field', async () => {
+    const ctx = await createTestContext();
+    const admin = await ctx.createUser('admin@example.com', 'Admin');
+    // Legacy contests have no createdAt and sort after everything else
+    await seedContests(ctx, 7, i => ({ legacy: i % 2 === 0 }));
+    await ctx.collections.contestsCollection.updateMany({ legacy: true }, { $unset: { createdAt: '' } });
+
+    const { items, sizes } = await readAll(
+        () => ctx.api.get('/contests/admin').set('Authorization', `Bearer ${admin}`),
+        { limit: 3 }
+    );
+    assert.deepEqual(sizes, [3, 3, 1]);
+    assert.equal(new Set(items.map(contest => contest._id)).size, 7);
+    assert.deepEqual(items.map(contest => contest.legacy), [false, false, false, true, true, true, true]);
+
+    for (let i = 0; i < 4; i++) await ctx.createUser(`user${i}@example.com`);
+    const users = await readAll(() => ctx.api.get('/users').set('Authorization', `Bearer ${admin}`), { size: 2 });
+    assert.deepEqual(users.sizes, [2, 2, 1]);
+    assert.equal(users.items.some(user => 'passwordHash' in user || 'roleHistory' in user || 'notificationPreferences' in user), false);
+    assert.ok(users.items.every(user => user.email));
+});
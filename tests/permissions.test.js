@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { createTestContext, contestBody } = require('./helpers/harness');
+const { can, mayAttempt } = require('../src/permissions');
+
+test('ownership rules limit own-only permissions to the owner', () => {
+    const creator = { email: 'creator@example.com', role: 'Creator' };
+    const admin = { email: 'admin@example.com', role: 'Admin' };
+    const contest = { creator: 'creator@example.com' };
+    const otherContest = { creator: 'someone@example.com' };
+
+    assert.equal(can(creator, 'contests:delete', contest), true);
+    assert.equal(can(creator, 'contests:delete', otherContest), false);
+    assert.equal(can(admin, 'contests:delete', otherContest), true);
+    assert.equal(can(admin, 'contests:declare-winner', otherContest), false);
+
+    // Legacy 'Participant' accounts are treated as 'User'
+    assert.equal(mayAttempt({ role: 'Participant' }, 'submissions:create'), true);
+    assert.equal(mayAttempt({ role: 'Participant' }, 'contests:create'), false);
+});
+
+test('GET /roles describes every role and permission', async () => {
+    const { api } = await createTestContext();
+
+    const res = await api.get('/roles');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.roles.map(role => role.name), ['User', 'Creator', 'Admin']);
+
+    const admin = res.body.roles.find(role => role.name === 'Admin');
+    assert.ok(admin.permissions.some(permission => permission.name === 'users:update-role' && !permission.ownOnly));
+    const creator = res.body.roles.find(role => role.name === 'Creator');
+    assert.ok(creator.permissions.some(permission => permission.name === 'contests:edit' && permission.ownOnly));
+    assert.ok(res.body.permissions.every(permission => permission.description));
+});
+
+test('creators cannot act on contests they do not own', async () => {
+    const ctx = await createTestContext();
+    const owner = await ctx.createUser('owner@example.com', 'Creator');
+    const rival = await ctx.createUser('rival@example.com', 'Creator');
+
+    const created = await ctx.api.post('/contests').set('Authorization', `Bearer ${owner}`).send(contestBody());
+    const contestId = created.body.insertedId;
+    const submission = await ctx.collections.submissionsCollection.insertOne({
+        contestId,
+        participantEmail: 'player@example.com',
+        status: 'Pending',
+    });
+
+    const winner = await ctx.api.patch(`/submissions/declare-winner/${submission.insertedId}`)
+        .set('Authorization', `Bearer ${rival}`)
+        .send({ contestId });
+    assert.equal(winner.status, 403);
+
+    const entries = await ctx.api.get(`/submissions/contest/${contestId}`).set('Authorization', `Bearer ${rival}`);
+    assert.equal(entries.status, 403);
+
+    const refund = await ctx.api.post(`/contests/${contestId}/refunds`).set('Authorization', `Bearer ${rival}`).send({});
+    assert.equal(refund.status, 403);
+
+    const removed = await ctx.api.delete(`/contests/${contestId}`).set('Authorization', `Bearer ${rival}`);
+    assert.equal(removed.status, 403);
+
+    const contest = await ctx.collections.contestsCollection.findOne({ _id: new ObjectId(contestId) });
+    assert.equal(contest.status, 'Pending');
+});
+
+test('users cannot read or change other accounts', async () => {
+    const ctx = await createTestContext();
+    const player = await ctx.createUser('player@example.com');
+    await ctx.createUser('other@example.com');
+
+    const role = await ctx.api.get('/users/role/other@example.com').set('Authorization', `Bearer ${player}`);
+    assert.equal(role.status, 403);
+
+    const profile = await ctx.api.patch('/users/profile/other@example.com')
+        .set('Authorization', `Bearer ${player}`)
+        .send({ name: 'Hijacked' });
+    assert.equal(profile.status, 403);
+
+    const payments = await ctx.api.get('/my-participated/other@example.com').set('Authorization', `Bearer ${player}`);
+    assert.equal(payments.status, 403);
+});
@@ -0,0 +1,93 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContext, contestBody } = require('./helpers/harness');
+
+const prizeTiers = [
+    { name: '1st Place', amount: 500 },
+    { name: '2nd Place', amount: 200 },
+    { name: 'Honorable Mention', amount: 50, places: 2 },
+];
+
+test('prize tiers must fit in the prize money', async () => {
+    const ctx = await createTestContext();
+    const creator = await ctx.createUser('creator@example.com', 'Creator');
+
+    const tooMuch = await ctx.api.post('/contests')
+        .set('Authorization', `Bearer ${creator}`)
+        .send(contestBody({ prizeMoney: 500, prizeTiers }));
+    assert.equal(tooMuch.status, 400);
+
+    const created = await ctx.api.post('/contests')
+        .set('Authorization', `Bearer ${creator}`)
+        .send(contestBody({ prizeMoney: 800, prizeTiers }));
+    assert.equal(created.status, 200);
+
+    const contest = await ctx.api.get(`/contests/single/${created.body.insertedId}`).set('Authorization', `Bearer ${creator}`);
+    assert.deepEqual(contest.body.prizeTiers.map(tier => [tier.key, tier.places]), [
+        ['1st-place', 1],
+        ['2nd-place', 1],
+        ['honorable-mention', 2],
+    ]);
+});
+
+test('creators assign placements to every tier and stats read them back', async () => {
+    const ctx = await createTestContext();
+    const creator = await ctx.createUser('creator@example.com', 'Creator');
+    const admin = await ctx.createUser('admin@example.com', 'Admin');
+    const player = await ctx.createUser('p1@example.com');
+
+    const created = await ctx.api.post('/contests')
+        .set('Authorization', `Bearer ${creator}`)
+        .send(contestBody({ prizeMoney: 800, prizeTiers }));
+    const contestId = created.body.insertedId;
+    await ctx.api.patch(`/contests/status/${contestId}`).set('Authorization', `Bearer ${admin}`).send({ status: 'Accepted' });
+
+    const ids = [];
+    for (const n of [1, 2, 3, 4, 5]) {
+        const result = await ctx.collections.submissionsCollection.insertOne({ contestId, participantEmail: `p${n}@example.com`, participantName: `p${n}` });
+        ids.push(result.insertedId.toString());
+    }
+    const assign = (placements) => ctx.api.put(`/contests/${contestId}/placements`)
+        .set('Authorization', `Bearer ${creator}`)
+        .send({ placements });
+
+    const overfilled = await assign([
+        { tier: '1st-place', submissionId: ids[0] },
+        { tier: '2nd-place', submissionId: ids[1] },
+        { tier: '2nd-place', submissionId: ids[2] },
+    ]);
+    assert.equal(overfilled.status, 400);
+
+    const noTop = await assign([{ tier: '2nd-place', submissionId: ids[1] }]);
+    assert.equal(noTop.status, 400);
+
+    const assigned = await assign([
+        { tier: 'honorable-mention', submissionId: ids[3] },
+        { tier: '1st-place', submissionId: ids[0] },
+        { tier: '2nd-place', submissionId: ids[1] },
+        { tier: 'honorable-mention', submissionId: ids[2] },
+    ]);
+    assert.equal(assigned.status, 200);
+    assert.deepEqual(
+        assigned.body.winners.map(({ email, place, amount }) => [email, place, amount]),
+        [['p1@example.com', 1, 500], ['p2@example.com', 2, 200], ['p4@example.com', 3, 50], ['p3@example.com', 3, 50]]
+    );
+
+    const winners = await ctx.api.get('/contests/winners');
+    assert.equal(winners.body.items.length, 1);
+    assert.equal(winners.body.items[0].status, 'Completed');
+    assert.equal(winners.body.items[0].winners.length, 4);
+    assert.deepEqual(winners.body.items[0].winners.map(({ place, amount }) => [place, amount]), [[1, 500], [2, 200], [3, 50], [3, 50]]);
+    assert.equal(JSON.stringify(winners.body).includes('@example.com'), false);
+
+    const second = await ctx.collections.submissionsCollection.findOne({ participantEmail: 'p2@example.com' });
+    assert.equal(second.status, 'Placed');
+    assert.equal(second.placement.tier, '2nd-place');
+
+    const stats = await ctx.api.get('/user-stats/p1@example.com').set('Authorization', `Bearer ${player}`);
+    assert.equal(stats.body.wins, 1);
+    assert.equal(stats.body.placements, 1);
+    const runnerUp = await ctx.api.get('/user-stats/p2@example.com').set('Authorization', `Bearer ${player}`);
+    assert.equal(runnerUp.body.wins, 0);
+    assert.equal(runnerUp.body.placements, 1);
+});
@@ -0,0 +1,100 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContext, contestBody } = require('./helpers/harness');
+
+const day = 24 * 60 * 60 * 1000;
+
+const seed = async (ctx) => {
+    const contest = (name, fields) => ({
+        name,
+        description: 'A community contest.',
+        status: 'Open',
+        contestType: 'Image Design',
+        price: 10,
+        prizeMoney: 100,
+        participationCount: 0,
+        creator: 'creator@example.com',
+        createdAt: new Date(),
+        deadline: new Date(Date.now() + 10 * day),
+        ...fields,
+    });
+
+    await ctx.collections.contestsCollection.insertMany([
+        contest('Logo Design Challenge', { tags: ['branding'], price: 0, prizeMoney: 500, participationCount: 3, createdAt: new Date(Date.now() - 3 * day) }),
+        contest('Poster Sprint', { description: 'Design a concert poster.', price: 20, prizeMoney: 200, participationCount: 9, deadline: new Date(Date.now() + 2 * day) }),
+        contest('Short Story Cup', { contestType: 'Article Writing', tags: ['fiction'], price: 5, prizeMoney: 50, creator: 'writer@example.com' }),
+        contest('Book Review Week', { contestType: 'Book Review', price: 150, prizeMoney: 1000, createdAt: new Date(Date.now() - 1 * day) }),
+        contest('Hidden Design Draft', { status: 'Pending' }),
+    ]);
+};
+
+test('text search covers name, description and tags and returns facets', async () => {
+    const ctx = await createTestContext();
+    await seed(ctx);
+
+    const design = await ctx.api.get('/contests').query({ search: 'design' });
+    assert.equal(design.status, 200);
+    assert.deepEqual(design.body.items.map(contest => contest.name).sort(), ['Logo Design Challenge', 'Poster Sprint']);
+    assert.equal(design.body.total, 2);
+
+    const tagged = await ctx.api.get('/contests').query({ search: 'fiction' });
+    assert.deepEqual(tagged.body.items.map(contest => contest.name), ['Short Story Cup']);
+
+    // Regex metacharacters are just text now
+    const odd = await ctx.api.get('/contests').query({ search: '(.*' });
+    assert.equal(odd.status, 200);
+    assert.equal(odd.body.total, 0);
+
+    // The type facet ignores the type filter, the price facet ignores price filters
+    const filtered = await ctx.api.get('/contests').query({ type: 'Image Design', free: 'false' });
+    assert.deepEqual(filtered.body.items.map(contest => contest.name), ['Poster Sprint']);
+    assert.deepEqual(filtered.body.facets.types, [
+        { type: 'Article Writing', count: 1 },
+        { type: 'Book Review', count: 1 },
+        { type: 'Image Design', count: 1 },
+    ]);
+    assert.deepEqual(filtered.body.facets.prices.map(bucket => [bucket.label, bucket.count]), [
+        ['Free', 1],
+        ['Under 10', 0],
+        ['10 - 25', 1],
+        ['25 - 50', 0],
+        ['50 - 100', 0],
+        ['100 and up', 0],
+    ]);
+});
+
+test('filters and sort options', async () => {
+    const ctx = await createTestContext();
+    await seed(ctx);
+    const names = async (query) => (await ctx.api.get('/contests').query(query)).body.items.map(contest => contest.name);
+
+    assert.deepEqual(await names({ sort: 'prize' }), ['Book Review Week', 'Logo Design Challenge', 'Poster Sprint', 'Short Story Cup']);
+    assert.deepEqual((await names({ sort: 'ending-soon' }))[0], 'Poster Sprint');
+    assert.deepEqual((await names({ sort: 'popular' }))[0], 'Poster Sprint');
+    assert.deepEqual(await names({ sort: 'newest', size: 2 }), ['Short Story Cup', 'Poster Sprint']);
+
+    assert.deepEqual(await names({ minPrice: 5, maxPrice: 20, sort: 'prize' }), ['Poster Sprint', 'Short Story Cup']);
+    assert.deepEqual(await names({ minPrize: 400, sort: 'prize' }), ['Book Review Week', 'Logo Design Challenge']);
+    assert.deepEqual(await names({ free: 'true' }), ['Logo Design Challenge']);
+    assert.deepEqual(await names({ creator: 'writer@example.com' }), ['Short Story Cup']);
+    assert.deepEqual(await names({ deadlineTo: new Date(Date.now() + 5 * day).toISOString() }), ['Poster Sprint']);
+
+    const bad = await ctx.api.get('/contests').query({ sort: 'random', minPrice: 'cheap' });
+    assert.equal(bad.status, 400);
+    assert.deepEqual(bad.body.errors.map(error => error.field).sort(), ['minPrice', 'sort']);
+});
+
+test('deadline filters match contests created through the API', async () => {
+    const ctx = await createTestContext();
+    await seed(ctx);
+    const creator = await ctx.createUser('creator@example.com', 'Creator');
+    const admin = await ctx.createUser('admin@example.com', 'Admin');
+    const created = await ctx.api.post('/contests').set('Authorization', `Bearer ${creator}`)
+        .send(contestBody({ name: 'API Banner Contest', deadline: new Date(Date.now() + 4 * day).toISOString() }));
+    await ctx.api.patch(`/contests/status/${created.body.insertedId}`).set('Authorization', `Bearer ${admin}`).send({ status: 'Accepted' });
+
+    const names = async (query) => (await ctx.api.get('/contests').query({ sort: 'ending-soon', ...query })).body.items.map(contest => contest.name);
+    assert.deepEqual(await names({ deadlineTo: new Date(Date.now() + 5 * day).toISOString() }), ['Poster Sprint', 'API Banner Contest']);
+    assert.deepEqual(await names({ deadlineFrom: new Date(Date.now() + 3 * day).toISOString(), deadlineTo: new Date(Date.now() + 5 * day).toISOString() }), ['API Banner Contest']);
+    assert.equal((await names({ deadlineFrom: new Date(Date.now() + 5 * day).toISOString() })).includes('API Banner Contest'), false);
+});
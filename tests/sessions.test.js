@@ -0,0 +1,105 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContext } = require('./helpers/harness');
+
+const credentials = { email: 'player@example.com', password: 'correct horse' };
+
+// { name: value } of the cookies a response sets
+const cookiesOf = (res) => Object.fromEntries(
+    (res.headers['set-cookie'] || []).map(cookie => cookie.split(';')[0].split('='))
+);
+
+const signIn = async (api) => {
+    const res = await api.post('/jwt').send(credentials);
+    assert.equal(res.status, 200);
+    return { token: res.body.token, cookies: cookiesOf(res), setCookie: res.headers['set-cookie'] };
+};
+
+const withCookies = (req, cookies) => req.set('Cookie', Object.entries(cookies).map(([name, value]) => `${name}=${value}`).join('; '));
+
+const setup = async () => {
+    const ctx = await createTestContext();
+    const registered = await ctx.api.post('/users').send(credentials);
+    assert.equal(registered.status, 200);
+    return ctx;
+};
+
+test('sign-in sets httpOnly cookies that authenticate without a header', async () => {
+    const { api } = await setup();
+    const { cookies, setCookie } = await signIn(api);
+
+    assert.ok(cookies.access_token);
+    assert.ok(cookies.refresh_token);
+    assert.ok(setCookie.every(cookie => /HttpOnly/i.test(cookie)));
+
+    const role = await withCookies(api.get('/users/role/player@example.com'), { access_token: cookies.access_token });
+    assert.equal(role.status, 200);
+    assert.equal(role.body.role, 'User');
+
+    // The refresh cookie only goes to the /auth endpoints
+    assert.ok(setCookie.some(cookie => cookie.startsWith('refresh_token=') && /Path=\/auth/.test(cookie)));
+});
+
+test('the access cookie alone cannot change anything (CSRF)', async () => {
+    const { api } = await setup();
+    const { token, cookies } = await signIn(api);
+
+    // What a cross-site form post carries: the cookies, no header
+    const forged = await withCookies(api.post('/auth/logout-all'), { access_token: cookies.access_token });
+    assert.equal(forged.status, 403);
+
+    const stillSignedIn = await api.get('/users/role/player@example.com').set('Authorization', `Bearer ${token}`);
+    assert.equal(stillSignedIn.status, 200);
+
+    const own = await withCookies(api.post('/auth/logout-all'), { access_token: cookies.access_token }).set('Authorization', `Bearer ${token}`);
+    assert.equal(own.status, 200);
+});
+
+test('refresh rotates the token and reuse revokes the whole family', async () => {
+    const { api } = await setup();
+    const first = await signIn(api);
+
+    const refreshed = await withCookies(api.post('/auth/refresh'), { refresh_token: first.cookies.refresh_token });
+    assert.equal(refreshed.status, 200);
+    const second = cookiesOf(refreshed);
+    assert.ok(second.refresh_token);
+    assert.notEqual(second.refresh_token, first.cookies.refresh_token);
+
+    const stillValid = await api.get('/users/role/player@example.com').set('Authorization', `Bearer ${refreshed.body.token}`);
+    assert.equal(stillValid.status, 200);
+
+    // The spent token shows up again: someone else has a copy
+    const replayed = await withCookies(api.post('/auth/refresh'), { refresh_token: first.cookies.refresh_token });
+    assert.equal(replayed.status, 401);
+    assert.match(replayed.body.message, /reuse/);
+
+    const afterReuse = await withCookies(api.post('/auth/refresh'), { refresh_token: second.refresh_token });
+    assert.equal(afterReuse.status, 401);
+
+    const revoked = await api.get('/users/role/player@example.com').set('Authorization', `Bearer ${refreshed.body.token}`);
+    assert.equal(revoked.status, 401);
+});
+
+test('logout revokes the session and logout-all revokes every session', async () => {
+    const { api } = await setup();
+    const laptop = await signIn(api);
+    const phone = await signIn(api);
+    const tablet = await signIn(api);
+
+    const loggedOut = await withCookies(api.post('/logout'), { refresh_token: laptop.cookies.refresh_token });
+    assert.equal(loggedOut.status, 200);
+
+    const laptopAfter = await api.get('/users/role/player@example.com').set('Authorization', `Bearer ${laptop.token}`);
+    assert.equal(laptopAfter.status, 401);
+    const phoneAfter = await api.get('/users/role/player@example.com').set('Authorization', `Bearer ${phone.token}`);
+    assert.equal(phoneAfter.status, 200);
+
+    const everywhere = await api.post('/auth/logout-all').set('Authorization', `Bearer ${phone.token}`);
+    assert.equal(everywhere.status, 200);
+    assert.equal(everywhere.body.revoked, 2);
+
+    const tabletAfter = await api.get('/users/role/player@example.com').set('Authorization', `Bearer ${tablet.token}`);
+    assert.equal(tabletAfter.status, 401);
+    const tabletRefresh = await withCookies(api.post('/auth/refresh'), { refresh_token: tablet.cookies.refresh_token });
+    assert.equal(tabletRefresh.status, 401);
+});
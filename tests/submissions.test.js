@@ -0,0 +1,99 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContext, contestBody, succeededIntent } = require('./helpers/harness');
+
+const PDF = (text) => Buffer.from(`%PDF-1.7\n% ${text}\n`);
+
+// An open contest that p1 has paid for and entered
+const setup = async () => {
+    const ctx = await createTestContext();
+    const creator = await ctx.createUser('creator@example.com', 'Creator');
+    const admin = await ctx.createUser('admin@example.com', 'Admin');
+    const player = await ctx.createUser('p1@example.com');
+
+    const created = await ctx.api.post('/contests').set('Authorization', `Bearer ${creator}`).send(contestBody());
+    const contestId = created.body.insertedId;
+    await ctx.api.patch(`/contests/status/${contestId}`).set('Authorization', `Bearer ${admin}`).send({ status: 'Accepted' });
+    await ctx.api.post('/create-payment-intent').set('Authorization', `Bearer ${player}`).send({ contestId });
+    await ctx.sendStripeEvent('payment_intent.succeeded', succeededIntent(ctx.stripe.created.paymentIntents[0]));
+
+    const entry = await ctx.api.post('/submissions')
+        .set('Authorization', `Bearer ${player}`)
+        .send({ contestId, submissionLink: 'https://example.com/draft' });
+    return { ...ctx, creator, admin, player, contestId, submissionId: entry.body.insertedId };
+};
+
+test('participants replace their entry and the creator sees the latest version', async () => {
+    const ctx = await setup();
+
+    const typo = await ctx.api.patch(`/submissions/${ctx.submissionId}`)
+        .set('Authorization', `Bearer ${ctx.player}`)
+        .send({ submissionLink: 'https://example.com/final' });
+    assert.equal(typo.status, 200);
+    assert.equal(typo.body.version, 2);
+
+    const withFile = await ctx.api.patch(`/submissions/${ctx.submissionId}`)
+        .set('Authorization', `Bearer ${ctx.player}`)
+        .field('task', 'Final design')
+        .attach('files', PDF('v3'), { filename: 'final.pdf', contentType: 'application/pdf' });
+    assert.equal(withFile.status, 200);
+    assert.equal(withFile.body.versionCount, 3);
+    assert.equal(withFile.body.files.length, 1);
+
+    const empty = await ctx.api.patch(`/submissions/${ctx.submissionId}`).set('Authorization', `Bearer ${ctx.player}`).send({});
+    assert.equal(empty.status, 400);
+
+    const stranger = await ctx.createUser('p2@example.com');
+    const notMine = await ctx.api.patch(`/submissions/${ctx.submissionId}`)
+        .set('Authorization', `Bearer ${stranger}`)
+        .send({ task: 'Mine now' });
+    assert.equal(notMine.status, 403);
+
+    const listed = await ctx.api.get(`/submissions/contest/${ctx.contestId}`).set('Authorization', `Bearer ${ctx.creator}`);
+    assert.equal(listed.body.items.length, 1);
+    assert.equal(listed.body.items[0].submissionLink, 'https://example.com/final');
+    assert.equal(listed.body.items[0].task, 'Final design');
+    assert.equal(listed.body.items[0].versionCount, 3);
+    assert.equal(listed.body.items[0].history, undefined);
+
+    const versions = await ctx.api.get(`/submissions/${ctx.submissionId}/versions`).set('Authorization', `Bearer ${ctx.creator}`);
+    assert.deepEqual(versions.body.history.map(version => [version.version, version.submissionLink]), [
+        [1, 'https://example.com/draft'],
+        [2, 'https://example.com/final'],
+    ]);
+});
+
+test('withdrawn entries drop out and the participant may enter again', async () => {
+    const ctx = await setup();
+
+    const withdrawn = await ctx.api.delete(`/submissions/${ctx.submissionId}`).set('Authorization', `Bearer ${ctx.player}`);
+    assert.equal(withdrawn.status, 200);
+    assert.equal(withdrawn.body.status, 'Withdrawn');
+
+    const listed = await ctx.api.get(`/submissions/contest/${ctx.contestId}`).set('Authorization', `Bearer ${ctx.creator}`);
+    assert.equal(listed.body.items.length, 0);
+
+    const edit = await ctx.api.patch(`/submissions/${ctx.submissionId}`).set('Authorization', `Bearer ${ctx.player}`).send({ task: 'Back' });
+    assert.equal(edit.status, 409);
+
+    const again = await ctx.api.post('/submissions')
+        .set('Authorization', `Bearer ${ctx.player}`)
+        .send({ contestId: ctx.contestId, submissionLink: 'https://example.com/again' });
+    assert.equal(again.status, 200);
+});
+
+test('entries are locked after the deadline and once winners are declared', async () => {
+    const ctx = await setup();
+    const edit = () => ctx.api.patch(`/submissions/${ctx.submissionId}`).set('Authorization', `Bearer ${ctx.player}`).send({ task: 'Late fix' });
+
+    await ctx.collections.contestsCollection.updateOne({}, { $set: { deadline: new Date(Date.now() - 1000) } });
+    assert.equal((await edit()).status, 403);
+    assert.equal((await ctx.api.delete(`/submissions/${ctx.submissionId}`).set('Authorization', `Bearer ${ctx.player}`)).status, 403);
+
+    await ctx.collections.contestsCollection.updateOne({}, { $set: { deadline: new Date(Date.now() + 60 * 60 * 1000) } });
+    const declared = await ctx.api.put(`/contests/${ctx.contestId}/placements`)
+        .set('Authorization', `Bearer ${ctx.creator}`)
+        .send({ placements: [{ tier: 'winner', submissionId: ctx.submissionId }] });
+    assert.equal(declared.status, 200);
+    assert.equal((await edit()).status, 409);
+});
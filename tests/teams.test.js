@@ -0,0 +1,172 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContext, contestBody, succeededIntent } = require('./helpers/harness');
+
+// An open team contest (fee 10) and three users
+const setup = async (paymentMode, maxSize = 3) => {
+    const ctx = await createTestContext();
+    const creator = await ctx.createUser('creator@example.com', 'Creator');
+    const admin = await ctx.createUser('admin@example.com', 'Admin');
+    const [p1, p2, p3] = [await ctx.createUser('p1@example.com'), await ctx.createUser('p2@example.com'), await ctx.createUser('p3@example.com')];
+
+    const created = await ctx.api.post('/contests')
+        .set('Authorization', `Bearer ${creator}`)
+        .send(contestBody({ teamPolicy: { maxSize, paymentMode } }));
+    const contestId = created.body.insertedId;
+    await ctx.api.patch(`/contests/status/${contestId}`).set('Authorization', `Bearer ${admin}`).send({ status: 'Accepted' });
+
+    // Pays through Stripe and delivers the webhook; resolves to the intent request's response
+    const pay = async (token) => {
+        const res = await ctx.api.post('/create-payment-intent').set('Authorization', `Bearer ${token}`).send({ contestId });
+        if (res.status === 200) {
+            const intents = ctx.stripe.created.paymentIntents;
+            await ctx.sendStripeEvent('payment_intent.succeeded', succeededIntent(intents[intents.length - 1]));
+        }
+        return res;
+    };
+    return { ...ctx, creator, admin, p1, p2, p3, contestId, pay };
+};
+
+test('one captain payment enters the whole team, which submits once and wins together', async () => {
+    const ctx = await setup('single');
+
+    const created = await ctx.api.post('/teams')
+        .set('Authorization', `Bearer ${ctx.p1}`)
+        .send({ contestId: ctx.contestId, name: 'Pixel Pushers', invites: ['p2@example.com', 'p3@example.com'] });
+    assert.equal(created.status, 200);
+    const teamId = created.body.insertedId;
+
+    await ctx.api.post(`/teams/${teamId}/respond`).set('Authorization', `Bearer ${ctx.p2}`).send({ accept: true });
+    await ctx.api.post(`/teams/${teamId}/respond`).set('Authorization', `Bearer ${ctx.p3}`).send({ accept: false });
+
+    const memberPays = await ctx.pay(ctx.p2);
+    assert.equal(memberPays.status, 400);
+
+    const captainPays = await ctx.pay(ctx.p1);
+    assert.equal(captainPays.body.amount, 10);
+    assert.equal(captainPays.body.teamId, teamId);
+
+    const team = await ctx.api.get(`/teams/${teamId}`).set('Authorization', `Bearer ${ctx.p2}`);
+    assert.equal(team.body.paid, true);
+    assert.ok(team.body.lockedAt);
+
+    const locked = await ctx.api.post(`/teams/${teamId}/invites`).set('Authorization', `Bearer ${ctx.p1}`).send({ emails: ['p3@example.com'] });
+    assert.equal(locked.status, 409);
+
+    const submitted = await ctx.api.post('/submissions')
+        .set('Authorization', `Bearer ${ctx.p2}`)
+        .send({ contestId: ctx.contestId, submissionLink: 'https://example.com/team' });
+    assert.equal(submitted.status, 200);
+    const again = await ctx.api.post('/submissions')
+        .set('Authorization', `Bearer ${ctx.p1}`)
+        .send({ contestId: ctx.contestId, submissionLink: 'https://example.com/mine' });
+    assert.equal(again.status, 400);
+
+    const listed = await ctx.api.get(`/submissions/contest/${ctx.contestId}`).set('Authorization', `Bearer ${ctx.creator}`);
+    assert.equal(listed.body.items.length, 1);
+    assert.equal(listed.body.items[0].teamName, 'Pixel Pushers');
+    assert.deepEqual(listed.body.items[0].teamMembers, ['p1@example.com', 'p2@example.com']);
+
+    const declared = await ctx.api.put(`/contests/${ctx.contestId}/placements`)
+        .set('Authorization', `Bearer ${ctx.creator}`)
+        .send({ placements: [{ tier: 'winner', submissionId: submitted.body.insertedId }] });
+    assert.equal(declared.status, 200);
+
+    for (const [email, token] of [['p1@example.com', ctx.p1], ['p2@example.com', ctx.p2]]) {
+        const stats = await ctx.api.get(`/user-stats/${email}`).set('Authorization', `Bearer ${token}`);
+        assert.deepEqual(stats.body, { wins: 1, placements: 1, participation: 1 });
+    }
+    const outsider = await ctx.api.get('/user-stats/p3@example.com').set('Authorization', `Bearer ${ctx.p3}`);
+    assert.deepEqual(outsider.body, { wins: 0, placements: 0, participation: 0 });
+});
+
+test('split teams enter once every member has paid their share', async () => {
+    const ctx = await setup('split');
+
+    const created = await ctx.api.post('/teams')
+        .set('Authorization', `Bearer ${ctx.p1}`)
+        .send({ contestId: ctx.contestId, name: 'Halves', invites: ['p2@example.com'] });
+    const teamId = created.body.insertedId;
+    await ctx.api.post(`/teams/${teamId}/respond`).set('Authorization', `Bearer ${ctx.p2}`).send({ accept: true });
+
+    const first = await ctx.pay(ctx.p1);
+    assert.equal(first.body.amount, 5);
+
+    const early = await ctx.api.post('/submissions')
+        .set('Authorization', `Bearer ${ctx.p1}`)
+        .send({ contestId: ctx.contestId, submissionLink: 'https://example.com/halves' });
+    assert.equal(early.status, 403);
+
+    // Someone already in a team can't start another
+    const second = await ctx.api.post('/teams').set('Authorization', `Bearer ${ctx.p2}`).send({ contestId: ctx.contestId, name: 'Solo Act' });
+    assert.equal(second.status, 409);
+
+    await ctx.pay(ctx.p2);
+    const submitted = await ctx.api.post('/submissions')
+        .set('Authorization', `Bearer ${ctx.p1}`)
+        .send({ contestId: ctx.contestId, submissionLink: 'https://example.com/halves' });
+    assert.equal(submitted.status, 200);
+});
+
+test('the split is fixed when the first member checks out and the captain covers the odd cent', async () => {
+    const ctx = await setup('split', 4);
+    const p4 = await ctx.createUser('p4@example.com');
+
+    const created = await ctx.api.post('/teams')
+        .set('Authorization', `Bearer ${ctx.p1}`)
+        .send({ contestId: ctx.contestId, name: 'Thirds', invites: ['p2@example.com', 'p3@example.com', 'p4@example.com'] });
+    const teamId = created.body.insertedId;
+    await ctx.api.post(`/teams/${teamId}/respond`).set('Authorization', `Bearer ${ctx.p2}`).send({ accept: true });
+    await ctx.api.post(`/teams/${teamId}/respond`).set('Authorization', `Bearer ${ctx.p3}`).send({ accept: true });
+
+    // p2 starts paying; p4 tries to join before that payment goes through
+    const checkout = await ctx.api.post('/create-payment-intent').set('Authorization', `Bearer ${ctx.p2}`).send({ contestId: ctx.contestId });
+    assert.equal(checkout.body.amount, 3.33);
+    const late = await ctx.api.post(`/teams/${teamId}/respond`).set('Authorization', `Bearer ${p4}`).send({ accept: true });
+    assert.equal(late.status, 409);
+    await ctx.sendStripeEvent('payment_intent.succeeded', succeededIntent(ctx.stripe.created.paymentIntents.at(-1)));
+
+    assert.equal((await ctx.pay(ctx.p3)).body.amount, 3.33);
+    assert.equal((await ctx.pay(ctx.p1)).body.amount, 3.34);
+
+    const team = await ctx.api.get(`/teams/${teamId}`).set('Authorization', `Bearer ${ctx.p1}`);
+    assert.equal(team.body.shareCount, 3);
+    assert.equal(team.body.paid, true);
+    const payments = await ctx.collections.paymentsCollection.find({ teamId }).toArray();
+    assert.equal(payments.reduce((sum, payment) => sum + Math.round(payment.price * 100), 0), 1000);
+});
+
+test('a split team counts as one participant, and leaves the count once when a share is refunded', async () => {
+    const ctx = await setup('split');
+    const participation = async () => (await ctx.collections.contestsCollection.findOne({})).participationCount;
+
+    const created = await ctx.api.post('/teams')
+        .set('Authorization', `Bearer ${ctx.p1}`)
+        .send({ contestId: ctx.contestId, name: 'Trio', invites: ['p2@example.com', 'p3@example.com'] });
+    const teamId = created.body.insertedId;
+    await ctx.api.post(`/teams/${teamId}/respond`).set('Authorization', `Bearer ${ctx.p2}`).send({ accept: true });
+    await ctx.api.post(`/teams/${teamId}/respond`).set('Authorization', `Bearer ${ctx.p3}`).send({ accept: true });
+
+    await ctx.pay(ctx.p1);
+    await ctx.pay(ctx.p2);
+    assert.equal(await participation(), 0);
+    await ctx.pay(ctx.p3);
+    assert.equal(await participation(), 1);
+
+    const payments = await ctx.collections.paymentsCollection.find({ teamId }).toArray();
+    for (const payment of payments.slice(0, 2)) {
+        const refund = await ctx.api.post(`/payments/${payment._id}/refund`).set('Authorization', `Bearer ${ctx.admin}`).send({});
+        assert.equal(refund.status, 200);
+    }
+    assert.equal(await participation(), 0);
+});
+
+test('contests without a team policy reject teams', async () => {
+    const ctx = await createTestContext();
+    const creator = await ctx.createUser('creator@example.com', 'Creator');
+    const player = await ctx.createUser('p1@example.com');
+    const created = await ctx.api.post('/contests').set('Authorization', `Bearer ${creator}`).send(contestBody());
+
+    const res = await ctx.api.post('/teams').set('Authorization', `Bearer ${player}`).send({ contestId: created.body.insertedId, name: 'Nope' });
+    assert.equal(res.status, 400);
+});
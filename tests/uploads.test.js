@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContext, contestBody, succeededIntent } = require('./helpers/harness');
+
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(64, 1)]);
+const PDF = Buffer.from('%PDF-1.7\n% test document\n');
+
+// An open contest of the given type that p1 has paid for
+const setup = async (contestType = 'Image Design') => {
+    const ctx = await createTestContext();
+    const creator = await ctx.createUser('creator@example.com', 'Creator');
+    const admin = await ctx.createUser('admin@example.com', 'Admin');
+    const player = await ctx.createUser('p1@example.com');
+
+    const created = await ctx.api.post('/contests').set('Authorization', `Bearer ${creator}`).send(contestBody({ contestType }));
+    const contestId = created.body.insertedId;
+    await ctx.api.patch(`/contests/status/${contestId}`).set('Authorization', `Bearer ${admin}`).send({ status: 'Accepted' });
+    await ctx.api.post('/create-payment-intent').set('Authorization', `Bearer ${player}`).send({ contestId });
+    await ctx.sendStripeEvent('payment_intent.succeeded', succeededIntent(ctx.stripe.created.paymentIntents[0]));
+
+    return { ...ctx, creator, admin, player, contestId };
+};
+
+test('entries upload files that only the submitter, creator, judges and admins can download', async () => {
+    const ctx = await setup();
+
+    const submitted = await ctx.api.post('/submissions')
+        .set('Authorization', `Bearer ${ctx.player}`)
+        .field('contestId', ctx.contestId)
+        .field('task', 'My logo')
+        .attach('files', PNG, { filename: '../../logo final.png', contentType: 'image/png' });
+    assert.equal(submitted.status, 200);
+    assert.equal(submitted.body.files.length, 1);
+
+    const [file] = submitted.body.files;
+    assert.equal(file.name, 'logo_final.png');
+    assert.equal(file.size, PNG.length);
+
+    const url = `/submissions/${submitted.body.insertedId}/files/${file.fileId}`;
+    const download = (token) => ctx.api.get(url).set('Authorization', `Bearer ${token}`).buffer(true).parse((res, done) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => done(null, Buffer.concat(chunks)));
+    });
+
+    const own = await download(ctx.player);
+    assert.equal(own.status, 200);
+    assert.equal(own.headers['content-type'], 'image/png');
+    assert.ok(own.body.equals(PNG));
+
+    assert.equal((await download(ctx.creator)).status, 200);
+    assert.equal((await download(ctx.admin)).status, 200);
+
+    await ctx.api.put(`/contests/${ctx.contestId}/judging`)
+        .set('Authorization', `Bearer ${ctx.creator}`)
+        .send({ criteria: [{ name: 'Design', weight: 1 }], judges: ['judge@example.com'] });
+    assert.equal((await download(await ctx.createUser('judge@example.com'))).status, 200);
+
+    assert.equal((await download(await ctx.createUser('p2@example.com'))).status, 403);
+    assert.equal((await download(await ctx.createUser('other@example.com', 'Creator'))).status, 403);
+});
+
+test('uploads must match the contest type and their declared type', async () => {
+    const ctx = await setup('Article Writing');
+    const submit = (buffer, filename, contentType) => ctx.api.post('/submissions')
+        .set('Authorization', `Bearer ${ctx.player}`)
+        .field('contestId', ctx.contestId)
+        .attach('files', buffer, { filename, contentType });
+
+    const image = await submit(PNG, 'cover.png', 'image/png');
+    assert.equal(image.status, 400);
+    assert.match(image.body.message, /Article Writing contests accept application\/pdf/);
+
+    const disguised = await submit(PNG, 'essay.pdf', 'application/pdf');
+    assert.equal(disguised.status, 400);
+    assert.match(disguised.body.message, /do not match/);
+
+    const tooBig = await submit(Buffer.concat([PDF, Buffer.alloc(6 * 1024 * 1024)]), 'essay.pdf', 'application/pdf');
+    assert.equal(tooBig.status, 400);
+    assert.match(tooBig.body.message, /at most 5 MB/);
+
+    assert.equal(await ctx.collections.submissionsCollection.countDocuments(), 0);
+
+    const ok = await submit(PDF, 'essay.pdf', 'application/pdf');
+    assert.equal(ok.status, 200);
+});
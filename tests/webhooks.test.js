@@ -0,0 +1,111 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContext, contestBody, succeededIntent } = require('./helpers/harness');
+
+// An open contest with one paid-for intent waiting on its webhook
+const setup = async () => {
+    const ctx = await createTestContext();
+    const creator = await ctx.createUser('creator@example.com', 'Creator');
+    const admin = await ctx.createUser('admin@example.com', 'Admin');
+    const player = await ctx.createUser('player@example.com');
+
+    const created = await ctx.api.post('/contests').set('Authorization', `Bearer ${creator}`).send(contestBody());
+    const contestId = created.body.insertedId;
+    await ctx.api.patch(`/contests/status/${contestId}`).set('Authorization', `Bearer ${admin}`).send({ status: 'Accepted' });
+    await ctx.api.post('/create-payment-intent').set('Authorization', `Bearer ${player}`).send({ contestId });
+
+    const participation = async () => (await ctx.collections.contestsCollection.findOne({})).participationCount;
+    return { ...ctx, creator, admin, player, contestId, intent: ctx.stripe.created.paymentIntents[0], participation };
+};
+
+test('webhook rejects events with a bad signature', async () => {
+    const ctx = await setup();
+    const res = await ctx.api.post('/webhooks/stripe')
+        .set('Content-Type', 'application/json')
+        .set('Stripe-Signature', 't=1,v1=bad')
+        .send(JSON.stringify({ id: 'evt_forged', type: 'payment_intent.succeeded', data: { object: succeededIntent(ctx.intent) } }));
+
+    assert.equal(res.status, 400);
+    assert.equal(await ctx.collections.paymentsCollection.countDocuments(), 0);
+});
+
+test('redelivered and duplicate events are only counted once', async () => {
+    const ctx = await setup();
+
+    await ctx.sendStripeEvent('payment_intent.succeeded', succeededIntent(ctx.intent), 'evt_same');
+    const retry = await ctx.sendStripeEvent('payment_intent.succeeded', succeededIntent(ctx.intent), 'evt_same');
+    assert.equal(retry.body.duplicate, true);
+
+    // A different event for the same intent
+    await ctx.sendStripeEvent('payment_intent.succeeded', succeededIntent(ctx.intent));
+
+    assert.equal(await ctx.collections.paymentsCollection.countDocuments(), 1);
+    assert.equal(await ctx.participation(), 1);
+});
+
+test('failed payments are recorded but do not grant entry', async () => {
+    const ctx = await setup();
+
+    await ctx.sendStripeEvent('payment_intent.payment_failed', {
+        ...succeededIntent(ctx.intent),
+        status: 'requires_payment_method',
+        last_payment_error: { message: 'Your card was declined.' },
+    });
+
+    const payment = await ctx.collections.paymentsCollection.findOne({ transactionId: ctx.intent.id });
+    assert.equal(payment.status, 'failed');
+    assert.equal(await ctx.participation(), 0);
+
+    const submit = await ctx.api.post('/submissions').set('Authorization', `Bearer ${ctx.player}`).send({ contestId: ctx.contestId });
+    assert.equal(submit.status, 403);
+});
+
+test('refunds release the slot and block submissions', async () => {
+    const ctx = await setup();
+    await ctx.sendStripeEvent('payment_intent.succeeded', succeededIntent(ctx.intent));
+    const payment = await ctx.collections.paymentsCollection.findOne({ transactionId: ctx.intent.id });
+
+    const refund = await ctx.api.post(`/payments/${payment._id}/refund`)
+        .set('Authorization', `Bearer ${ctx.creator}`)
+        .send({ reason: 'Contest cancelled' });
+    assert.equal(refund.status, 200);
+    assert.equal(refund.body.fullyRefunded, true);
+    assert.equal(ctx.stripe.created.refunds[0].amount, 1000);
+
+    // Stripe then confirms the refund; it must not be counted twice
+    await ctx.sendStripeEvent('charge.refunded', {
+        id: 'ch_test_1',
+        object: 'charge',
+        payment_intent: ctx.intent.id,
+        amount_refunded: 1000,
+        refunded: true,
+    });
+
+    assert.equal(await ctx.participation(), 0);
+    const submit = await ctx.api.post('/submissions').set('Authorization', `Bearer ${ctx.player}`).send({ contestId: ctx.contestId });
+    assert.equal(submit.status, 403);
+    assert.match(submit.body.message, /refunded/);
+});
+
+test('a new checkout cancels the last one and a second paid intent is refunded, not counted', async () => {
+    const ctx = await setup();
+
+    await ctx.api.post('/create-payment-intent').set('Authorization', `Bearer ${ctx.player}`).send({ contestId: ctx.contestId });
+    const [first, second] = ctx.stripe.created.paymentIntents;
+    assert.equal(first.status, 'canceled');
+    assert.equal(second.status, undefined);
+
+    // Both went through anyway (the first was paid before it could be cancelled)
+    await ctx.sendStripeEvent('payment_intent.succeeded', succeededIntent(first));
+    await ctx.sendStripeEvent('payment_intent.succeeded', succeededIntent(second));
+    await ctx.sendStripeEvent('payment_intent.succeeded', succeededIntent(second));
+
+    assert.equal(await ctx.participation(), 1);
+    const duplicate = await ctx.collections.paymentsCollection.findOne({ transactionId: second.id });
+    assert.equal(duplicate.status, 'refunded');
+    assert.deepEqual(ctx.stripe.created.refunds.map(refund => [refund.payment_intent, refund.reason]), [[second.id, 'duplicate']]);
+
+    // Only the payment that holds the place is in the ledger
+    const ledger = await ctx.api.get(`/ledger/contests/${ctx.contestId}`).set('Authorization', `Bearer ${ctx.creator}`);
+    assert.equal(ledger.body.totals.entryFees, 10);
+});